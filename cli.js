@@ -17,6 +17,16 @@ const defaultUrl = lnurl.Server.prototype.getDefaultUrl();
 const program = new commander.Command();
 let stdin = '';
 
+const qrFormats = ['terminal', 'svg', 'png'];
+
+const checkQrFormat = function(format) {
+	if (format === true) {
+		format = 'terminal';
+	}
+	assert.ok(!format || qrFormats.includes(format), `--qr must be one of: ${qrFormats.join(', ')}`);
+	return format || null;
+};
+
 program
 	.version(pkg.version)
 	.description(pkg.description);
@@ -24,17 +34,48 @@ program
 program
 	.command('encode [url]')
 	.description('Encode a url as a bech32-encoded string.')
-	.action(function(unencoded) {
-		if (stdin) {
-			unencoded = stdin.replace('\n', '');
+	.option(
+		'--tag [value]',
+		'Encode with the LUD-17 URI scheme prefix of the tag instead (e.g "withdrawRequest" -> "lnurlw://")',
+		value => value,
+		null,
+	)
+	.option(
+		'--qr [format]',
+		`Print a QR code of the encoded url instead (${qrFormats.join(', ')})`,
+	)
+	.action(function(unencoded, options) {
+		try {
+			if (stdin) {
+				unencoded = stdin.replace('\n', '');
+			}
+			const { tag } = options;
+			const qr = checkQrFormat(options.qr);
+			const encoded = lnurl.encode(unencoded, { tag });
+			switch (qr) {
+				case 'terminal':
+					process.stdout.write(encoded + '\n' + lnurl.qrcode.toTerminal(encoded) + '\n');
+					break;
+				case 'svg':
+					process.stdout.write(lnurl.qrcode.toSvg(encoded));
+					break;
+				case 'png':
+					process.stdout.write(lnurl.qrcode.toPng(encoded));
+					break;
+				default:
+					process.stdout.write(encoded);
+					break;
+			}
+		} catch (error) {
+			debug.error(error);
+			console.error(error.message);
+			process.exit(1);
 		}
-		const encoded = lnurl.encode(unencoded);
-		process.stdout.write(encoded);
 	});
 
 program
 	.command('decode [encoded]')
-	.description('Decode a bech32-encoded lnurl.')
+	.description('Decode a bech32-encoded lnurl or LUD-17 URI (e.g "lnurlw://..").')
 	.action(function(encoded) {
 		if (stdin) {
 			encoded = stdin.replace('\n', '');
@@ -43,6 +84,23 @@ program
 		process.stdout.write(decoded);
 	});
 
+program
+	.command('parse [input]')
+	.description('Parse an lnurl, LUD-17 URI, Lightning Address, "lightning:" URI or fallback URL (e.g "https://service.com/?lightning=lnurl1..").')
+	.action(function(input) {
+		if (stdin) {
+			input = stdin.replace('\n', '');
+		}
+		try {
+			const parsed = lnurl.parse(input);
+			process.stdout.write(JSON.stringify(parsed, null, 2));
+		} catch (error) {
+			debug.error(error);
+			console.error(error.message);
+			process.exit(1);
+		}
+	});
+
 program
 	.command('generateApiKey')
 	.description('Generate a new API key for your lnurl server.')
@@ -88,6 +146,20 @@ program
 		value => value,
 		1,
 	)
+	.option(
+		'--fast',
+		'Include all info in the newly generated URL (LUD-08 fast withdrawRequest, only supported for "withdrawRequest")',
+	)
+	.option(
+		'--encoding <value>',
+		'How to encode the newly generated URL ("bech32" or "lud17")',
+		value => value,
+		'bech32',
+	)
+	.option(
+		'--qr [format]',
+		`Include a QR code of the encoded URL (${qrFormats.join(', ')}) - printed after the JSON output for "terminal", otherwise included as "qr" in the JSON output`,
+	)
 	.option(
 		'--params [values]',
 		'Stringified JSON object of params for the newly generated URL - e.g for "withdrawRequest" valid params could be {"minWithdrawable": 1000, "maxWithdrawable": 5000}',
@@ -148,10 +220,14 @@ program
 	)
 	.action(function(options) {
 		try {
-			let { tag, params, uses } = options;
+			let { tag, params, uses, fast, encoding } = options;
+			const qr = checkQrFormat(options.qr);
 			delete options.params;
 			delete options.tag;
 			delete options.uses;
+			delete options.fast;
+			delete options.encoding;
+			delete options.qr;
 			assert.ok(tag, '--tag is required');
 			if (!params) {
 				params = {};
@@ -171,8 +247,16 @@ program
 			options.listen = false
 			options.lightning = null;
 			const server = createServer(options);
-			return server.generateNewUrl(tag, params, { uses }).then(result => {
+			return server.generateNewUrl(tag, params, { uses, fast: fast === true, encoding }).then(result => {
+				if (qr === 'svg') {
+					result.qr = lnurl.qrcode.toSvg(result.encoded);
+				} else if (qr === 'png') {
+					result.qr = 'data:image/png;base64,' + lnurl.qrcode.toPng(result.encoded).toString('base64');
+				}
 				process.stdout.write(JSON.stringify(result, null, 2));
+				if (qr === 'terminal') {
+					process.stdout.write('\n' + lnurl.qrcode.toTerminal(result.encoded) + '\n');
+				}
 				process.exit();
 			}).catch(error => {
 				debug.error(error);
@@ -259,12 +343,50 @@ program
 		value => value,
 		defaultOptions.store.config
 	)
+	.option(
+		'--tls.cert [value]',
+		'Path to the TLS certificate (PEM) - serve HTTPS instead of HTTP',
+		value => value,
+		defaultOptions.tls.cert
+	)
+	.option(
+		'--tls.key [value]',
+		'Path to the TLS private key (PEM)',
+		value => value,
+		defaultOptions.tls.key
+	)
+	.option(
+		'--tls.selfSigned',
+		'Serve HTTPS with a generated self-signed certificate (for development only)',
+		defaultOptions.tls.selfSigned
+	)
+	.option(
+		'--tls.days [value]',
+		'Number of days that the generated self-signed certificate is valid',
+		value => parseInt(value),
+		defaultOptions.tls.days
+	)
+	.option(
+		'--admin.enabled',
+		'Enable the admin HTTP API (requests must be signed with an API key)',
+		defaultOptions.admin.enabled
+	)
+	.option(
+		'--admin.endpoint [value]',
+		'The URI path of the admin HTTP API',
+		value => value,
+		defaultOptions.admin.endpoint
+	)
 	.action(function(options) {
 		if (options.configFile) {
 			options = JSON.parse(fs.readFileSync(options.configFile, 'utf8'));
 		}
 		delete options.configFile;
-		prepareGroupOptions(options, ['auth', 'lightning', 'store']);
+		prepareGroupOptions(options, ['admin', 'auth', 'lightning', 'store', 'tls']);
+		if (options.url === defaultUrl && lnurl.Server.prototype.isTlsEnabled(options)) {
+			// Let the server use its default URL (https).
+			delete options.url;
+		}
 		createServer(options);
 	});
 
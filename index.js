@@ -12,20 +12,30 @@ let lnurl = {
 };
 
 const {
+	client,
 	createAuthorizationSignature,
 	encode,
 	decode,
+	deriveLinkingKey,
 	generateRandomLinkingKey,
+	LnurlError,
+	parse,
+	qrcode,
 	verifyAuthorizationSignature
 } = require('./lib');
 
 Object.assign(lnurl, {
+	client,
 	createAuthorizationSignature,
 	encode,
 	decode,
+	deriveLinkingKey,
 	generateApiKey,
 	generateRandomLinkingKey,
 	LightningBackend,
+	LnurlError,
+	parse,
+	qrcode,
 	verifyAuthorizationSignature
 });
 
@@ -0,0 +1,23 @@
+// Error returned by (or about) an LNURL service.
+// Has the same shape as the error responses of the server: { status: 'ERROR', reason }
+const LnurlError = function(reason, type) {
+	if (!Error.captureStackTrace) {
+		this.stack = (new Error()).stack;
+	} else {
+		Error.captureStackTrace(this, this.constructor);
+	}
+	this.message = reason;
+	this.reason = reason;
+	this.status = 'ERROR';
+	// "service" - the service responded with an error
+	// "response" - the response from the service was invalid
+	// "input" - invalid input (e.g malformed LNURL)
+	// "request" - the request to the service failed
+	this.type = type || 'service';
+};
+
+LnurlError.prototype = new Error;
+LnurlError.name = 'LnurlError';
+LnurlError.constructor = LnurlError;
+
+module.exports = LnurlError;
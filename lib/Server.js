@@ -1,5 +1,6 @@
 const assert = require('assert');
 const async = require('async');
+const bolt11 = require('bolt11');
 const createHash = require('./createHash');
 const { createSignature, isValidSignedQuery, prepareQueryPayloadString, unshortenQuery } = require('lnurl-offline');
 const crypto = require('crypto');
@@ -12,16 +13,27 @@ const deepClone = require('./deepClone');
 const encode = require('./encode');
 const express = require('express');
 const fs = require('fs');
+const generateSelfSignedCertificate = require('./generateSelfSignedCertificate');
+const { getTagDataFromPaymentRequest } = require('lightning-backends');
 const HttpError = require('./HttpError');
 const http = require('http');
+const https = require('https');
+const httpClient = require('./httpClient');
 const lightningBackends = require('lightning-backends')
+const nostr = require('./nostr');
+const nostrRelayPublisher = require('./nostrRelayPublisher');
 const path = require('path');
 const promiseAllSeries = require('./promiseAllSeries');
 const querystring = require('querystring');
 const SafeEventEmitter = require('./SafeEventEmitter');
+const schemes = require('./schemes');
+const secp256k1 = require('secp256k1');
 const subprotocols = require('./subprotocols');
 const util = require('util');
 
+// LUD-18: How long (ms) the "auth" k1 sent to a payer can be used.
+const payerDataAuthK1MaxAge = 3600000;
+
 let Server = function(options) {
 	const serverId = 'lnurl:server:' + Server.increment++;
 	this.id = serverId;
@@ -37,20 +49,37 @@ let Server = function(options) {
 		})(this.options.lightning);
 	}
 	this.store = this.prepareStore(this.options);
-	this.app = this.createWebServer(this.options);
+	// Used to make outgoing HTTP requests (e.g LUD-15 balanceNotify).
+	// Can be replaced with a custom client - must implement request(method, url[, options]).
+	this.httpClient = httpClient;
+	// Used to publish NIP-57 zap receipts to nostr relays.
+	// Can be replaced with a custom publisher - must implement publish(event, relays[, options]).
+	this.nostrRelayPublisher = nostrRelayPublisher;
+	// Timers used to check whether zap invoices have been settled.
+	this.zapWatchers = {};
+	// Nonces of signed admin API requests - to prevent replays (until they are too old to be accepted).
+	this.adminNonces = new Map();
+	// LUD-18: Key used to derive the "auth" k1 values issued to payers.
+	this.payerDataSecret = this.options.auth.payerDataSecret || crypto.randomBytes(32).toString('hex');
+	// Request handler (express router) with the status and end-point routes.
+	// Can be mounted in another express app - e.g app.use('/prefix', server.handler).
+	this.handler = this.createRouter(this.options);
 	// Keep a hash of connected sockets.
 	// This is used when closing the server - when force-closing all socket connections.
 	this.sockets = {};
-	let socketIncrement = 0;
-	this.app.webServer.on('connection', socket => {
-		const prefix = `${serverId}:socket`;
-		const socketId = (prefix + socketIncrement++).substr(prefix.length);
-		this.sockets[socketId] = socket;
-		socket.once('close', () => {
-			this.sockets[socketId] = null;
+	if (this.options.webServer) {
+		this.app = this.createWebServer(this.options);
+		let socketIncrement = 0;
+		this.app.webServer.on('connection', socket => {
+			const prefix = `${serverId}:socket`;
+			const socketId = (prefix + socketIncrement++).substr(prefix.length);
+			this.sockets[socketId] = socket;
+			socket.once('close', () => {
+				this.sockets[socketId] = null;
+			});
 		});
-	});
-	if (this.options.listen) {
+	}
+	if (this.options.webServer && this.options.listen) {
 		this.once('listening', () => {
 			this.resumeQueue('onReady');
 		});
@@ -73,13 +102,31 @@ Server.prototype.defaultOptions = {
 	port: 3000,
 	// Whether or not to start listening when the server is created:
 	listen: true,
-	// The URL where the server is externally reachable (e.g "http://your-lnurl-server.com"):
+	// Whether or not to create the built-in web server.
+	// Set to false when mounting the server's handler in your own express app.
+	webServer: true,
+	// The URL where the server is externally reachable (e.g "http://your-lnurl-server.com").
+	// Include the path prefix when the server's handler is mounted under one (e.g "https://your-app.com/lnurl-prefix"):
 	url: null,
 	// The URI path of the web API end-point:
 	endpoint: '/lnurl',
+	// LUD-01 requires HTTPS for clearnet services.
+	// Set these options to serve HTTPS directly instead of using a separate TLS terminator.
+	tls: {
+		// TLS certificate and private key (PEM) - file paths, strings or buffers:
+		cert: null,
+		key: null,
+		// Generate a self-signed certificate when cert and key are not set (for development only):
+		selfSigned: false,
+		// Number of days that the generated self-signed certificate is valid:
+		days: 365,
+	},
 	auth: {
 		// List of API keys that can be used to sign LNURLs for your server:
 		apiKeys: [],
+		// Secret used to derive LUD-18 "auth" k1 values. Random (per process) if not set.
+		// Set the same value for all instances which share a data store:
+		payerDataSecret: null,
 	},
 	apiKey: {
 		// Encoding for generated API keys ('hex', 'base64', etc):
@@ -105,6 +152,15 @@ Server.prototype.defaultOptions = {
 		// Configuration options to pass to store:
 		config: {},
 	},
+	admin: {
+		// Whether or not to enable the admin HTTP API (create, list, fetch and revoke URLs).
+		// Requests must be signed with one of the API keys (see "auth.apiKeys").
+		enabled: false,
+		// The URI path of the admin API:
+		endpoint: '/admin',
+		// Maximum age (ms) of signed requests - older (or replayed) requests are rejected:
+		maxAge: 300000,
+	},
 	payRequest: {
 		// A number greater than 0 indicates the maximum length of comments.
 		// Setting this to 0 ignores comments.
@@ -121,6 +177,23 @@ Server.prototype.defaultOptions = {
 		// Default successAction to be sent in response object.
 		// If undefined or null, then no successAction will be sent.
 		successAction: null,
+		// Default payerData (LUD-18) to be sent in response object.
+		// E.g {"name":{"mandatory":false},"auth":{"mandatory":true}}
+		// If undefined or null, then no payer data will be requested.
+		payerData: null,
+	},
+	nostr: {
+		// Private key (hex) used to sign zap receipts (NIP-57).
+		// If set, payRequest responses will include "allowsNostr" and "nostrPubkey".
+		privateKey: null,
+		// How often (ms) to check whether a zap invoice has been settled:
+		checkInterval: 5000,
+		// How long (ms) to keep checking before giving up:
+		checkTimeout: 3600000,
+		// Maximum time (ms) to wait for each relay when publishing a zap receipt:
+		relayTimeout: 10000,
+		// Maximum number of relays (wss:// only) in a zap request - each is an outbound connection:
+		maxRelays: 5,
 	},
 	// Deprecated options, but left here for backwards compatibility:
 	protocol: 'http',
@@ -163,6 +236,7 @@ Server.prototype.onReady = function() {
 Server.prototype.prepareOptions = function(options, defaultOptions) {
 	assert.ok(typeof options === 'undefined' || typeof options === 'object', 'Invalid argument ("options"): Object expected.');
 	assert.ok(typeof defaultOptions === 'undefined' || typeof defaultOptions === 'object', 'Invalid argument ("defaultOptions"): Object expected.');
+	const tls = options && options.tls;
 	options = deepClone(options || {});
 	options = Object.assign({}, defaultOptions || {}, options || {});
 	Object.keys(defaultOptions).forEach(name => {
@@ -177,10 +251,21 @@ Server.prototype.prepareOptions = function(options, defaultOptions) {
 			options[name] = Object.assign({}, defaultOptions[name], options[name] || {});
 		}
 	});
+	if (tls && options.tls) {
+		// Buffers do not survive the deep clone.
+		['cert', 'key'].forEach(name => {
+			if (Buffer.isBuffer(tls[name])) {
+				options.tls[name] = tls[name];
+			}
+		});
+	}
 	if (!options.url) {
 		const { host, port } = options;
-		options.url = `http://${host}:${port}`;
+		const protocol = this.isTlsEnabled(options) ? 'https' : 'http';
+		options.url = `${protocol}://${host}:${port}`;
 	}
+	// Avoid double slashes when appending paths to the URL.
+	options.url = options.url.replace(/\/+$/, '');
 	return options;
 };
 
@@ -193,11 +278,36 @@ Server.prototype.checkOptions = function(options, defaultOptions) {
 			assert.ok(apiKey.id && apiKey.key, 'Invalid option ("auth.apiKeys"): Each API key should include "id" and "key"');
 		});
 	}
+	if (options.auth && options.auth.payerDataSecret) {
+		assert.strictEqual(typeof options.auth.payerDataSecret, 'string', 'Invalid option ("auth.payerDataSecret"): String expected');
+	}
 	assert.strictEqual(options.endpoint[0], '/', 'Invalid option ("endpoint"): Must begin with a forward slash (/)');
 	if (typeof options.commentAllowed !== 'undefined') {
 		assert.ok(Number.isInteger(options.commentAllowed), 'Invalid option ("commentAllowed"): Integer expected');
 		assert.ok(options.commentAllowed <= 1000, 'Invalid option ("commentAllowed"): Should not be greater than 1000 due to accepted maximum URL length');
 	}
+	if (options.tls) {
+		const { cert, key, selfSigned, days } = options.tls;
+		assert.ok(!cert === !key, 'Invalid option ("tls"): Both "cert" and "key" are required');
+		[ ['cert', cert], ['key', key] ].forEach(([name, value]) => {
+			assert.ok(!value || typeof value === 'string' || Buffer.isBuffer(value), `Invalid option ("tls.${name}"): String or buffer expected`);
+		});
+		assert.strictEqual(typeof selfSigned, 'boolean', 'Invalid option ("tls.selfSigned"): Boolean expected');
+		assert.ok(Number.isInteger(days) && days > 0, 'Invalid option ("tls.days"): Integer greater than zero expected');
+	}
+	if (options.admin && options.admin.enabled) {
+		const { endpoint, maxAge } = options.admin;
+		assert.ok(typeof endpoint === 'string' && endpoint[0] === '/', 'Invalid option ("admin.endpoint"): Must begin with a forward slash (/)');
+		assert.notStrictEqual(endpoint, options.endpoint, 'Invalid option ("admin.endpoint"): Must be different from "endpoint"');
+		assert.ok(Number.isInteger(maxAge) && maxAge > 0, 'Invalid option ("admin.maxAge"): Integer greater than zero expected');
+	}
+	if (options.nostr && options.nostr.privateKey) {
+		const { privateKey } = options.nostr;
+		assert.ok(typeof privateKey === 'string' && /^[0-9a-f]{64}$/.test(privateKey), 'Invalid option ("nostr.privateKey"): 32-byte hex string expected');
+		assert.ok(secp256k1.privateKeyVerify(Buffer.from(privateKey, 'hex')), 'Invalid option ("nostr.privateKey"): Invalid private key');
+		const { maxRelays } = options.nostr;
+		assert.ok(Number.isInteger(maxRelays) && maxRelays > 0, 'Invalid option ("nostr.maxRelays"): Integer greater than zero expected');
+	}
 	this.rejectUnknownOptions(options, defaultOptions);
 };
 
@@ -230,21 +340,20 @@ Server.prototype.getApiKey = function(id) {
 	});
 };
 
-Server.prototype.createWebServer = function(options) {
+Server.prototype.createRouter = function(options) {
 	assert.strictEqual(typeof options, 'object', 'Invalid argument ("options"): Object expected.');
-	debug.info('Creating web server...');
-	const { endpoint, host, port } = options;
-	const app = express();
+	const { endpoint } = options;
+	const router = express.Router();
 	const middleware = this.middleware();
-	app.use(middleware.stripHeaders);
-	app.use(middleware.logRequests);
-	app.get('/status',
+	router.use(middleware.stripHeaders);
+	router.use(middleware.logRequests);
+	router.get('/status',
 		middleware.hook['status'],
 		(req, res, next) => {
 			res.json({ status: 'OK'});
 		}
 	);
-	app.get([endpoint, `${endpoint}/:k1`],
+	router.get([endpoint, `${endpoint}/:k1`],
 		middleware.hook['url:process'],
 		middleware.signedLnurl.unshortenQuery,
 		middleware.signedLnurl.checkSignature,
@@ -252,16 +361,68 @@ Server.prototype.createWebServer = function(options) {
 		middleware.signedLnurl.createUrl,
 		middleware.processUrl,
 	);
-	app.use('*', middleware.notFound);
-	app.use(middleware.catchError);
-	app.webServer = http.createServer(app);
+	router.get('/.well-known/lnurlp/:username',
+		middleware.processLightningAddress,
+	);
+	router.get(`${endpoint}/verify/:paymentHash`,
+		middleware.verifyInvoice,
+	);
+	if (options.admin && options.admin.enabled) {
+		const adminEndpoint = options.admin.endpoint;
+		router.post(`${adminEndpoint}/urls`,
+			middleware.admin.checkSignature,
+			middleware.admin.createUrl,
+		);
+		router.get(`${adminEndpoint}/urls`,
+			middleware.admin.checkSignature,
+			middleware.admin.listUrls,
+		);
+		router.get(`${adminEndpoint}/urls/:hash`,
+			middleware.admin.checkSignature,
+			middleware.admin.fetchUrl,
+		);
+		router.delete(`${adminEndpoint}/urls/:hash`,
+			middleware.admin.checkSignature,
+			middleware.admin.revokeUrl,
+		);
+		router.get(`${adminEndpoint}/urls/:hash/uses`,
+			middleware.admin.checkSignature,
+			middleware.admin.listUses,
+		);
+	}
+	if (options.webServer) {
+		router.use(middleware.notFound);
+	} else {
+		// Mounted in another app - leave all other paths to the app's own routes.
+		let prefixes = [ endpoint, '/.well-known/lnurlp' ];
+		if (options.admin && options.admin.enabled) {
+			prefixes.push(options.admin.endpoint);
+		}
+		router.use(prefixes, middleware.notFound);
+	}
+	router.use(middleware.catchError);
+	return router;
+};
+
+Server.prototype.createWebServer = function(options) {
+	assert.strictEqual(typeof options, 'object', 'Invalid argument ("options"): Object expected.');
+	debug.info('Creating web server...');
+	const { host, port } = options;
+	const app = express();
+	app.use(this.handler);
+	if (this.isTlsEnabled(options)) {
+		app.webServer = https.createServer(this.prepareTlsOptions(options), app);
+	} else {
+		app.webServer = http.createServer(app);
+	}
 	if (options.listen) {
+		const protocol = this.isTlsEnabled(options) ? 'https' : 'http';
 		app.webServer.listen(port, host, error => {
 			if (error) {
 				debug.error(error);
 				this.emit('error', error);
 			} else {
-				debug.info(`Web server listening at http://${host}:${port}/`);
+				debug.info(`Web server listening at ${protocol}://${host}:${port}/`);
 				this.emit('listening');
 			}
 		});
@@ -269,6 +430,28 @@ Server.prototype.createWebServer = function(options) {
 	return app;
 };
 
+Server.prototype.isTlsEnabled = function(options) {
+	const { tls } = options || this.options;
+	return !!(tls && ((tls.cert && tls.key) || tls.selfSigned));
+};
+
+// Returns the cert and key (PEM) to pass to https.createServer.
+Server.prototype.prepareTlsOptions = function(options) {
+	const { cert, key, selfSigned, days } = options.tls;
+	if (!cert && !key && selfSigned) {
+		debug.info('Generating self-signed TLS certificate...');
+		return generateSelfSignedCertificate({ commonName: options.host, days });
+	}
+	// Strings that do not contain PEM data are read as file paths.
+	const read = function(value) {
+		if (typeof value === 'string' && !value.includes('-----BEGIN')) {
+			return fs.readFileSync(path.resolve(value));
+		}
+		return value;
+	};
+	return { cert: read(cert), key: read(key) };
+};
+
 Server.prototype.middleware = function() {
 	return {
 		stripHeaders: function(req, res, next) {
@@ -339,6 +522,12 @@ Server.prototype.middleware = function() {
 					delete params.nonce;
 					delete params.signature;
 					delete params.tag;
+					// Signed LNURLs can carry their own expiry.
+					const { expiresAt } = params;
+					delete params.expiresAt;
+					if (typeof expiresAt !== 'undefined') {
+						assert.ok(!this.isExpired({ expiresAt: this.prepareDate(expiresAt, 'expiresAt') }), new HttpError('URL has expired', 400));
+					}
 					let secret;
 					switch (tag) {
 						case 'login':
@@ -355,7 +544,7 @@ Server.prototype.middleware = function() {
 					}
 					return this.hasUrl(secret).then(exists => {
 						if (!exists) {
-							return this.createUrl(secret, tag, params, { apiKeyId: id });
+							return this.createUrl(secret, tag, params, { apiKeyId: id, expiresAt });
 						}
 					}).catch(error => {
 						if (this.options.store.backend === 'knex') {
@@ -388,10 +577,20 @@ Server.prototype.middleware = function() {
 				return next(new HttpError('Missing secret', 400));
 			}
 			const hash = createHash(secret);
-			const method = req.query.q ? 'info' : 'action';
+			let method = req.query.q ? 'info' : 'action';
+			if (method === 'action' && req.query.tag === 'withdrawRequest' && !req.query.pr) {
+				// LUD-08: Fast withdrawRequest URL requested by a wallet which does not support it.
+				// Respond with the info as usual.
+				method = 'info';
+			}
 			this.emit('request:received', { hash, method, req });
-			this.fetchUrl(hash).then(fetchedUrl => {
+			// Kept for the uses ledger.
+			let fetchedUrl = null, params = null;
+			this.fetchUrl(hash).then(result => {
+				fetchedUrl = result;
 				assert.ok(fetchedUrl, new HttpError('Invalid secret', 400));
+				assert.ok(!fetchedUrl.revokedAt, new HttpError('URL has been revoked', 400));
+				assert.ok(!this.isExpired(fetchedUrl), new HttpError('URL has expired', 400));
 				if (method === 'info') {
 					return fetchedUrl;
 				}
@@ -401,7 +600,12 @@ Server.prototype.middleware = function() {
 				});
 			}).then(fetchedUrl => {
 				const { tag, apiKeyId, prismId } = fetchedUrl;
-				const params = Object.assign({}, req.query, fetchedUrl.params);
+				params = Object.assign({}, req.query, fetchedUrl.params);
+				// The balance is tracked by the data store - never take it from the request.
+				delete params.balance;
+				if (typeof fetchedUrl.balance === 'number') {
+					params.balance = fetchedUrl.balance;
+				}
 				return this.runSubProtocol(tag, method, secret, params, apiKeyId, prismId).catch(error => {
 					// An error occurred while running the sub-protocol.
 					// Un-use the URL so that the request can be retried.
@@ -415,6 +619,11 @@ Server.prototype.middleware = function() {
 						throw error;
 					});
 				});
+			}).then(result => {
+				if (method === 'action') {
+					return this.recordUse({ hash, fetchedUrl, params, req, result }).then(() => result);
+				}
+				return result;
 			}).then(result => {
 				this.emit('request:processed', { hash, method, req });
 				if (method === 'action' && !result) {
@@ -425,9 +634,164 @@ Server.prototype.middleware = function() {
 			}).catch(error => {
 				const reason = error instanceof HttpError ? error.message : 'Internal server error';
 				this.emit('request:failed', { hash, method, reason, req });
+				if (method === 'action' && fetchedUrl) {
+					params = params || Object.assign({}, req.query);
+					return this.recordUse({ hash, fetchedUrl, params, req, error }).then(() => next(error));
+				}
 				next(error);
 			});
 		},
+		processLightningAddress: (req, res, next) => {
+			const { username } = req.params;
+			// The wallet sends the amount to the callback URL, which is the same as the info URL.
+			const method = typeof req.query.amount !== 'undefined' ? 'action' : 'info';
+			// Uses are recorded like those of a payRequest URL - see getLightningAddressHash.
+			let hash, fetchedUrl, params;
+			return Promise.resolve().then(() => {
+				assert.ok(this.isValidLightningAddressUsername(username), new HttpError('Invalid username', 400));
+				hash = this.getLightningAddressHash(username);
+				return this.fetchLightningAddress(username);
+			}).then(fetchedAddress => {
+				assert.ok(fetchedAddress, new HttpError('Unknown Lightning Address', 404));
+				const { apiKeyId } = fetchedAddress;
+				fetchedUrl = { tag: 'payRequest', apiKeyId };
+				params = Object.assign({}, req.query, fetchedAddress.params);
+				return this.runSubProtocol('payRequest', method, username, params, apiKeyId);
+			}).then(result => {
+				if (method === 'action') {
+					return this.recordUse({ hash, fetchedUrl, params, req, result }).then(() => result);
+				}
+				result.callback = this.getLightningAddressUrl(username);
+				return result;
+			}).then(result => {
+				res.set('Cache-Control', 'private');
+				res.status(200).json(result);
+			}).catch(error => {
+				if (method === 'action' && fetchedUrl) {
+					return this.recordUse({ hash, fetchedUrl, params, req, error }).then(() => next(error));
+				}
+				next(error);
+			});
+		},
+		verifyInvoice: (req, res, next) => {
+			const { paymentHash } = req.params;
+			return this.verifyInvoice(paymentHash).then(result => {
+				res.set('Cache-Control', 'no-cache');
+				res.status(200).json(result);
+			}).catch(next);
+		},
+		admin: {
+			// All inputs are query parameters so that they are covered by the signature.
+			// The request method and path are signed too - see isValidAdminRequest.
+			checkSignature: (req, res, next) => {
+				return Promise.resolve().then(() => {
+					['id', 'nonce', 'timestamp', 'signature'].forEach(field => {
+						assert.ok(req.query[field], new HttpError(`Failed API key signature check: Missing "${field}"`, 400));
+					});
+					const { id, nonce } = req.query;
+					const timestamp = Number(req.query.timestamp);
+					const { maxAge } = this.options.admin;
+					assert.ok(Number.isInteger(timestamp), new HttpError('Failed API key signature check: Invalid "timestamp"', 400));
+					return this.getApiKey(id).then(apiKey => {
+						assert.ok(apiKey, new HttpError('Invalid API key signature', 403));
+						assert.ok(this.isValidAdminRequest(req, apiKey), new HttpError('Invalid API key signature', 403));
+						assert.ok(Math.abs(Date.now() - timestamp) <= maxAge, new HttpError('Signed request has expired', 403));
+						assert.ok(this.useAdminNonce(`${id}:${nonce}`, timestamp + maxAge), new HttpError('Nonce has already been used', 403));
+						res.locals.apiKeyId = id;
+					});
+				}).then(() => next()).catch(next);
+			},
+			createUrl: (req, res, next) => {
+				return Promise.resolve().then(() => {
+					const { tag } = req.query;
+					assert.ok(tag, new HttpError('Missing required parameter: "tag"', 400));
+					let params = {};
+					if (req.query.params) {
+						try { params = JSON.parse(req.query.params); } catch (error) {
+							throw new HttpError('Invalid parameter ("params"): JSON object expected', 400);
+						}
+						assert.ok(params && typeof params === 'object', new HttpError('Invalid parameter ("params"): JSON object expected', 400));
+					}
+					let options = { apiKeyId: res.locals.apiKeyId };
+					if (typeof req.query.uses !== 'undefined') {
+						assert.ok(/^[0-9]+$/.test(req.query.uses), new HttpError('Invalid option ("uses"): Integer greater than or equal to zero expected', 400));
+					}
+					['uses', 'balance', 'ttl'].forEach(key => {
+						if (typeof req.query[key] !== 'undefined') {
+							options[key] = Number(req.query[key]);
+						}
+					});
+					['encoding', 'expiresAt'].forEach(key => {
+						if (typeof req.query[key] !== 'undefined') {
+							options[key] = req.query[key];
+						}
+					});
+					options.fast = req.query.fast === 'true';
+					return this.generateNewUrl(tag, params, options);
+				}).then(result => {
+					res.status(201).json(result);
+				}).catch(next);
+			},
+			listUrls: (req, res, next) => {
+				return Promise.resolve().then(() => {
+					let options = { apiKeyId: res.locals.apiKeyId };
+					['tag', 'createdAfter', 'createdBefore', 'cursor'].forEach(key => {
+						if (typeof req.query[key] !== 'undefined') {
+							options[key] = req.query[key];
+						}
+					});
+					if (typeof req.query.exhausted !== 'undefined') {
+						assert.ok(req.query.exhausted === 'true' || req.query.exhausted === 'false', new HttpError('Invalid option ("exhausted"): Boolean expected', 400));
+						options.exhausted = req.query.exhausted === 'true';
+					}
+					if (typeof req.query.limit !== 'undefined') {
+						options.limit = Number(req.query.limit);
+					}
+					return this.listUrls(options);
+				}).then(result => {
+					const urls = result.urls.map(fetchedUrl => this.serializeTimestamps(fetchedUrl));
+					res.status(200).json({ urls, cursor: result.cursor });
+				}).catch(next);
+			},
+			fetchUrl: (req, res, next) => {
+				const { hash } = req.params;
+				return this.fetchUrl(hash).then(fetchedUrl => {
+					// Each API key can only manage its own URLs.
+					assert.ok(fetchedUrl && fetchedUrl.apiKeyId === res.locals.apiKeyId, new HttpError('Not found', 404));
+					res.status(200).json(this.serializeTimestamps(Object.assign({ hash }, fetchedUrl)));
+				}).catch(next);
+			},
+			revokeUrl: (req, res, next) => {
+				const { hash } = req.params;
+				return this.fetchUrl(hash).then(fetchedUrl => {
+					assert.ok(fetchedUrl && fetchedUrl.apiKeyId === res.locals.apiKeyId, new HttpError('Not found', 404));
+					return this.revokeUrl(hash);
+				}).then(() => {
+					res.status(200).json({ status: 'OK' });
+				}).catch(next);
+			},
+			listUses: (req, res, next) => {
+				const { hash } = req.params;
+				return this.fetchUrl(hash).then(fetchedUrl => {
+					assert.ok(fetchedUrl && fetchedUrl.apiKeyId === res.locals.apiKeyId, new HttpError('Not found', 404));
+					let options = { hash };
+					['outcome', 'createdAfter', 'createdBefore'].forEach(key => {
+						if (typeof req.query[key] !== 'undefined') {
+							options[key] = req.query[key];
+						}
+					});
+					['limit', 'cursor'].forEach(key => {
+						if (typeof req.query[key] !== 'undefined') {
+							options[key] = Number(req.query[key]);
+						}
+					});
+					return this.listUses(options);
+				}).then(result => {
+					const uses = result.uses.map(use => this.serializeTimestamps(use));
+					res.status(200).json({ uses, cursor: result.cursor });
+				}).catch(next);
+			},
+		},
 	};
 };
 
@@ -461,7 +825,7 @@ Server.prototype.prepareHooks = function() {
 		'middleware:signedLnurl:afterCheckSignature',
 		'url:signed',
 	];
-	['channelRequest', 'payRequest', 'withdrawRequest'].forEach(tag => {
+	['channelRequest', 'hostedChannelRequest', 'payRequest', 'withdrawRequest'].forEach(tag => {
 		subprotocolHookNames = subprotocolHookNames.concat([
 			`${tag}:validate`,
 			`${tag}:info`,
@@ -521,7 +885,7 @@ Server.prototype.runSubProtocol = function(tag, method, secret, params, apiKeyId
 		params = params || {};
 		assert.strictEqual(typeof params, 'object', 'Invalid argument ("params"): Object expected.');
 		return this.prepareSubProtocolContext(apiKeyId).then(context => {
-			return subprotocol[method].call(context, secret, params, prismId);
+			return subprotocol[method].call(context, secret, params, prismId, apiKeyId);
 		});
 	});
 };
@@ -600,19 +964,49 @@ Server.prototype.prepareStore = function(options) {
 };
 
 Server.prototype.generateNewUrl = function(tag, params, options, prismId) {
-	return this.generateSecret().then(secret => {
+	options = Object.assign({}, options || {});
+	const { encoding, fast } = options;
+	delete options.encoding;
+	delete options.fast;
+	return Promise.resolve().then(() => {
+		assert.ok(!fast || tag === 'withdrawRequest', new HttpError('Invalid option ("fast"): Only supported for "withdrawRequest"', 400));
+		assert.ok(!encoding || encoding === 'bech32' || encoding === 'lud17', new HttpError('Invalid option ("encoding"): Expected "bech32" or "lud17"', 400));
+		assert.ok(encoding !== 'lud17' || schemes.tagToScheme[tag], new HttpError(`Invalid option ("encoding"): No LUD-17 URI scheme for "${tag}"`, 400));
+		return this.generateSecret();
+	}).then(secret => {
 		return this.createUrl(secret, tag, params, options, prismId).then(({hash}) => {
 			let query;
 			switch (tag) {
 				case 'login':
 					query = { tag, k1: secret };
+					if (params && params.action) {
+						// LUD-04: Let the wallet know what the user is about to do.
+						query.action = params.action;
+					}
 					break;
+				case 'withdrawRequest':
+					if (fast) {
+						// LUD-08: Fast withdrawRequest.
+						// Include all the info in the URL so that the wallet can skip the initial request.
+						const { minWithdrawable, maxWithdrawable, defaultDescription } = params;
+						query = {
+							tag,
+							k1: secret,
+							minWithdrawable,
+							maxWithdrawable,
+							defaultDescription,
+							callback: this.getCallbackUrl(),
+						};
+						break;
+					}
+					// Fall through to the default query.
 				default:
 					query = { q: secret };
 					break;
 			}
 			const newUrl = this.getCallbackUrl(query);
-			const encoded = encode(newUrl);
+			// LUD-17: Optionally use the URI scheme prefix of the tag instead of bech32.
+			const encoded = encoding === 'lud17' ? encode(newUrl, { tag }) : encode(newUrl);
 			return { encoded, secret, url: newUrl, hash };
 		});
 	});
@@ -621,17 +1015,74 @@ Server.prototype.generateNewUrl = function(tag, params, options, prismId) {
 Server.prototype.createUrl = function(secret, tag, params, options, prismId) {
 	params = params || {};
 	assert.strictEqual(typeof params, 'object', 'Invalid argument ("params"): Object expected.');
+	const hasUses = !!options && typeof options.uses !== 'undefined';
 	options = Object.assign({}, {
 		apiKeyId: null,
 		uses: 1,
+		// When the URL expires - Date, ISO 8601 string or timestamp (ms):
+		expiresAt: null,
+		// Alternatively, the time-to-live (ms) from now:
+		ttl: null,
 	}, options || {});
-	return this.validateSubProtocolParameters(tag, params).then(() => {
+	return Promise.resolve().then(() => {
+		const { ttl } = options;
+		const hasExpiresAt = typeof options.expiresAt !== 'undefined' && options.expiresAt !== null;
+		const hasTtl = typeof ttl !== 'undefined' && ttl !== null;
+		assert.ok(!hasExpiresAt || !hasTtl, new HttpError('Invalid options: Use either "expiresAt" or "ttl"', 400));
+		if (hasTtl) {
+			assert.ok(Number.isInteger(ttl) && ttl > 0, new HttpError('Invalid option ("ttl"): Integer greater than zero expected', 400));
+			options.expiresAt = new Date(Date.now() + ttl);
+		} else if (hasExpiresAt) {
+			options.expiresAt = this.prepareDate(options.expiresAt, 'expiresAt');
+			assert.ok(!this.isExpired(options), new HttpError('Invalid option ("expiresAt"): Must be in the future', 400));
+		} else {
+			options.expiresAt = null;
+		}
+		delete options.ttl;
+		return this.validateSubProtocolParameters(tag, params);
+	}).then(() => {
+		if (typeof options.balance !== 'undefined' && options.balance !== null) {
+			// LUD-14: Rechargeable withdrawRequest with a balance.
+			assert.strictEqual(tag, 'withdrawRequest', new HttpError('Invalid option ("balance"): Only supported for "withdrawRequest"', 400));
+			assert.ok(Number.isInteger(options.balance) && options.balance >= 0, new HttpError('Invalid option ("balance"): Integer greater than or equal to zero expected', 400));
+			if (!hasUses) {
+				options.uses = 0;
+			}
+		}
+		if (tag === 'payRequest' && (params.disposable === false || params.disposable === 'false')) {
+			// LUD-11: Non-disposable (reusable) links can be used an unlimited number of times.
+			assert.ok(!hasUses || parseInt(options.uses) === 0, new HttpError('Invalid option ("uses"): Must be 0 (unlimited) when "disposable" is false', 400));
+			options.uses = 0;
+		}
 		const hash = createHash(secret);
-
-		return {result: this.store.create(hash, tag, params, options, prismId), hash};
+		// Wait for the store so that the URL can be used (or revoked, updated, listed) right away.
+		return this.store.create(hash, tag, params, options, prismId).then(() => {
+			return { hash };
+		});
 	});
 };
 
+// Returns a Date - throws if the value (of the named option) is not a valid date.
+Server.prototype.prepareDate = function(value, name) {
+	let date;
+	if (value instanceof Date) {
+		date = value;
+	} else if (typeof value === 'number' || (typeof value === 'string' && /^[0-9]+$/.test(value))) {
+		date = new Date(Number(value));
+	} else if (typeof value === 'string') {
+		date = new Date(value);
+	}
+	assert.ok(date && !Number.isNaN(date.getTime()), new HttpError(`Invalid option ("${name}"): Date, ISO 8601 string or timestamp (ms) expected`, 400));
+	return date;
+};
+
+// Data stores return the expiry as a Date, ISO 8601 string or timestamp (ms) - depending on the database.
+Server.prototype.isExpired = function(fetchedUrl) {
+	const { expiresAt } = fetchedUrl;
+	if (typeof expiresAt === 'undefined' || expiresAt === null) return false;
+	return new Date(expiresAt).getTime() <= Date.now();
+};
+
 Server.prototype.hasUrl = function(secret) {
 	const hash = createHash(secret);
 	return this.store.exists(hash);
@@ -649,6 +1100,427 @@ Server.prototype.unuseUrl = function(hash) {
 	return this.store.unuse(hash);
 };
 
+Server.prototype.debitUrl = function(hash, amount) {
+	return this.store.debit(hash, amount);
+};
+
+Server.prototype.creditUrl = function(hash, amount) {
+	return this.store.credit(hash, amount);
+};
+
+Server.prototype.rechargeUrl = function(hash, amount) {
+	return Promise.resolve().then(() => {
+		assert.ok(Number.isInteger(amount) && amount > 0, new HttpError('Invalid argument ("amount"): Integer greater than zero expected', 400));
+		return this.creditUrl(hash, amount);
+	}).then(ok => {
+		assert.ok(ok, new HttpError('Cannot recharge URL: Unknown URL or URL has no balance', 400));
+		this.notifyBalanceChange(hash);
+	});
+};
+
+// Resolves { urls, cursor } - pass the cursor to get the next page (null when there are no more).
+Server.prototype.listUrls = function(options) {
+	return Promise.resolve().then(() => {
+		const defaultOptions = {
+			tag: null,
+			apiKeyId: null,
+			createdAfter: null,
+			createdBefore: null,
+			// TRUE = no remaining uses, FALSE = not exhausted (or unlimited uses), NULL = both:
+			exhausted: null,
+			limit: 100,
+			cursor: null,
+		};
+		Object.keys(options || {}).forEach(key => {
+			assert.ok(key in defaultOptions, new HttpError(`Unknown option: "${key}"`, 400));
+		});
+		options = Object.assign({}, defaultOptions, options || {});
+		['tag', 'apiKeyId', 'cursor'].forEach(key => {
+			assert.ok(options[key] === null || typeof options[key] === 'string', new HttpError(`Invalid option ("${key}"): String expected`, 400));
+		});
+		['createdAfter', 'createdBefore'].forEach(key => {
+			if (options[key] !== null) {
+				options[key] = this.prepareDate(options[key], key);
+			}
+		});
+		assert.ok(options.exhausted === null || typeof options.exhausted === 'boolean', new HttpError('Invalid option ("exhausted"): Boolean expected', 400));
+		const { limit } = options;
+		assert.ok(Number.isInteger(limit) && limit > 0 && limit <= 1000, new HttpError('Invalid option ("limit"): Integer between 1 and 1000 expected', 400));
+		return this.store.list(options);
+	});
+};
+
+// Adds an entry to the uses ledger. Failing to do so must not change the outcome of the request.
+Server.prototype.recordUse = function(use) {
+	return Promise.resolve().then(() => {
+		const { hash, fetchedUrl, params, req, result, error } = use;
+		const { tag } = fetchedUrl;
+		const data = Object.assign({
+			hash,
+			tag,
+			apiKeyId: fetchedUrl.apiKeyId || null,
+			amount: null,
+			pr: null,
+			paymentHash: null,
+			remoteId: null,
+			ip: req.ip || null,
+			outcome: error ? 'failed' : 'processed',
+			reason: error ? error.message : null,
+		}, this.prepareUseDetails(tag, params, result));
+		return this.store.createUse(data);
+	}).catch(error => {
+		debug.error('Failed to record use:', error);
+	});
+};
+
+// Amount (msats), invoice, payment hash and remote node ID - depending on the subprotocol.
+Server.prototype.prepareUseDetails = function(tag, params, result) {
+	let details = {};
+	switch (tag) {
+		case 'withdrawRequest':
+			if (typeof params.pr === 'string') {
+				details.pr = params.pr;
+				try {
+					const decoded = bolt11.decode(params.pr);
+					details.amount = decoded.millisatoshis ? parseInt(decoded.millisatoshis) : null;
+					details.remoteId = decoded.payeeNodeKey || null;
+					details.paymentHash = getTagDataFromPaymentRequest(params.pr, 'payment_hash') || null;
+				} catch (error) {
+					// Invalid invoice - keep it as received.
+				}
+			}
+			break;
+		case 'payRequest':
+			if (typeof params.amount !== 'undefined' && Number.isInteger(Number(params.amount))) {
+				details.amount = Number(params.amount);
+			}
+			if (result && typeof result.pr === 'string') {
+				details.pr = result.pr;
+				details.paymentHash = getTagDataFromPaymentRequest(result.pr, 'payment_hash') || null;
+			}
+			break;
+		case 'channelRequest':
+		case 'hostedChannelRequest':
+			if (typeof params.remoteid === 'string') {
+				details.remoteId = params.remoteid;
+			}
+			break;
+	}
+	return details;
+};
+
+// Resolves { uses, cursor } - pass the cursor to get the next page (null when there are no more).
+Server.prototype.listUses = function(options) {
+	return Promise.resolve().then(() => {
+		const defaultOptions = {
+			hash: null,
+			tag: null,
+			apiKeyId: null,
+			// "processed" or "failed":
+			outcome: null,
+			createdAfter: null,
+			createdBefore: null,
+			limit: 100,
+			cursor: null,
+		};
+		Object.keys(options || {}).forEach(key => {
+			assert.ok(key in defaultOptions, new HttpError(`Unknown option: "${key}"`, 400));
+		});
+		options = Object.assign({}, defaultOptions, options || {});
+		['hash', 'tag', 'apiKeyId'].forEach(key => {
+			assert.ok(options[key] === null || typeof options[key] === 'string', new HttpError(`Invalid option ("${key}"): String expected`, 400));
+		});
+		assert.ok(options.outcome === null || ['processed', 'failed'].includes(options.outcome), new HttpError('Invalid option ("outcome"): Must be one of "processed", "failed"', 400));
+		['createdAfter', 'createdBefore'].forEach(key => {
+			if (options[key] !== null) {
+				options[key] = this.prepareDate(options[key], key);
+			}
+		});
+		const { limit, cursor } = options;
+		assert.ok(Number.isInteger(limit) && limit > 0 && limit <= 1000, new HttpError('Invalid option ("limit"): Integer between 1 and 1000 expected', 400));
+		assert.ok(cursor === null || (Number.isInteger(cursor) && cursor > 0), new HttpError('Invalid option ("cursor"): Integer greater than zero expected', 400));
+		return this.store.listUses(options);
+	});
+};
+
+// Permanently invalidate a URL (e.g a leaked voucher).
+Server.prototype.revokeUrl = function(hash) {
+	return this.store.revoke(hash).then(ok => {
+		assert.ok(ok, new HttpError('Cannot revoke URL: Unknown URL', 404));
+	});
+};
+
+// Update the params and/or number of uses of a URL.
+// Uses already consumed are subtracted from the new number of uses.
+Server.prototype.updateUrl = function(hash, changes) {
+	return Promise.resolve().then(() => {
+		changes = changes || {};
+		assert.strictEqual(typeof changes, 'object', new HttpError('Invalid argument ("changes"): Object expected', 400));
+		const { uses } = changes;
+		if (typeof uses !== 'undefined') {
+			assert.ok(Number.isInteger(uses) && uses >= 0, new HttpError('Invalid option ("uses"): Integer greater than or equal to zero expected', 400));
+		}
+		return this.fetchUrl(hash);
+	}).then(fetchedUrl => {
+		assert.ok(fetchedUrl, new HttpError('Cannot update URL: Unknown URL', 404));
+		assert.ok(!fetchedUrl.revokedAt, new HttpError('Cannot update URL: URL has been revoked', 400));
+		const { tag } = fetchedUrl;
+		let data = {};
+		let params = fetchedUrl.params;
+		if (typeof changes.params !== 'undefined') {
+			assert.strictEqual(typeof changes.params, 'object', new HttpError('Invalid option ("params"): Object expected', 400));
+			params = data.params = Object.assign({}, fetchedUrl.params, changes.params || {});
+		}
+		let uses = changes.uses;
+		if (tag === 'payRequest' && (params.disposable === false || params.disposable === 'false')) {
+			// LUD-11: Non-disposable (reusable) links can be used an unlimited number of times.
+			assert.ok(typeof uses === 'undefined' || uses === 0, new HttpError('Invalid option ("uses"): Must be 0 (unlimited) when "disposable" is false', 400));
+			uses = 0;
+		}
+		if (typeof uses !== 'undefined') {
+			const used = fetchedUrl.initialUses > 0 ? fetchedUrl.initialUses - fetchedUrl.remainingUses : 0;
+			data.initialUses = uses;
+			data.remainingUses = uses > 0 ? Math.max(uses - used, 0) : 0;
+		}
+		return this.validateSubProtocolParameters(tag, params).then(() => {
+			return this.store.update(hash, data);
+		});
+	}).then(ok => {
+		assert.ok(ok, new HttpError('Cannot update URL: Unknown URL', 404));
+	});
+};
+
+Server.prototype.setBalanceNotify = function(hash, balanceNotify) {
+	return this.store.setBalanceNotify(hash, balanceNotify);
+};
+
+// LUD-15: Let the wallet know that the balance of a withdrawRequest has changed.
+// This is done in the background; failures are logged but otherwise ignored.
+Server.prototype.notifyBalanceChange = function(hash) {
+	return this.fetchUrl(hash).then(fetchedUrl => {
+		if (!fetchedUrl || !fetchedUrl.balanceNotify) return;
+		const { balanceNotify } = fetchedUrl;
+		// The URL is provided by the wallet - never send requests to the server's own network.
+		return this.httpClient.request('post', balanceNotify, { allowPrivateHosts: false }).then(() => {
+			this.emit('withdrawRequest:balanceNotify:sent', { hash, balanceNotify });
+		});
+	}).catch(error => {
+		debug.error(error);
+		this.emit('withdrawRequest:balanceNotify:failed', { hash, error });
+	});
+};
+
+Server.prototype.getInvoiceVerifyUrl = function(paymentHash) {
+	const { endpoint } = this.options;
+	return this.getUrl(`${endpoint}/verify/${paymentHash}`);
+};
+
+Server.prototype.createInvoice = function(paymentHash, hash, pr, options) {
+	return this.store.createInvoice(paymentHash, hash, pr, options);
+};
+
+Server.prototype.fetchInvoice = function(paymentHash) {
+	return this.store.fetchInvoice(paymentHash);
+};
+
+// LUD-21: Check whether an invoice created by a payRequest has been settled.
+Server.prototype.verifyInvoice = function(paymentHash) {
+	return Promise.resolve().then(() => {
+		assert.ok(typeof paymentHash === 'string' && /^[0-9a-f]{64}$/.test(paymentHash), new HttpError('Not found', 404));
+		return this.fetchInvoice(paymentHash);
+	}).then(fetchedInvoice => {
+		assert.ok(fetchedInvoice, new HttpError('Not found', 404));
+		return this.checkInvoiceStatus(fetchedInvoice).then(invoiceStatus => {
+			const settled = !!(invoiceStatus && invoiceStatus.settled);
+			let preimage = settled && invoiceStatus.preimage || null;
+			if (Buffer.isBuffer(preimage)) {
+				preimage = preimage.toString('hex');
+			}
+			return {
+				status: 'OK',
+				settled,
+				preimage,
+				pr: fetchedInvoice.pr,
+			};
+		});
+	});
+};
+
+Server.prototype.checkInvoiceStatus = function(fetchedInvoice) {
+	return this.prepareSubProtocolContext(fetchedInvoice.apiKeyId).then(context => {
+		assert.ok(context.ln, 'Cannot check invoice status: Lightning Backend missing');
+		return context.ln.getInvoiceStatus(fetchedInvoice.paymentHash);
+	});
+};
+
+// NIP-57: Periodically check whether a zap invoice has been settled.
+// Once settled, a zap receipt is published to the relays listed in the zap request.
+Server.prototype.watchZapInvoice = function(paymentHash) {
+	const { checkInterval, checkTimeout } = this.options.nostr;
+	const giveUpTime = Date.now() + checkTimeout;
+	const next = () => {
+		if (Date.now() >= giveUpTime) {
+			delete this.zapWatchers[paymentHash];
+			return;
+		}
+		this.zapWatchers[paymentHash] = setTimeout(check, checkInterval);
+	};
+	const check = () => {
+		if (!this.store) return;
+		return this.fetchInvoice(paymentHash).then(fetchedInvoice => {
+			return this.checkInvoiceStatus(fetchedInvoice);
+		}).then(invoiceStatus => {
+			if (!invoiceStatus || !invoiceStatus.settled) return next();
+			delete this.zapWatchers[paymentHash];
+			return this.sendZapReceipt(paymentHash);
+		}).catch(error => {
+			delete this.zapWatchers[paymentHash];
+			debug.error(error);
+			this.emit('payRequest:zapReceipt:failed', { paymentHash, error });
+		});
+	};
+	next();
+};
+
+Server.prototype.createZapReceipt = function(zapRequest, fetchedInvoice, preimage) {
+	let tags = [];
+	['p', 'e', 'a'].forEach(name => {
+		const tag = nostr.getTags(zapRequest, name)[0];
+		if (tag) {
+			tags.push([name, tag[1]]);
+		}
+	});
+	tags.push(['P', zapRequest.pubkey]);
+	tags.push(['bolt11', fetchedInvoice.pr]);
+	tags.push(['description', fetchedInvoice.zapRequest]);
+	if (preimage) {
+		tags.push(['preimage', preimage]);
+	}
+	return nostr.signEvent({ kind: 9735, tags, content: '' }, this.options.nostr.privateKey);
+};
+
+Server.prototype.sendZapReceipt = function(paymentHash) {
+	return Promise.resolve().then(() => {
+		assert.ok(this.options.nostr.privateKey, 'Cannot send zap receipt: Missing nostr private key');
+		return this.fetchInvoice(paymentHash);
+	}).then(fetchedInvoice => {
+		assert.ok(fetchedInvoice && fetchedInvoice.zapRequest, `Cannot send zap receipt: Unknown zap invoice ("${paymentHash}")`);
+		return this.checkInvoiceStatus(fetchedInvoice).then(invoiceStatus => {
+			assert.ok(invoiceStatus && invoiceStatus.settled, 'Cannot send zap receipt: Invoice not settled');
+			let preimage = invoiceStatus.preimage || null;
+			if (Buffer.isBuffer(preimage)) {
+				preimage = preimage.toString('hex');
+			}
+			const zapRequest = JSON.parse(fetchedInvoice.zapRequest);
+			const event = this.createZapReceipt(zapRequest, fetchedInvoice, preimage);
+			const { maxRelays } = this.options.nostr;
+			// Zap requests are validated when received - but never connect to more (or other) relays than allowed.
+			const relays = nostr.getTags(zapRequest, 'relays')[0].slice(1).filter(nostr.isRelayUrl).slice(0, maxRelays);
+			const timeout = this.options.nostr.relayTimeout;
+			return this.nostrRelayPublisher.publish(event, relays, { timeout }).then(results => {
+				this.emit('payRequest:zapReceipt:published', { paymentHash, event, results });
+				return event;
+			});
+		});
+	});
+};
+
+Server.prototype.isValidLightningAddressUsername = function(username) {
+	// LUD-16: Only lowercase letters, digits, hyphens, underscores, periods and plus signs are allowed.
+	return typeof username === 'string' && /^[a-z0-9\-_.+]+$/.test(username);
+};
+
+// Without the port - clients send "user@domain".
+Server.prototype.getLightningAddressIdentifier = function(username) {
+	const { hostname } = new URL(this.options.url);
+	return `${username}@${hostname}`;
+};
+
+Server.prototype.getLightningAddressUrl = function(username) {
+	return this.getUrl(`/.well-known/lnurlp/${username}`);
+};
+
+Server.prototype.prepareLightningAddressParams = function(username, params) {
+	params = Object.assign({}, params || {});
+	if (typeof params.metadata === 'undefined') {
+		params.metadata = this.options.payRequest.metadata;
+	}
+	if (typeof params.metadata === 'string') {
+		let metadata;
+		try { metadata = JSON.parse(params.metadata); } catch (error) {
+			// Leave it to the payRequest validation to reject invalid metadata.
+			return params;
+		}
+		if (metadata instanceof Array && !metadata.some(entry => {
+			return entry instanceof Array && (entry[0] === 'text/identifier' || entry[0] === 'text/email');
+		})) {
+			// LUD-16: Metadata must include the internet identifier.
+			metadata.push(['text/identifier', this.getLightningAddressIdentifier(username)]);
+			params.metadata = JSON.stringify(metadata);
+		}
+	}
+	return params;
+};
+
+// LUD-16: The metadata must contain exactly one identifier, which must match the address.
+Server.prototype.checkLightningAddressMetadata = function(username, params) {
+	const identifiers = JSON.parse(params.metadata).filter(entry => {
+		return entry[0] === 'text/identifier' || entry[0] === 'text/email';
+	});
+	assert.strictEqual(identifiers.length, 1, new HttpError('Invalid parameter ("metadata"): Lightning Address must contain exactly one "text/identifier" or "text/email" entry', 400));
+	const [ type, content ] = identifiers[0];
+	if (type === 'text/identifier') {
+		const identifier = this.getLightningAddressIdentifier(username);
+		assert.strictEqual(content, identifier, new HttpError(`Invalid parameter ("metadata"): "text/identifier" must be "${identifier}"`, 400));
+	}
+};
+
+Server.prototype.addLightningAddress = function(username, params, options) {
+	return Promise.resolve().then(() => {
+		assert.ok(this.isValidLightningAddressUsername(username), new HttpError('Invalid username: Only a-z, 0-9, "-", "_", "." and "+" are allowed', 400));
+		options = Object.assign({}, {
+			apiKeyId: null,
+		}, options || {});
+		params = this.prepareLightningAddressParams(username, params);
+		return this.validateSubProtocolParameters('payRequest', params).then(() => {
+			this.checkLightningAddressMetadata(username, params);
+			return this.fetchLightningAddress(username);
+		}).then(fetchedAddress => {
+			assert.ok(!fetchedAddress, new HttpError(`Lightning Address already exists: "${username}"`, 400));
+			return this.store.createAddress(username, params, options);
+		}).then(() => {
+			const address = this.getLightningAddressIdentifier(username);
+			const url = this.getLightningAddressUrl(username);
+			return { address, username, url };
+		});
+	});
+};
+
+// Key of a Lightning Address in the uses ledger and its invoices.
+// The username is the secret passed to the payRequest subprotocol - so this is the hash of the secret, like for URLs.
+Server.prototype.getLightningAddressHash = function(username) {
+	return createHash(username);
+};
+
+Server.prototype.fetchLightningAddress = function(username) {
+	return this.store.fetchAddress(username);
+};
+
+Server.prototype.updateLightningAddress = function(username, params) {
+	return this.fetchLightningAddress(username).then(fetchedAddress => {
+		assert.ok(fetchedAddress, new HttpError(`Unknown Lightning Address: "${username}"`, 404));
+		params = this.prepareLightningAddressParams(username, Object.assign({}, fetchedAddress.params, params || {}));
+		return this.validateSubProtocolParameters('payRequest', params).then(() => {
+			this.checkLightningAddressMetadata(username, params);
+			return this.store.updateAddress(username, params);
+		});
+	});
+};
+
+Server.prototype.removeLightningAddress = function(username) {
+	return this.store.deleteAddress(username);
+};
+
 Server.prototype.generateSecret = function() {
 	return Promise.resolve().then(() => {
 		let secret;
@@ -677,6 +1549,69 @@ Server.prototype.isValidSignedQuery = function(query, key) {
 	return isValidSignedQuery(query, key);
 };
 
+// Admin API requests are signed with the same scheme as signed LNURLs.
+// The signed payload also includes the request method and path (relative to the server's URL).
+Server.prototype.isValidAdminRequest = function(req, apiKey) {
+	const key = Buffer.from(apiKey.key, apiKey.encoding);
+	const query = Object.assign({}, req.query, { method: req.method, path: req.path });
+	return this.isValidSignedQuery(query, key);
+};
+
+// Returns FALSE if the nonce was already used.
+Server.prototype.useAdminNonce = function(nonce, expiresAt) {
+	const now = Date.now();
+	this.adminNonces.forEach((value, key) => {
+		if (value <= now) {
+			this.adminNonces.delete(key);
+		}
+	});
+	if (this.adminNonces.has(nonce)) {
+		return false;
+	}
+	this.adminNonces.set(nonce, expiresAt);
+	return true;
+};
+
+// LUD-18: k1 for the payer to sign - valid once, for the URL (or Lightning Address) of the secret.
+// Random nonce (4 bytes) + expiry (4 bytes, seconds) + HMAC of both and the secret (24 bytes).
+// Nothing is kept until the k1 is used - see usePayerDataAuthK1.
+Server.prototype.issuePayerDataAuthK1 = function(secret) {
+	let payload = Buffer.alloc(8);
+	crypto.randomBytes(4).copy(payload);
+	payload.writeUInt32BE(Math.ceil((Date.now() + payerDataAuthK1MaxAge) / 1000), 4);
+	return Buffer.concat([payload, this.signPayerDataAuthK1(payload, secret)]).toString('hex');
+};
+
+Server.prototype.signPayerDataAuthK1 = function(payload, secret) {
+	return crypto.createHmac('sha256', this.payerDataSecret).update(payload).update(secret).digest().slice(0, 24);
+};
+
+Server.prototype.isValidPayerDataAuthK1 = function(k1, secret) {
+	if (typeof k1 !== 'string' || !/^[0-9a-f]{64}$/.test(k1)) {
+		return false;
+	}
+	const value = Buffer.from(k1, 'hex');
+	const payload = value.slice(0, 8);
+	return payload.readUInt32BE(4) * 1000 > Date.now() && crypto.timingSafeEqual(value.slice(8), this.signPayerDataAuthK1(payload, secret));
+};
+
+// Resolves false if the k1 was already used.
+Server.prototype.usePayerDataAuthK1 = function(k1) {
+	const expiresAt = new Date(Buffer.from(k1, 'hex').readUInt32BE(4) * 1000);
+	return this.store.useNonce(`payerData:${k1}`, expiresAt);
+};
+
+// Timestamps are returned in different formats depending on the data store - use ISO 8601 strings.
+Server.prototype.serializeTimestamps = function(data) {
+	data = Object.assign({}, data);
+	['createdAt', 'updatedAt', 'expiresAt', 'revokedAt'].forEach(key => {
+		if (data[key] !== null && typeof data[key] !== 'undefined') {
+			data[key] = new Date(data[key]).toISOString();
+		}
+	});
+	return data;
+};
+
 Server.prototype.close = function(options) {
 	return Promise.resolve().then(() => {
 		debug.info('Closing lnurl server...');
@@ -686,6 +1621,10 @@ Server.prototype.close = function(options) {
 			// Whether or not to close the data store:
 			store: true,
 		}, options || {});
+		Object.values(this.zapWatchers).forEach(timer => {
+			clearTimeout(timer);
+		});
+		this.zapWatchers = {};
 		let promises = [];
 		if (options.store && this.store) {
 			promises.push(this.store.close().then(() => {
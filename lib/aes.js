@@ -0,0 +1,46 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { isHex } = require('lnurl-offline');
+
+// LUD-10: AES-256-CBC with the payment preimage as the key.
+const algorithm = 'aes-256-cbc';
+
+const prepareKey = function(preimage) {
+	assert.ok(preimage, 'Missing required argument: "preimage"');
+	if (typeof preimage === 'string' && isHex(preimage)) {
+		preimage = Buffer.from(preimage, 'hex');
+	}
+	assert.ok(Buffer.isBuffer(preimage), 'Invalid argument ("preimage"): Hex-encoded string or buffer expected.');
+	assert.strictEqual(preimage.length, 32, 'Invalid argument ("preimage"): 32 bytes expected.');
+	return preimage;
+};
+
+module.exports = {
+	encrypt: function(plaintext, preimage) {
+		assert.strictEqual(typeof plaintext, 'string', 'Invalid argument ("plaintext"): String expected.');
+		const key = prepareKey(preimage);
+		const iv = crypto.randomBytes(16);
+		const cipher = crypto.createCipheriv(algorithm, key, iv);
+		const ciphertext = Buffer.concat([
+			cipher.update(Buffer.from(plaintext, 'utf8')),
+			cipher.final(),
+		]);
+		return {
+			ciphertext: ciphertext.toString('base64'),
+			iv: iv.toString('base64'),
+		};
+	},
+	decrypt: function(ciphertext, iv, preimage) {
+		assert.strictEqual(typeof ciphertext, 'string', 'Invalid argument ("ciphertext"): Base64-encoded string expected.');
+		assert.strictEqual(typeof iv, 'string', 'Invalid argument ("iv"): Base64-encoded string expected.');
+		const key = prepareKey(preimage);
+		iv = Buffer.from(iv, 'base64');
+		assert.strictEqual(iv.length, 16, 'Invalid argument ("iv"): 16 bytes expected.');
+		const decipher = crypto.createDecipheriv(algorithm, key, iv);
+		const plaintext = Buffer.concat([
+			decipher.update(Buffer.from(ciphertext, 'base64')),
+			decipher.final(),
+		]);
+		return plaintext.toString('utf8');
+	},
+};
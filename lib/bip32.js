@@ -0,0 +1,71 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const secp256k1 = require('secp256k1');
+
+// Minimal BIP32 (hierarchical deterministic keys) implementation.
+// Only private key derivation is supported.
+// See: https://github.com/bitcoin/bips/blob/master/bip-0032.mediawiki
+
+const HARDENED_OFFSET = 0x80000000;
+
+const hmacSha512 = function(key, data) {
+	return crypto.createHmac('sha512', key).update(data).digest();
+};
+
+const ser32 = function(index) {
+	const buffer = Buffer.alloc(4);
+	buffer.writeUInt32BE(index, 0);
+	return buffer;
+};
+
+module.exports = {
+	HARDENED_OFFSET,
+	fromSeed: function(seed) {
+		assert.ok(Buffer.isBuffer(seed), 'Invalid argument ("seed"): Buffer expected.');
+		assert.ok(seed.length >= 16 && seed.length <= 64, 'Invalid argument ("seed"): Must be between 16 and 64 bytes.');
+		const I = hmacSha512(Buffer.from('Bitcoin seed', 'utf8'), seed);
+		const privateKey = I.slice(0, 32);
+		const chainCode = I.slice(32);
+		assert.ok(secp256k1.privateKeyVerify(privateKey), 'Invalid seed: Derived private key is invalid.');
+		return { privateKey, chainCode };
+	},
+	deriveChild: function(node, index) {
+		const { privateKey, chainCode } = node;
+		assert.ok(Number.isInteger(index) && index >= 0 && index <= 0xffffffff, 'Invalid argument ("index"): Unsigned 32-bit integer expected.');
+		let data;
+		if (index >= HARDENED_OFFSET) {
+			data = Buffer.concat([Buffer.alloc(1, 0), privateKey, ser32(index)]);
+		} else {
+			const publicKey = Buffer.from(secp256k1.publicKeyCreate(privateKey, true));
+			data = Buffer.concat([publicKey, ser32(index)]);
+		}
+		const I = hmacSha512(chainCode, data);
+		const IL = I.slice(0, 32);
+		assert.ok(secp256k1.privateKeyVerify(IL), `Cannot derive child key (index = ${index}): Invalid key`);
+		// Copy the parent private key because the tweak is applied in-place.
+		const childKey = Buffer.from(secp256k1.privateKeyTweakAdd(Buffer.from(privateKey), IL));
+		return { privateKey: childKey, chainCode: I.slice(32) };
+	},
+	parsePath: function(path) {
+		assert.strictEqual(typeof path, 'string', 'Invalid argument ("path"): String expected.');
+		const parts = path.split('/');
+		assert.strictEqual(parts.shift(), 'm', 'Invalid argument ("path"): Must start with "m"');
+		return parts.map(part => {
+			const match = part.match(/^([0-9]+)('|h)?$/);
+			assert.ok(match, `Invalid argument ("path"): Invalid index "${part}"`);
+			const index = parseInt(match[1]);
+			if (match[2]) {
+				assert.ok(index < HARDENED_OFFSET, `Invalid argument ("path"): Index out of range "${part}"`);
+				return index + HARDENED_OFFSET;
+			}
+			// Raw indexes greater than or equal to 2^31 are hardened (e.g LUD-05 derivation paths).
+			assert.ok(index <= 0xffffffff, `Invalid argument ("path"): Index out of range "${part}"`);
+			return index;
+		});
+	},
+	derivePath: function(node, path) {
+		return this.parsePath(path).reduce((node, index) => {
+			return this.deriveChild(node, index);
+		}, node);
+	},
+};
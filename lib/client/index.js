@@ -0,0 +1,325 @@
+const aes = require('../aes');
+const assert = require('assert');
+const BigNumber = require('bignumber.js');
+const bolt11 = require('bolt11');
+const createAuthorizationSignature = require('../createAuthorizationSignature');
+const createHash = require('../createHash');
+const httpClient = require('../httpClient');
+const LnurlError = require('../LnurlError');
+const parse = require('../parse');
+const secp256k1 = require('secp256k1');
+
+// LNURL wallet client.
+// See: https://github.com/fiatjaf/lnurl-rfc
+
+const isValidUrl = function(value) {
+	if (typeof value !== 'string') return false;
+	try { value = new URL(value); } catch (error) {
+		return false;
+	}
+	return value.protocol === 'https:' || value.protocol === 'http:';
+};
+
+const isInteger = function(value) {
+	return Number.isInteger(value) || (typeof value === 'string' && /^[0-9]+$/.test(value));
+};
+
+const checkCallback = function(info) {
+	assert.ok(isValidUrl(info.callback), new LnurlError('Invalid response: "callback" must be a valid URL', 'response'));
+};
+
+const checkK1 = function(info) {
+	assert.ok(typeof info.k1 === 'string' && info.k1.length > 0, new LnurlError('Invalid response: Missing "k1"', 'response'));
+};
+
+const checkAmounts = function(info, minKey, maxKey) {
+	[minKey, maxKey].forEach(key => {
+		assert.ok(isInteger(info[key]), new LnurlError(`Invalid response: "${key}" must be an integer`, 'response'));
+	});
+	const min = new BigNumber(info[minKey]);
+	const max = new BigNumber(info[maxKey]);
+	assert.ok(max.isGreaterThanOrEqualTo(min), new LnurlError(`Invalid response: "${maxKey}" must be greater than or equal to "${minKey}"`, 'response'));
+	return { min: min.toNumber(), max: max.toNumber() };
+};
+
+const pick = function(info, keys) {
+	let picked = {};
+	keys.forEach(key => {
+		if (typeof info[key] !== 'undefined' && info[key] !== null) {
+			picked[key] = info[key];
+		}
+	});
+	return picked;
+};
+
+// Validate and normalize the info response for each tag.
+const prepareParams = {
+	channelRequest: function(info) {
+		assert.ok(typeof info.uri === 'string' && /^[^@\s]+@[^@\s]+$/.test(info.uri), new LnurlError('Invalid response: "uri" must be a node URI (e.g "PUBKEY@HOST:PORT")', 'response'));
+		checkCallback(info);
+		checkK1(info);
+		return pick(info, ['uri', 'callback', 'k1']);
+	},
+	hostedChannelRequest: function(info) {
+		assert.ok(typeof info.uri === 'string' && /^[^@\s]+@[^@\s]+$/.test(info.uri), new LnurlError('Invalid response: "uri" must be a node URI (e.g "PUBKEY@HOST:PORT")', 'response'));
+		checkK1(info);
+		return pick(info, ['uri', 'k1', 'alias']);
+	},
+	login: function(info) {
+		checkK1(info);
+		assert.ok(/^[0-9a-f]{64}$/i.test(info.k1), new LnurlError('Invalid "k1": 32 bytes hex expected', 'response'));
+		if (typeof info.action !== 'undefined' && info.action !== null) {
+			assert.ok(['register', 'login', 'link', 'auth'].includes(info.action), new LnurlError(`Invalid "action": "${info.action}"`, 'response'));
+		}
+		return pick(info, ['callback', 'k1', 'action']);
+	},
+	payRequest: function(info) {
+		checkCallback(info);
+		const { min, max } = checkAmounts(info, 'minSendable', 'maxSendable');
+		assert.ok(min > 0, new LnurlError('Invalid response: "minSendable" must be greater than zero', 'response'));
+		assert.strictEqual(typeof info.metadata, 'string', new LnurlError('Invalid response: "metadata" must be a string', 'response'));
+		let metadata;
+		try { metadata = JSON.parse(info.metadata); } catch (error) {
+			throw new LnurlError('Invalid response: "metadata" must be valid stringified JSON', 'response');
+		}
+		assert.ok(metadata instanceof Array && metadata.every(entry => entry instanceof Array), new LnurlError('Invalid response: "metadata" must be a stringified JSON array of arrays', 'response'));
+		const plainText = metadata.filter(entry => entry[0] === 'text/plain');
+		assert.strictEqual(plainText.length, 1, new LnurlError('Invalid response: "metadata" must contain exactly one "text/plain" entry', 'response'));
+		if (typeof info.commentAllowed !== 'undefined') {
+			assert.ok(isInteger(info.commentAllowed), new LnurlError('Invalid response: "commentAllowed" must be an integer', 'response'));
+		}
+		if (typeof info.payerData !== 'undefined' && info.payerData !== null) {
+			assert.ok(typeof info.payerData === 'object' && !(info.payerData instanceof Array), new LnurlError('Invalid response: "payerData" must be an object', 'response'));
+		}
+		let params = pick(info, ['callback', 'metadata', 'successAction', 'payerData', 'allowsNostr', 'nostrPubkey', 'disposable']);
+		return Object.assign(params, {
+			minSendable: min,
+			maxSendable: max,
+			commentAllowed: parseInt(info.commentAllowed || 0),
+			description: plainText[0][1],
+			decodedMetadata: metadata,
+		});
+	},
+	withdrawRequest: function(info) {
+		checkCallback(info);
+		checkK1(info);
+		const { min, max } = checkAmounts(info, 'minWithdrawable', 'maxWithdrawable');
+		if (typeof info.defaultDescription !== 'undefined') {
+			assert.strictEqual(typeof info.defaultDescription, 'string', new LnurlError('Invalid response: "defaultDescription" must be a string', 'response'));
+		}
+		let params = pick(info, ['callback', 'k1', 'balanceCheck', 'payLink']);
+		if (typeof info.currentBalance !== 'undefined') {
+			assert.ok(isInteger(info.currentBalance), new LnurlError('Invalid response: "currentBalance" must be an integer', 'response'));
+			params.currentBalance = parseInt(info.currentBalance);
+		}
+		return Object.assign(params, {
+			minWithdrawable: min,
+			maxWithdrawable: max,
+			defaultDescription: info.defaultDescription || '',
+		});
+	},
+};
+
+const getInvoiceTag = function(decoded, tagName) {
+	const tag = decoded.tags.find(tag => tag.tagName === tagName);
+	return tag ? tag.data : null;
+};
+
+// LUD-09, LUD-10: Validate the successAction of a payRequest action.
+const prepareSuccessAction = function(successAction, callback) {
+	if (typeof successAction === 'undefined' || successAction === null) {
+		return null;
+	}
+	assert.ok(typeof successAction === 'object', new LnurlError('Invalid response: "successAction" must be an object', 'response'));
+	switch (successAction.tag) {
+		case 'message':
+			assert.strictEqual(typeof successAction.message, 'string', new LnurlError('Invalid successAction (tag = "message"): Invalid property ("message"): String expected', 'response'));
+			return pick(successAction, ['tag', 'message']);
+		case 'url':
+			assert.ok(isValidUrl(successAction.url), new LnurlError('Invalid successAction (tag = "url"): Invalid property ("url"): Valid URL expected', 'response'));
+			assert.strictEqual(new URL(successAction.url).hostname, new URL(callback).hostname, new LnurlError('Invalid successAction (tag = "url"): Domain must match the domain of the callback URL', 'response'));
+			return Object.assign({ description: '' }, pick(successAction, ['tag', 'url', 'description']));
+		case 'aes':
+			['ciphertext', 'iv'].forEach(key => {
+				assert.strictEqual(typeof successAction[key], 'string', new LnurlError(`Invalid successAction (tag = "aes"): Invalid property ("${key}"): String expected`, 'response'));
+			});
+			return Object.assign({ description: '' }, pick(successAction, ['tag', 'description', 'ciphertext', 'iv']));
+		default:
+			throw new LnurlError(`Invalid successAction: Unknown tag "${successAction.tag}"`, 'response');
+	}
+};
+
+module.exports = {
+	// Used to make HTTP requests to LNURL services.
+	// Can be replaced with a custom client - must implement request(method, url[, options]).
+	httpClient,
+	// Fetch (if needed) and validate the parameters of an LNURL service.
+	getParams: function(input, options) {
+		return Promise.resolve().then(() => {
+			options = Object.assign({}, {
+				// Maximum time (ms) to wait for the service to respond:
+				timeout: 10000,
+			}, options || {});
+			let parsed;
+			try { parsed = parse(input); } catch (error) {
+				throw new LnurlError(error.message, 'input');
+			}
+			const { url, tag } = parsed;
+			const { hostname, searchParams } = new URL(url);
+			if (tag === 'login') {
+				// LUD-04: Login LNURLs are not fetched.
+				const info = {
+					callback: url,
+					k1: searchParams.get('k1'),
+					action: searchParams.get('action'),
+				};
+				return Object.assign({ tag, domain: hostname }, prepareParams.login(info));
+			}
+			if (tag === 'withdrawRequest' && searchParams.get('k1') && searchParams.get('callback')) {
+				// LUD-08: Fast withdrawRequest includes all parameters in the URL.
+				return this.prepareParams(Object.fromEntries(searchParams.entries()), hostname);
+			}
+			return this.request('get', url, { timeout: options.timeout }).then(info => {
+				return this.prepareParams(info, hostname);
+			});
+		});
+	},
+	// Request an invoice from a payRequest service (LUD-06).
+	// The invoice is checked against the amount and the metadata before it is returned.
+	pay: function(input, amount, options) {
+		return Promise.resolve().then(() => {
+			options = Object.assign({}, {
+				// LUD-12: Comment to send to the service:
+				comment: null,
+				// LUD-18: Payer data to send to the service:
+				payerData: null,
+				// Maximum time (ms) to wait for the service to respond:
+				timeout: 10000,
+			}, options || {});
+			assert.ok(Number.isInteger(amount) && amount > 0, new LnurlError('Invalid argument ("amount"): Integer greater than zero expected', 'input'));
+			return this.getParams(input, { timeout: options.timeout });
+		}).then(params => {
+			assert.strictEqual(params.tag, 'payRequest', new LnurlError(`Invalid input: Expected a payRequest (tag = "${params.tag}")`, 'input'));
+			const { minSendable, maxSendable, commentAllowed } = params;
+			assert.ok(amount >= minSendable, new LnurlError(`Amount must be greater than or equal to "minSendable" (${minSendable})`, 'input'));
+			assert.ok(amount <= maxSendable, new LnurlError(`Amount must be less than or equal to "maxSendable" (${maxSendable})`, 'input'));
+			const { comment, payerData } = options;
+			let qs = { amount };
+			if (comment) {
+				assert.strictEqual(typeof comment, 'string', new LnurlError('Invalid option ("comment"): String expected', 'input'));
+				assert.ok(comment.length <= commentAllowed, new LnurlError(`"comment" length must be less than or equal to ${commentAllowed}`, 'input'));
+				qs.comment = comment;
+			}
+			// The description hash of the invoice commits to the metadata (and payer data).
+			let description = params.metadata;
+			if (payerData) {
+				qs.payerdata = typeof payerData === 'string' ? payerData : JSON.stringify(payerData);
+				description += qs.payerdata;
+			}
+			return this.request('get', params.callback, { qs, timeout: options.timeout }).then(result => {
+				const { pr, verify } = result;
+				assert.ok(typeof pr === 'string' && pr.length > 0, new LnurlError('Invalid response: Missing "pr"', 'response'));
+				let decoded;
+				try { decoded = bolt11.decode(pr); } catch (error) {
+					throw new LnurlError('Invalid response: Invalid payment request ("pr")', 'response');
+				}
+				assert.strictEqual(decoded.millisatoshis, String(amount), new LnurlError('Invalid response: Amount of invoice does not match the requested amount', 'response'));
+				const descriptionHash = getInvoiceTag(decoded, 'purpose_commit_hash');
+				assert.strictEqual(descriptionHash, createHash(Buffer.from(description, 'utf8')), new LnurlError('Invalid response: Description hash of invoice does not match the metadata', 'response'));
+				return {
+					pr,
+					paymentHash: getInvoiceTag(decoded, 'payment_hash'),
+					successAction: prepareSuccessAction(result.successAction, params.callback),
+					verify: verify || null,
+					params,
+				};
+			});
+		});
+	},
+	// Withdraw from a withdrawRequest service (LUD-03).
+	// The createInvoice function receives the params and must return (or resolve with) a bolt11 invoice.
+	withdraw: function(input, createInvoice, options) {
+		return Promise.resolve().then(() => {
+			options = Object.assign({}, {
+				// LUD-15: URL which the service can call when the balance changes:
+				balanceNotify: null,
+				// Maximum time (ms) to wait for the service to respond:
+				timeout: 10000,
+			}, options || {});
+			assert.strictEqual(typeof createInvoice, 'function', new LnurlError('Invalid argument ("createInvoice"): Function expected', 'input'));
+			return this.getParams(input, { timeout: options.timeout });
+		}).then(params => {
+			assert.strictEqual(params.tag, 'withdrawRequest', new LnurlError(`Invalid input: Expected a withdrawRequest (tag = "${params.tag}")`, 'input'));
+			return Promise.resolve(createInvoice(params)).then(pr => {
+				assert.ok(typeof pr === 'string' && pr.length > 0, new LnurlError('Invalid invoice: String expected', 'input'));
+				let decoded;
+				try { decoded = bolt11.decode(pr); } catch (error) {
+					throw new LnurlError('Invalid invoice: Lightning Network invoice expected', 'input');
+				}
+				const { minWithdrawable, maxWithdrawable } = params;
+				const amount = new BigNumber(decoded.millisatoshis);
+				assert.ok(amount.isGreaterThanOrEqualTo(minWithdrawable), new LnurlError(`Amount in invoice must be greater than or equal to "minWithdrawable" (${minWithdrawable})`, 'input'));
+				assert.ok(amount.isLessThanOrEqualTo(maxWithdrawable), new LnurlError(`Amount in invoice must be less than or equal to "maxWithdrawable" (${maxWithdrawable})`, 'input'));
+				let qs = { k1: params.k1, pr };
+				if (options.balanceNotify) {
+					qs.balanceNotify = options.balanceNotify;
+				}
+				return this.request('get', params.callback, { qs, timeout: options.timeout }).then(() => {
+					return { status: 'OK', pr, params };
+				});
+			});
+		});
+	},
+	// Login to a service (LUD-04) by signing k1 with the linking private key.
+	login: function(input, linkingPrivKey, options) {
+		return Promise.resolve().then(() => {
+			options = Object.assign({}, {
+				// Maximum time (ms) to wait for the service to respond:
+				timeout: 10000,
+			}, options || {});
+			if (typeof linkingPrivKey === 'string' && /^[0-9a-f]{64}$/i.test(linkingPrivKey)) {
+				linkingPrivKey = Buffer.from(linkingPrivKey, 'hex');
+			}
+			assert.ok(Buffer.isBuffer(linkingPrivKey) && secp256k1.privateKeyVerify(linkingPrivKey), new LnurlError('Invalid argument ("linkingPrivKey"): Hex-encoded string or buffer expected', 'input'));
+			return this.getParams(input, { timeout: options.timeout });
+		}).then(params => {
+			assert.strictEqual(params.tag, 'login', new LnurlError(`Invalid input: Expected a login URL (tag = "${params.tag}")`, 'input'));
+			const sig = createAuthorizationSignature(Buffer.from(params.k1, 'hex'), linkingPrivKey).toString('hex');
+			const key = Buffer.from(secp256k1.publicKeyCreate(linkingPrivKey)).toString('hex');
+			return this.request('get', params.callback, { qs: { sig, key }, timeout: options.timeout }).then(() => {
+				return { status: 'OK', key, params };
+			});
+		});
+	},
+	// LUD-10: Decrypt an "aes" successAction with the preimage of the paid invoice.
+	decryptSuccessAction: function(successAction, preimage) {
+		assert.ok(successAction && successAction.tag === 'aes', new LnurlError('Invalid argument ("successAction"): Expected tag "aes"', 'input'));
+		const { description, ciphertext, iv } = successAction;
+		let plaintext;
+		try { plaintext = aes.decrypt(ciphertext, iv, preimage); } catch (error) {
+			throw new LnurlError(`Failed to decrypt successAction: ${error.message}`, 'input');
+		}
+		return { tag: 'aes', description, plaintext };
+	},
+	// Validate the info response of an LNURL service.
+	prepareParams: function(info, domain) {
+		assert.ok(info && typeof info === 'object' && !(info instanceof Array), new LnurlError('Invalid response: JSON object expected', 'response'));
+		const { tag } = info;
+		assert.ok(tag, new LnurlError('Invalid response: Missing "tag"', 'response'));
+		assert.ok(prepareParams[tag], new LnurlError(`Unsupported tag: "${tag}"`, 'response'));
+		return Object.assign({ tag, domain: domain || null }, prepareParams[tag](info));
+	},
+	// Make a request to an LNURL service. Error responses are rejected as LnurlError.
+	request: function(method, url, options) {
+		return this.httpClient.request(method, url, options).catch(error => {
+			throw new LnurlError(`Request failed: ${error.message}`, 'request');
+		}).then(result => {
+			const { body } = result;
+			if (body && typeof body === 'object' && body.status === 'ERROR') {
+				throw new LnurlError(body.reason || 'Unknown error', 'service');
+			}
+			assert.ok(body && typeof body === 'object', new LnurlError(`Invalid response: JSON object expected (status = ${result.status})`, 'response'));
+			return body;
+		});
+	},
+};
@@ -1,9 +1,13 @@
 const assert = require('assert');
 const { bech32 } = require('bech32');
 const rules = require('../bech32-rules.json');
+const schemes = require('./schemes');
 
 module.exports = function(encoded) {
 	assert.strictEqual(typeof encoded, 'string', 'Invalid argument ("encoded"): String expected');
+	if (schemes.isSchemeUri(encoded)) {
+		return schemes.toUrl(encoded);
+	}
 	let decoded = bech32.decode(encoded, rules.limit);
 	return Buffer.from(bech32.fromWords(decoded.words)).toString('utf8');
 };
@@ -0,0 +1,42 @@
+const assert = require('assert');
+const bip32 = require('./bip32');
+const getLinkingKeyDerivationPath = require('./getLinkingKeyDerivationPath');
+const { isHex } = require('lnurl-offline');
+const secp256k1 = require('secp256k1');
+
+const toBuffer = function(value) {
+	if (typeof value === 'string' && isHex(value)) {
+		return Buffer.from(value, 'hex');
+	}
+	if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+		return Buffer.from(value);
+	}
+	return value;
+};
+
+// LUD-05: Derive the linking key for a domain from a wallet's seed or master HD key.
+module.exports = function(seed, domain) {
+	assert.ok(seed, 'Missing required argument: "seed"');
+	let node;
+	if (typeof seed === 'object' && !Buffer.isBuffer(seed) && !(seed instanceof Uint8Array)) {
+		// HD key object (e.g from the "bip32" or "hdkey" modules).
+		const privateKey = toBuffer(seed.privateKey);
+		const chainCode = toBuffer(seed.chainCode);
+		assert.ok(Buffer.isBuffer(privateKey) && Buffer.isBuffer(chainCode), 'Invalid argument ("seed"): HD key must have "privateKey" and "chainCode"');
+		node = { privateKey, chainCode };
+	} else {
+		seed = toBuffer(seed);
+		assert.ok(Buffer.isBuffer(seed), 'Invalid argument ("seed"): Hex-encoded string, buffer or HD key expected.');
+		node = bip32.fromSeed(seed);
+	}
+	assert.ok(domain, 'Missing required argument: "domain"');
+	assert.strictEqual(typeof domain, 'string', 'Invalid argument ("domain"): String expected.');
+	if (domain.indexOf('://') !== -1) {
+		domain = new URL(domain).hostname;
+	}
+	const hashingKey = bip32.derivePath(node, "m/138'/0").privateKey;
+	const path = getLinkingKeyDerivationPath(hashingKey, domain);
+	const privKey = bip32.derivePath(node, path).privateKey;
+	const pubKey = Buffer.from(secp256k1.publicKeyCreate(privKey));
+	return { privKey, pubKey };
+};
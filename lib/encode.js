@@ -1,9 +1,18 @@
 const assert = require('assert');
 const { bech32 } = require('bech32');
 const rules = require('../bech32-rules.json');
+const schemes = require('./schemes');
 
-module.exports = function(unencoded) {
+module.exports = function(unencoded, options) {
 	assert.strictEqual(typeof unencoded, 'string', 'Invalid argument ("unencoded"): String expected');
+	options = Object.assign({}, {
+		// When set, the URL is encoded with the LUD-17 scheme prefix for the tag (e.g "lnurlw://..").
+		tag: null,
+	}, options || {});
+	unencoded = schemes.toUrl(unencoded);
+	if (options.tag) {
+		return schemes.fromUrl(unencoded, options.tag);
+	}
 	let words = bech32.toWords(Buffer.from(unencoded, 'utf8'));
 	return bech32.encode(rules.prefix, words, rules.limit);
 };
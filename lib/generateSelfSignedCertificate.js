@@ -0,0 +1,145 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const net = require('net');
+
+// Minimal DER encoding - only what is needed to build an X.509 certificate.
+
+const encodeLength = function(length) {
+	if (length < 0x80) {
+		return Buffer.from([length]);
+	}
+	let bytes = [];
+	while (length > 0) {
+		bytes.unshift(length & 0xff);
+		length = length >>> 8;
+	}
+	return Buffer.from([0x80 | bytes.length].concat(bytes));
+};
+
+const der = function(tag, content) {
+	if (content instanceof Array) {
+		content = Buffer.concat(content);
+	}
+	return Buffer.concat([Buffer.from([tag]), encodeLength(content.length), content]);
+};
+
+const sequence = content => der(0x30, content);
+const set = content => der(0x31, content);
+
+const integer = function(value) {
+	if (typeof value === 'number') {
+		value = Buffer.from([value]);
+	}
+	// DER requires the shortest encoding - no leading zero bytes.
+	while (value.length > 1 && value[0] === 0) {
+		value = value.slice(1);
+	}
+	// Prevent the value from being read as a negative number.
+	if (value[0] & 0x80) {
+		value = Buffer.concat([Buffer.from([0]), value]);
+	}
+	return der(0x02, value);
+};
+
+const objectIdentifier = function(oid) {
+	const parts = oid.split('.').map(Number);
+	let bytes = [parts[0] * 40 + parts[1]];
+	parts.slice(2).forEach(part => {
+		let encoded = [part & 0x7f];
+		while ((part = Math.floor(part / 128)) > 0) {
+			encoded.unshift((part & 0x7f) | 0x80);
+		}
+		bytes = bytes.concat(encoded);
+	});
+	return der(0x06, Buffer.from(bytes));
+};
+
+const time = function(date) {
+	// UTCTime for years before 2050, GeneralizedTime otherwise (RFC 5280).
+	const iso = date.toISOString().replace(/[-:T]/g, '').substr(0, 14) + 'Z';
+	if (date.getUTCFullYear() < 2050) {
+		return der(0x17, Buffer.from(iso.substr(2), 'ascii'));
+	}
+	return der(0x18, Buffer.from(iso, 'ascii'));
+};
+
+const oids = {
+	commonName: '2.5.4.3',
+	ecdsaWithSha256: '1.2.840.10045.4.3.2',
+	subjectAltName: '2.5.29.17',
+};
+
+const encodeIpAddress = function(ip) {
+	if (net.isIPv4(ip)) {
+		return Buffer.from(ip.split('.').map(Number));
+	}
+	// Expand the IPv6 address (e.g "::1") to its 8 groups.
+	let [ head, tail ] = ip.split('::');
+	head = head ? head.split(':') : [];
+	tail = typeof tail === 'string' && tail ? tail.split(':') : [];
+	const groups = head.concat(Array(8 - head.length - tail.length).fill('0'), tail);
+	return Buffer.concat(groups.map(group => {
+		const buffer = Buffer.alloc(2);
+		buffer.writeUInt16BE(parseInt(group, 16));
+		return buffer;
+	}));
+};
+
+// Generate a self-signed TLS certificate (ECDSA P-256) - intended for development only.
+// Returns { cert, key } in PEM format.
+module.exports = function(options) {
+	options = Object.assign({}, {
+		// The host name (or IP address) for which the certificate is valid:
+		commonName: 'localhost',
+		// Number of days that the certificate is valid:
+		days: 365,
+	}, options || {});
+	const { commonName, days } = options;
+	assert.ok(typeof commonName === 'string' && commonName, 'Invalid option ("commonName"): Non-empty string expected');
+	assert.ok(Number.isInteger(days) && days > 0, 'Invalid option ("days"): Integer greater than zero expected');
+	const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+	const signatureAlgorithm = sequence([ objectIdentifier(oids.ecdsaWithSha256) ]);
+	const name = sequence([
+		set([
+			sequence([
+				objectIdentifier(oids.commonName),
+				der(0x0c, Buffer.from(commonName, 'utf8')),
+			]),
+		]),
+	]);
+	// Backdated a little so that the certificate is valid right away - even if clocks differ slightly.
+	const notBefore = new Date(Date.now() - 300000);
+	const notAfter = new Date(notBefore.getTime() + days * 86400000);
+	const altName = net.isIP(commonName)
+		? der(0x87, encodeIpAddress(commonName))
+		: der(0x82, Buffer.from(commonName, 'ascii'));
+	let serialNumber = crypto.randomBytes(16);
+	serialNumber[0] &= 0x7f;
+	const tbsCertificate = sequence([
+		// Version 3:
+		der(0xa0, integer(2)),
+		integer(serialNumber),
+		signatureAlgorithm,
+		name,
+		sequence([ time(notBefore), time(notAfter) ]),
+		name,
+		publicKey.export({ type: 'spki', format: 'der' }),
+		der(0xa3, sequence([
+			sequence([
+				objectIdentifier(oids.subjectAltName),
+				der(0x04, sequence([ altName ])),
+			]),
+		])),
+	]);
+	const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+	const certificate = sequence([
+		tbsCertificate,
+		signatureAlgorithm,
+		der(0x03, [ Buffer.from([0]), signature ]),
+	]);
+	const base64 = certificate.toString('base64').match(/.{1,64}/g).join('\n');
+	return {
+		cert: `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`,
+		key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+	};
+};
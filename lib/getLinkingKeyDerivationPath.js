@@ -0,0 +1,17 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { isHex } = require('lnurl-offline');
+
+// LUD-05: Derive the BIP32 path of the linking key for a domain from the hashing key (m/138'/0).
+module.exports = function(hashingKey, domain) {
+	assert.ok(hashingKey, 'Missing required argument: "hashingKey"');
+	if (typeof hashingKey === 'string' && isHex(hashingKey)) {
+		hashingKey = Buffer.from(hashingKey, 'hex');
+	}
+	assert.ok(Buffer.isBuffer(hashingKey), 'Invalid argument ("hashingKey"): Hex-encoded string or buffer expected.');
+	assert.ok(domain, 'Missing required argument: "domain"');
+	assert.strictEqual(typeof domain, 'string', 'Invalid argument ("domain"): String expected.');
+	const derivationMaterial = crypto.createHmac('sha256', hashingKey).update(Buffer.from(domain, 'utf8')).digest();
+	const indexes = [0, 4, 8, 12].map(offset => derivationMaterial.readUInt32BE(offset));
+	return `m/138'/${indexes.join('/')}`;
+};
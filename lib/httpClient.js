@@ -0,0 +1,92 @@
+const assert = require('assert');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const isPrivateHost = require('./isPrivateHost');
+const querystring = require('querystring');
+
+// Resolves host names like the default lookup - but fails for loopback, private and link-local addresses.
+const publicLookup = function(hostname, options, callback) {
+	dns.lookup(hostname, options, (error, address, family) => {
+		if (error) return callback(error);
+		const addresses = address instanceof Array ? address.map(entry => entry.address) : [ address ];
+		if (addresses.some(isPrivateHost)) {
+			return callback(new Error(`Host resolves to a loopback, private or link-local address: "${hostname}"`));
+		}
+		callback(null, address, family);
+	});
+};
+
+module.exports = {
+	// Make an HTTP(S) request. Resolves with the response status, headers and body.
+	// JSON response bodies are parsed automatically.
+	request: function(method, url, options) {
+		return Promise.resolve().then(() => {
+			assert.strictEqual(typeof method, 'string', 'Invalid argument ("method"): String expected');
+			assert.strictEqual(typeof url, 'string', 'Invalid argument ("url"): String expected');
+			options = Object.assign({}, {
+				// Query parameters to append to the URL:
+				qs: null,
+				// Object to send as JSON request body:
+				json: null,
+				headers: {},
+				// Maximum time (ms) to wait for a response:
+				timeout: 10000,
+				// Whether or not to allow requests to loopback, private and link-local hosts:
+				allowPrivateHosts: true,
+			}, options || {});
+			const parsedUrl = new URL(url);
+			assert.ok(parsedUrl.protocol === 'https:' || parsedUrl.protocol === 'http:', 'Invalid argument ("url"): http(s) URL expected');
+			if (!options.allowPrivateHosts) {
+				assert.ok(!isPrivateHost(parsedUrl.hostname), 'Invalid argument ("url"): Loopback, private and link-local hosts are not allowed');
+			}
+			if (options.qs) {
+				Object.entries(options.qs).forEach(([key, value]) => {
+					parsedUrl.searchParams.set(key, value);
+				});
+			}
+			let headers = Object.assign({}, options.headers);
+			let postData;
+			if (options.json) {
+				postData = JSON.stringify(options.json);
+				headers['Content-Type'] = 'application/json';
+				headers['Content-Length'] = Buffer.byteLength(postData);
+			}
+			return new Promise((resolve, reject) => {
+				const request = parsedUrl.protocol === 'https:' ? https.request : http.request;
+				const req = request(parsedUrl, {
+					method: method.toUpperCase(),
+					headers,
+					timeout: options.timeout,
+					lookup: options.allowPrivateHosts ? undefined : publicLookup,
+				}, function(response) {
+					let body = '';
+					response.on('data', function(buffer) {
+						body += buffer.toString();
+					});
+					response.on('end', function() {
+						const contentType = response.headers['content-type'] || '';
+						if (contentType.substr(0, 'application/json'.length) === 'application/json') {
+							try { body = JSON.parse(body); } catch (error) {
+								return reject(new Error('Invalid JSON response'));
+							}
+						}
+						resolve({
+							status: response.statusCode,
+							headers: response.headers,
+							body,
+						});
+					});
+				});
+				req.once('timeout', () => {
+					req.destroy(new Error('Request timed-out'));
+				});
+				req.once('error', reject);
+				if (postData) {
+					req.write(postData);
+				}
+				req.end();
+			});
+		});
+	},
+};
@@ -1,14 +1,23 @@
 module.exports = {
+	aes: require('./aes'),
+	client: require('./client'),
 	createAuthorizationSignature: require('./createAuthorizationSignature'),
 	createHash: require('./createHash'),
 	decode: require('./decode'),
 	deepClone: require('./deepClone'),
+	deriveLinkingKey: require('./deriveLinkingKey'),
 	encode: require('./encode'),
 	generateRandomLinkingKey: require('./generateRandomLinkingKey'),
+	generateSelfSignedCertificate: require('./generateSelfSignedCertificate'),
+	httpClient: require('./httpClient'),
 	HttpError: require('./HttpError'),
+	LnurlError: require('./LnurlError'),
+	parse: require('./parse'),
 	promiseAllSeries: require('./promiseAllSeries'),
+	qrcode: require('./qrcode'),
 	secp256k1: require('./secp256k1'),
 	SafeEventEmitter: require('./SafeEventEmitter'),
+	schemes: require('./schemes'),
 	Server: require('./Server'),
 	verifyAuthorizationSignature: require('./verifyAuthorizationSignature'),
 };
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const net = require('net');
+
+// Loopback, private, link-local (and other non-public) address ranges.
+// See: https://www.iana.org/assignments/iana-ipv4-special-registry
+const ipv4Ranges = [
+	['0.0.0.0', 8],
+	['10.0.0.0', 8],
+	['100.64.0.0', 10],
+	['127.0.0.0', 8],
+	['169.254.0.0', 16],
+	['172.16.0.0', 12],
+	['192.168.0.0', 16],
+];
+
+const ipv4ToNumber = function(address) {
+	return address.split('.').reduce((number, part) => number * 256 + parseInt(part), 0);
+};
+
+const isPrivateIPv4 = function(address) {
+	const number = ipv4ToNumber(address);
+	return ipv4Ranges.some(([base, bits]) => {
+		const size = Math.pow(2, 32 - bits);
+		return Math.floor(number / size) === Math.floor(ipv4ToNumber(base) / size);
+	});
+};
+
+const isPrivateIPv6 = function(address) {
+	address = address.toLowerCase();
+	// IPv4-mapped (e.g "::ffff:127.0.0.1" or "::ffff:7f00:1" as normalized by the URL parser).
+	let mapped = address.match(/^::ffff:([0-9.]+)$/);
+	if (mapped && net.isIPv4(mapped[1])) {
+		return isPrivateIPv4(mapped[1]);
+	}
+	mapped = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+	if (mapped) {
+		const number = parseInt(mapped[1], 16) * 65536 + parseInt(mapped[2], 16);
+		return isPrivateIPv4([24, 16, 8, 0].map(shift => Math.floor(number / Math.pow(2, shift)) % 256).join('.'));
+	}
+	return (
+		// Unspecified and loopback:
+		/^(0*:)*:?0*1?$/.test(address) ||
+		// Unique local (fc00::/7):
+		/^f[cd][0-9a-f]{0,2}:/.test(address) ||
+		// Link-local (fe80::/10):
+		/^fe[89ab][0-9a-f]?:/.test(address)
+	);
+};
+
+// Whether the host (name or IP address) is loopback, private or link-local.
+// Host names are not resolved - only "localhost" (and its sub-domains) are treated as private.
+module.exports = function(host) {
+	assert.strictEqual(typeof host, 'string', 'Invalid argument ("host"): String expected.');
+	host = host.replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '').toLowerCase();
+	switch (net.isIP(host)) {
+		case 4:
+			return isPrivateIPv4(host);
+		case 6:
+			return isPrivateIPv6(host);
+		default:
+			return host === 'localhost' || /\.localhost$/.test(host);
+	}
+};
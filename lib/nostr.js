@@ -0,0 +1,58 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const schnorr = require('./schnorr');
+
+// Helpers for nostr events.
+// See: https://github.com/nostr-protocol/nips/blob/master/01.md
+
+const isHex32 = function(value) {
+	return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+};
+
+module.exports = {
+	getPublicKey: function(privKey) {
+		return schnorr.getPublicKey(privKey).toString('hex');
+	},
+	getEventHash: function(event) {
+		const serialized = JSON.stringify([
+			0,
+			event.pubkey,
+			event.created_at,
+			event.kind,
+			event.tags,
+			event.content,
+		]);
+		return crypto.createHash('sha256').update(serialized, 'utf8').digest('hex');
+	},
+	signEvent: function(event, privKey) {
+		assert.ok(event && typeof event === 'object', 'Invalid argument ("event"): Object expected.');
+		event = Object.assign({
+			created_at: Math.floor(Date.now() / 1000),
+			tags: [],
+			content: '',
+		}, event, {
+			pubkey: this.getPublicKey(privKey),
+		});
+		event.id = this.getEventHash(event);
+		event.sig = schnorr.sign(event.id, privKey).toString('hex');
+		return event;
+	},
+	verifyEvent: function(event) {
+		if (!event || typeof event !== 'object') return false;
+		if (!isHex32(event.pubkey) || !isHex32(event.id)) return false;
+		if (!Number.isInteger(event.kind) || !Number.isInteger(event.created_at)) return false;
+		if (!(event.tags instanceof Array) || !event.tags.every(tag => tag instanceof Array)) return false;
+		if (typeof event.content !== 'string' || typeof event.sig !== 'string') return false;
+		if (this.getEventHash(event) !== event.id) return false;
+		return schnorr.verify(event.sig, event.id, event.pubkey);
+	},
+	// Only secure websocket URLs.
+	isRelayUrl: function(value) {
+		try { return typeof value === 'string' && new URL(value).protocol === 'wss:'; } catch (error) {
+			return false;
+		}
+	},
+	getTags: function(event, name) {
+		return (event.tags || []).filter(tag => tag[0] === name);
+	},
+};
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const WebSocket = require('ws');
+
+// Publishes nostr events to relays.
+// See: https://github.com/nostr-protocol/nips/blob/master/01.md
+
+// Maximum size (bytes) of messages accepted from relays:
+const maxPayload = 65536;
+
+const publishToRelay = function(event, relay, timeout) {
+	return new Promise((resolve, reject) => {
+		const url = new URL(relay);
+		assert.ok(url.protocol === 'wss:' || url.protocol === 'ws:', `Invalid relay URL: "${relay}"`);
+		let done = false;
+		const finish = function(error, result) {
+			if (done) return;
+			done = true;
+			clearTimeout(timer);
+			socket.terminate();
+			if (error) return reject(error);
+			resolve(result);
+		};
+		const timer = setTimeout(() => {
+			finish(new Error('Timed-out while waiting for relay'));
+		}, timeout);
+		const socket = new WebSocket(url.toString(), {
+			handshakeTimeout: timeout,
+			maxPayload,
+			perMessageDeflate: false,
+			followRedirects: false,
+		});
+		socket.once('open', () => {
+			socket.send(JSON.stringify(['EVENT', event]));
+		});
+		socket.on('message', message => {
+			let data;
+			try { data = JSON.parse(message.toString()); } catch (error) {
+				return;
+			}
+			// ["OK", <event id>, <true|false>, <message>]
+			if (data instanceof Array && data[0] === 'OK' && data[1] === event.id) {
+				finish(null, { ok: data[2] === true, message: data[3] || '' });
+			}
+		});
+		socket.once('unexpected-response', (req, response) => {
+			finish(new Error(`Unexpected response from relay (status = ${response.statusCode})`));
+		});
+		socket.once('error', finish);
+		socket.once('close', () => finish(new Error('Connection closed by relay')));
+	});
+};
+
+module.exports = {
+	// Publish the event to each of the relays.
+	// Resolves with the result for each relay; failures do not reject.
+	publish: function(event, relays, options) {
+		return Promise.resolve().then(() => {
+			assert.ok(event && typeof event === 'object', 'Invalid argument ("event"): Object expected');
+			assert.ok(relays instanceof Array, 'Invalid argument ("relays"): Array expected');
+			options = Object.assign({}, {
+				// Maximum time (ms) to wait for each relay:
+				timeout: 10000,
+			}, options || {});
+			return Promise.all(relays.map(relay => {
+				return Promise.resolve().then(() => {
+					return publishToRelay(event, relay, options.timeout);
+				}).then(result => {
+					return Object.assign({ relay }, result);
+				}).catch(error => {
+					return { relay, ok: false, message: error.message };
+				});
+			}));
+		});
+	},
+};
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const decode = require('./decode');
+const schemes = require('./schemes');
+
+// LUD-16: Lightning Address (e.g "alice@service.com").
+const addressRegex = /^([a-z0-9\-_.+]+)@([a-z0-9\-.]+\.[a-z0-9\-]+(?::[0-9]+)?)$/i;
+
+const isHttpUrl = function(value) {
+	try { value = new URL(value); } catch (error) {
+		return false;
+	}
+	return value.protocol === 'https:' || value.protocol === 'http:';
+};
+
+const getTagFromUrl = function(url) {
+	return new URL(url).searchParams.get('tag') || null;
+};
+
+const decodeUrl = function(value) {
+	let url;
+	try { url = decode(value); } catch (error) {
+		throw new Error('Invalid argument ("input"): Invalid bech32-encoded LNURL');
+	}
+	assert.ok(isHttpUrl(url), 'Invalid argument ("input"): Decoded value is not a valid URL');
+	return url;
+};
+
+// Normalize user input (e.g scanned from a QR code) to the URL of an LNURL service.
+// Returns { url, tag, kind } - the tag is only included if it is known before fetching the URL.
+const parse = function(input) {
+	assert.strictEqual(typeof input, 'string', 'Invalid argument ("input"): String expected');
+	let value = input.trim().replace(/^lightning:(\/\/)?/i, '');
+	assert.ok(value, 'Invalid argument ("input"): Must not be empty');
+	let result;
+	const address = value.match(addressRegex);
+	if (address) {
+		const username = address[1].toLowerCase();
+		const domain = address[2].toLowerCase();
+		const protocol = /\.onion(:[0-9]+)?$/.test(domain) ? 'http' : 'https';
+		result = {
+			url: `${protocol}://${domain}/.well-known/lnurlp/${username}`,
+			tag: 'payRequest',
+			kind: 'address',
+			address: `${username}@${domain}`,
+		};
+	} else if (schemes.isSchemeUri(value)) {
+		const url = decodeUrl(value);
+		result = {
+			url,
+			tag: getTagFromUrl(url) || schemes.getTag(value),
+			kind: 'lud17',
+		};
+	} else if (/^lnurl1/i.test(value)) {
+		const url = decodeUrl(value);
+		result = {
+			url,
+			tag: getTagFromUrl(url),
+			kind: 'bech32',
+		};
+	} else if (isHttpUrl(value)) {
+		// LUD-01: Fallback scheme (e.g "https://service.com/?lightning=LNURL1..").
+		const parsedUrl = new URL(value);
+		const key = Array.from(parsedUrl.searchParams.keys()).find(key => key.toLowerCase() === 'lightning');
+		if (key) {
+			const fallback = parsedUrl.searchParams.get(key);
+			assert.ok(/^lnurl1/i.test(fallback) || schemes.isSchemeUri(fallback), 'Invalid argument ("input"): Invalid "lightning" query parameter');
+			return Object.assign(parse(fallback), { kind: 'fallback' });
+		}
+		result = {
+			url: value,
+			tag: getTagFromUrl(value),
+			kind: 'url',
+		};
+	} else {
+		throw new Error('Invalid argument ("input"): Expected an LNURL, LUD-17 URI, Lightning Address or URL');
+	}
+	if (!result.tag) {
+		delete result.tag;
+	}
+	return result;
+};
+
+module.exports = parse;
@@ -0,0 +1,461 @@
+const assert = require('assert');
+
+// QR code encoder (ISO/IEC 18004).
+// Supports alphanumeric mode (e.g uppercase bech32) and byte mode (UTF-8).
+
+const errorCorrectionLevels = {
+	L: { ordinal: 0, formatBits: 1 },
+	M: { ordinal: 1, formatBits: 0 },
+	Q: { ordinal: 2, formatBits: 3 },
+	H: { ordinal: 3, formatBits: 2 },
+};
+
+// Number of error correction codewords per block, indexed by [level][version].
+const eccCodewordsPerBlock = [
+	[-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+	[-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+	[-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+	[-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+
+// Number of error correction blocks, indexed by [level][version].
+const numErrorCorrectionBlocks = [
+	[-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+	[-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+	[-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+	[-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+const alphanumericCharset = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+const modes = {
+	alphanumeric: { modeBits: 0x2, charCountBits: [9, 11, 13] },
+	byte: { modeBits: 0x4, charCountBits: [8, 16, 16] },
+};
+
+const getCharCountBits = function(mode, version) {
+	return mode.charCountBits[Math.floor((version + 7) / 17)];
+};
+
+const isAlphanumeric = function(text) {
+	return text.split('').every(char => alphanumericCharset.indexOf(char) !== -1);
+};
+
+const appendBits = function(bits, value, length) {
+	for (let index = length - 1; index >= 0; index--) {
+		bits.push((value >>> index) & 1);
+	}
+};
+
+// Number of data modules (bits) available in a symbol of the given version.
+const getNumRawDataModules = function(version) {
+	let result = (16 * version + 128) * version + 64;
+	if (version >= 2) {
+		const numAlign = Math.floor(version / 7) + 2;
+		result -= (25 * numAlign - 10) * numAlign - 55;
+		if (version >= 7) {
+			result -= 36;
+		}
+	}
+	return result;
+};
+
+const getNumDataCodewords = function(version, level) {
+	return Math.floor(getNumRawDataModules(version) / 8) - eccCodewordsPerBlock[level.ordinal][version] * numErrorCorrectionBlocks[level.ordinal][version];
+};
+
+// Encode the text as a list of bits (mode indicator, character count and data).
+const createSegment = function(text) {
+	let bits = [];
+	if (isAlphanumeric(text)) {
+		let index = 0;
+		for (; index + 2 <= text.length; index += 2) {
+			const value = alphanumericCharset.indexOf(text[index]) * 45 + alphanumericCharset.indexOf(text[index + 1]);
+			appendBits(bits, value, 11);
+		}
+		if (index < text.length) {
+			appendBits(bits, alphanumericCharset.indexOf(text[index]), 6);
+		}
+		return { mode: modes.alphanumeric, numChars: text.length, bits };
+	}
+	const data = Buffer.from(text, 'utf8');
+	data.forEach(byte => appendBits(bits, byte, 8));
+	return { mode: modes.byte, numChars: data.length, bits };
+};
+
+// Reed-Solomon error correction over GF(2^8) with polynomial 0x11D.
+const multiply = function(x, y) {
+	let z = 0;
+	for (let index = 7; index >= 0; index--) {
+		z = (z << 1) ^ ((z >>> 7) * 0x11D);
+		z ^= ((y >>> index) & 1) * x;
+	}
+	return z;
+};
+
+const computeDivisor = function(degree) {
+	let result = new Array(degree).fill(0);
+	result[degree - 1] = 1;
+	let root = 1;
+	for (let i = 0; i < degree; i++) {
+		for (let j = 0; j < result.length; j++) {
+			result[j] = multiply(result[j], root);
+			if (j + 1 < result.length) {
+				result[j] ^= result[j + 1];
+			}
+		}
+		root = multiply(root, 0x02);
+	}
+	return result;
+};
+
+const computeRemainder = function(data, divisor) {
+	let result = divisor.map(() => 0);
+	data.forEach(byte => {
+		const factor = byte ^ result.shift();
+		result.push(0);
+		divisor.forEach((coefficient, index) => {
+			result[index] ^= multiply(coefficient, factor);
+		});
+	});
+	return result;
+};
+
+// Split the data into blocks, append error correction codewords and interleave.
+const addErrorCorrection = function(data, version, level) {
+	const numBlocks = numErrorCorrectionBlocks[level.ordinal][version];
+	const blockEccLength = eccCodewordsPerBlock[level.ordinal][version];
+	const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+	const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+	const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+	const divisor = computeDivisor(blockEccLength);
+	let blocks = [];
+	for (let index = 0, offset = 0; index < numBlocks; index++) {
+		const dataLength = shortBlockLength - blockEccLength + (index < numShortBlocks ? 0 : 1);
+		let block = data.slice(offset, offset + dataLength);
+		offset += dataLength;
+		const ecc = computeRemainder(block, divisor);
+		if (index < numShortBlocks) {
+			// Placeholder so that all blocks have the same length while interleaving.
+			block.push(null);
+		}
+		blocks.push(block.concat(ecc));
+	}
+	let result = [];
+	for (let i = 0; i < blocks[0].length; i++) {
+		blocks.forEach(block => {
+			if (block[i] !== null) {
+				result.push(block[i]);
+			}
+		});
+	}
+	return result;
+};
+
+const createMatrix = function(size) {
+	let modules = [];
+	let isFunction = [];
+	for (let y = 0; y < size; y++) {
+		modules.push(new Array(size).fill(false));
+		isFunction.push(new Array(size).fill(false));
+	}
+	const setFunctionModule = function(x, y, dark) {
+		modules[y][x] = dark;
+		isFunction[y][x] = true;
+	};
+	return { size, modules, isFunction, setFunctionModule };
+};
+
+const getAlignmentPatternPositions = function(version) {
+	if (version === 1) return [];
+	const numAlign = Math.floor(version / 7) + 2;
+	const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+	let result = [6];
+	for (let position = version * 4 + 10; result.length < numAlign; position -= step) {
+		result.splice(1, 0, position);
+	}
+	return result;
+};
+
+const drawFinderPattern = function(matrix, x, y) {
+	for (let dy = -4; dy <= 4; dy++) {
+		for (let dx = -4; dx <= 4; dx++) {
+			const distance = Math.max(Math.abs(dx), Math.abs(dy));
+			const xx = x + dx;
+			const yy = y + dy;
+			if (xx >= 0 && xx < matrix.size && yy >= 0 && yy < matrix.size) {
+				matrix.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+			}
+		}
+	}
+};
+
+const drawAlignmentPattern = function(matrix, x, y) {
+	for (let dy = -2; dy <= 2; dy++) {
+		for (let dx = -2; dx <= 2; dx++) {
+			matrix.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+		}
+	}
+};
+
+const drawFormatBits = function(matrix, level, mask) {
+	const data = level.formatBits << 3 | mask;
+	let remainder = data;
+	for (let index = 0; index < 10; index++) {
+		remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+	}
+	const bits = (data << 10 | remainder) ^ 0x5412;
+	const getBit = index => ((bits >>> index) & 1) !== 0;
+	const { size } = matrix;
+	// First copy:
+	for (let index = 0; index <= 5; index++) {
+		matrix.setFunctionModule(8, index, getBit(index));
+	}
+	matrix.setFunctionModule(8, 7, getBit(6));
+	matrix.setFunctionModule(8, 8, getBit(7));
+	matrix.setFunctionModule(7, 8, getBit(8));
+	for (let index = 9; index < 15; index++) {
+		matrix.setFunctionModule(14 - index, 8, getBit(index));
+	}
+	// Second copy:
+	for (let index = 0; index < 8; index++) {
+		matrix.setFunctionModule(size - 1 - index, 8, getBit(index));
+	}
+	for (let index = 8; index < 15; index++) {
+		matrix.setFunctionModule(8, size - 15 + index, getBit(index));
+	}
+	// Always dark:
+	matrix.setFunctionModule(8, size - 8, true);
+};
+
+const drawVersionBits = function(matrix, version) {
+	if (version < 7) return;
+	let remainder = version;
+	for (let index = 0; index < 12; index++) {
+		remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+	}
+	const bits = version << 12 | remainder;
+	for (let index = 0; index < 18; index++) {
+		const dark = ((bits >>> index) & 1) !== 0;
+		const a = matrix.size - 11 + index % 3;
+		const b = Math.floor(index / 3);
+		matrix.setFunctionModule(a, b, dark);
+		matrix.setFunctionModule(b, a, dark);
+	}
+};
+
+const drawFunctionPatterns = function(matrix, version, level) {
+	const { size } = matrix;
+	// Timing patterns:
+	for (let index = 0; index < size; index++) {
+		matrix.setFunctionModule(6, index, index % 2 === 0);
+		matrix.setFunctionModule(index, 6, index % 2 === 0);
+	}
+	// Finder patterns (including separators):
+	drawFinderPattern(matrix, 3, 3);
+	drawFinderPattern(matrix, size - 4, 3);
+	drawFinderPattern(matrix, 3, size - 4);
+	// Alignment patterns (except where they overlap the finder patterns):
+	const positions = getAlignmentPatternPositions(version);
+	const last = positions.length - 1;
+	positions.forEach((x, i) => {
+		positions.forEach((y, j) => {
+			if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+			drawAlignmentPattern(matrix, x, y);
+		});
+	});
+	// Reserve the format bits (drawn later with the chosen mask):
+	drawFormatBits(matrix, level, 0);
+	drawVersionBits(matrix, version);
+};
+
+const drawCodewords = function(matrix, codewords) {
+	const { size, modules, isFunction } = matrix;
+	let bitIndex = 0;
+	for (let right = size - 1; right >= 1; right -= 2) {
+		if (right === 6) {
+			right = 5;
+		}
+		for (let vertical = 0; vertical < size; vertical++) {
+			for (let j = 0; j < 2; j++) {
+				const x = right - j;
+				const upward = ((right + 1) & 2) === 0;
+				const y = upward ? size - 1 - vertical : vertical;
+				if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+					modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+					bitIndex++;
+				}
+			}
+		}
+	}
+};
+
+const maskFunctions = [
+	(x, y) => (x + y) % 2 === 0,
+	(x, y) => y % 2 === 0,
+	(x, y) => x % 3 === 0,
+	(x, y) => (x + y) % 3 === 0,
+	(x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+	(x, y) => x * y % 2 + x * y % 3 === 0,
+	(x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+	(x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0,
+];
+
+// Applying the same mask twice undoes it.
+const applyMask = function(matrix, mask) {
+	const { size, modules, isFunction } = matrix;
+	const invert = maskFunctions[mask];
+	for (let y = 0; y < size; y++) {
+		for (let x = 0; x < size; x++) {
+			if (!isFunction[y][x] && invert(x, y)) {
+				modules[y][x] = !modules[y][x];
+			}
+		}
+	}
+};
+
+// Penalty score used to choose the best mask.
+const getPenaltyScore = function(matrix) {
+	const { size, modules } = matrix;
+	let result = 0;
+	const scoreLine = function(getModule) {
+		let score = 0;
+		let runColor = false;
+		let runLength = 0;
+		let history = [];
+		const countPatterns = function() {
+			// Finder-like pattern: dark-light-dark-dark-dark-light-dark with 4 light modules on either side.
+			const n = history[1];
+			const core = n > 0 && history[2] === n && history[3] === n * 3 && history[4] === n && history[5] === n;
+			return (core && history[0] >= n * 4 && history[6] >= n ? 1 : 0) + (core && history[6] >= n * 4 && history[0] >= n ? 1 : 0);
+		};
+		const addHistory = function(length) {
+			if (history[0] === 0) {
+				// Add light border to the initial run.
+				length += size;
+			}
+			history.pop();
+			history.unshift(length);
+		};
+		history = [0, 0, 0, 0, 0, 0, 0];
+		for (let index = 0; index < size; index++) {
+			const color = getModule(index);
+			if (color === runColor) {
+				runLength++;
+				if (runLength === 5) {
+					score += 3;
+				} else if (runLength > 5) {
+					score++;
+				}
+			} else {
+				addHistory(runLength);
+				if (!runColor) {
+					score += countPatterns() * 40;
+				}
+				runColor = color;
+				runLength = 1;
+			}
+		}
+		// Terminate the line with a light border.
+		if (runColor) {
+			addHistory(runLength);
+			runLength = 0;
+		}
+		runLength += size;
+		addHistory(runLength);
+		score += countPatterns() * 40;
+		return score;
+	};
+	for (let y = 0; y < size; y++) {
+		result += scoreLine(x => modules[y][x]);
+	}
+	for (let x = 0; x < size; x++) {
+		result += scoreLine(y => modules[y][x]);
+	}
+	// 2x2 blocks of the same color:
+	for (let y = 0; y < size - 1; y++) {
+		for (let x = 0; x < size - 1; x++) {
+			const color = modules[y][x];
+			if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+				result += 3;
+			}
+		}
+	}
+	// Balance of dark and light modules:
+	let dark = 0;
+	modules.forEach(row => row.forEach(module => {
+		if (module) dark++;
+	}));
+	const total = size * size;
+	const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+	result += k * 10;
+	return result;
+};
+
+// Encode the text as a QR code.
+// Returns { version, size, modules } - modules is an array of rows, true for dark modules.
+const encode = function(text, options) {
+	assert.strictEqual(typeof text, 'string', 'Invalid argument ("text"): String expected');
+	options = Object.assign({}, {
+		// Error correction level ("L", "M", "Q" or "H"):
+		errorCorrectionLevel: 'M',
+		// Mask pattern (0-7), chosen automatically when null:
+		mask: null,
+	}, options || {});
+	const level = errorCorrectionLevels[options.errorCorrectionLevel];
+	assert.ok(level, 'Invalid option ("errorCorrectionLevel"): Expected "L", "M", "Q" or "H"');
+	assert.ok(options.mask === null || (Number.isInteger(options.mask) && options.mask >= 0 && options.mask <= 7), 'Invalid option ("mask"): Integer between 0 and 7 expected');
+	const segment = createSegment(text);
+	// Find the smallest version that fits the data.
+	let version, dataCapacityBits;
+	for (version = 1; version <= 40; version++) {
+		dataCapacityBits = getNumDataCodewords(version, level) * 8;
+		const usedBits = 4 + getCharCountBits(segment.mode, version) + segment.bits.length;
+		if (segment.numChars < (1 << getCharCountBits(segment.mode, version)) && usedBits <= dataCapacityBits) break;
+	}
+	assert.ok(version <= 40, 'Data too long to fit in a QR code');
+	let bits = [];
+	appendBits(bits, segment.mode.modeBits, 4);
+	appendBits(bits, segment.numChars, getCharCountBits(segment.mode, version));
+	bits = bits.concat(segment.bits);
+	// Terminator and padding:
+	appendBits(bits, 0, Math.min(4, dataCapacityBits - bits.length));
+	appendBits(bits, 0, (8 - bits.length % 8) % 8);
+	for (let pad = 0xEC; bits.length < dataCapacityBits; pad ^= 0xEC ^ 0x11) {
+		appendBits(bits, pad, 8);
+	}
+	let data = [];
+	for (let index = 0; index < bits.length; index += 8) {
+		data.push(parseInt(bits.slice(index, index + 8).join(''), 2));
+	}
+	const codewords = addErrorCorrection(data, version, level);
+	const matrix = createMatrix(version * 4 + 17);
+	drawFunctionPatterns(matrix, version, level);
+	drawCodewords(matrix, codewords);
+	// Choose the mask with the lowest penalty score.
+	let bestMask = options.mask || 0;
+	let minPenalty = Infinity;
+	for (let mask = 0; mask < 8 && options.mask === null; mask++) {
+		applyMask(matrix, mask);
+		drawFormatBits(matrix, level, mask);
+		const penalty = getPenaltyScore(matrix);
+		if (penalty < minPenalty) {
+			bestMask = mask;
+			minPenalty = penalty;
+		}
+		applyMask(matrix, mask);
+	}
+	applyMask(matrix, bestMask);
+	drawFormatBits(matrix, level, bestMask);
+	return {
+		version,
+		size: matrix.size,
+		mode: segment.mode === modes.alphanumeric ? 'alphanumeric' : 'byte',
+		modules: matrix.modules,
+	};
+};
+
+module.exports = {
+	encode,
+	isAlphanumeric,
+};
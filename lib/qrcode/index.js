@@ -0,0 +1,169 @@
+const assert = require('assert');
+const encoder = require('./encoder');
+const zlib = require('zlib');
+
+// Render encoded LNURLs as QR codes (SVG, PNG or terminal output).
+
+const defaultOptions = {
+	// Error correction level ("L", "M", "Q" or "H"):
+	errorCorrectionLevel: 'M',
+	// Width of the light border around the QR code (number of modules):
+	margin: 4,
+	// Size of each module (pixels) - SVG and PNG only:
+	scale: 8,
+	// Colors (hex) of the dark and light modules - SVG and PNG only:
+	dark: '#000000',
+	light: '#ffffff',
+};
+
+// Uppercase bech32 can be encoded in alphanumeric mode, which results in a smaller QR code.
+const prepareText = function(text) {
+	assert.strictEqual(typeof text, 'string', 'Invalid argument ("text"): String expected');
+	if (/^(lightning:)?lnurl1[0-9a-z]+$/i.test(text)) {
+		return text.toUpperCase();
+	}
+	return text;
+};
+
+const prepareOptions = function(options) {
+	options = Object.assign({}, defaultOptions, options || {});
+	assert.ok(Number.isInteger(options.margin) && options.margin >= 0, 'Invalid option ("margin"): Integer greater than or equal to zero expected');
+	assert.ok(Number.isInteger(options.scale) && options.scale > 0, 'Invalid option ("scale"): Integer greater than zero expected');
+	['dark', 'light'].forEach(key => {
+		assert.ok(/^#[0-9a-f]{6}$/i.test(options[key]), `Invalid option ("${key}"): Hex color expected (e.g "#000000")`);
+	});
+	return options;
+};
+
+const createMatrix = function(text, options) {
+	const { errorCorrectionLevel } = options;
+	return encoder.encode(prepareText(text), { errorCorrectionLevel });
+};
+
+// Returns a function to check whether the module at (x, y) is dark - including the margin.
+const getModuleFn = function(matrix, margin) {
+	return function(x, y) {
+		x -= margin;
+		y -= margin;
+		return x >= 0 && y >= 0 && x < matrix.size && y < matrix.size && matrix.modules[y][x];
+	};
+};
+
+const crcTable = (function() {
+	let table = [];
+	for (let n = 0; n < 256; n++) {
+		let c = n;
+		for (let k = 0; k < 8; k++) {
+			c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+		}
+		table.push(c >>> 0);
+	}
+	return table;
+})();
+
+const crc32 = function(buffer) {
+	let crc = 0xffffffff;
+	for (let index = 0; index < buffer.length; index++) {
+		crc = crcTable[(crc ^ buffer[index]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+};
+
+const createPngChunk = function(type, data) {
+	const length = Buffer.alloc(4);
+	length.writeUInt32BE(data.length);
+	const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+	const crc = Buffer.alloc(4);
+	crc.writeUInt32BE(crc32(typeAndData));
+	return Buffer.concat([length, typeAndData, crc]);
+};
+
+module.exports = {
+	// Returns { version, size, mode, modules } - modules is an array of rows, true for dark modules.
+	toMatrix: function(text, options) {
+		options = prepareOptions(options);
+		return createMatrix(text, options);
+	},
+	toSvg: function(text, options) {
+		options = prepareOptions(options);
+		const matrix = createMatrix(text, options);
+		const { margin, scale, dark, light } = options;
+		const size = matrix.size + margin * 2;
+		let path = '';
+		matrix.modules.forEach((row, y) => {
+			row.forEach((module, x) => {
+				if (module) {
+					path += `M${x + margin} ${y + margin}h1v1h-1z`;
+				}
+			});
+		});
+		return [
+			`<svg xmlns="http://www.w3.org/2000/svg" width="${size * scale}" height="${size * scale}" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">`,
+			`<rect width="${size}" height="${size}" fill="${light}"/>`,
+			`<path d="${path}" fill="${dark}"/>`,
+			'</svg>',
+		].join('');
+	},
+	toPng: function(text, options) {
+		options = prepareOptions(options);
+		const matrix = createMatrix(text, options);
+		const { margin, scale } = options;
+		const isDark = getModuleFn(matrix, margin);
+		const width = (matrix.size + margin * 2) * scale;
+		// Each row is prefixed with the filter type (0 = none), followed by 1 bit per pixel.
+		const rowLength = 1 + Math.ceil(width / 8);
+		let raw = Buffer.alloc(rowLength * width);
+		for (let y = 0; y < width; y++) {
+			for (let x = 0; x < width; x++) {
+				if (isDark(Math.floor(x / scale), Math.floor(y / scale))) {
+					// Palette index 1 is the dark color.
+					raw[y * rowLength + 1 + (x >>> 3)] |= 0x80 >>> (x & 7);
+				}
+			}
+		}
+		let header = Buffer.alloc(13);
+		header.writeUInt32BE(width, 0);
+		header.writeUInt32BE(width, 4);
+		header[8] = 1;// bit depth
+		header[9] = 3;// color type (palette)
+		const palette = Buffer.from(options.light.substr(1) + options.dark.substr(1), 'hex');
+		return Buffer.concat([
+			Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+			createPngChunk('IHDR', header),
+			createPngChunk('PLTE', palette),
+			createPngChunk('IDAT', zlib.deflateSync(raw)),
+			createPngChunk('IEND', Buffer.alloc(0)),
+		]);
+	},
+	// Each line of text represents two rows of modules (using UTF-8 half blocks).
+	toTerminal: function(text, options) {
+		options = Object.assign({}, {
+			// Use ANSI colors for dark modules on a light background.
+			// Otherwise, light modules are drawn as blocks - for terminals with a dark background.
+			ansi: true,
+		}, options || {});
+		const { ansi } = options;
+		delete options.ansi;
+		options = prepareOptions(Object.assign({ margin: 2 }, options));
+		const matrix = createMatrix(text, options);
+		const { margin } = options;
+		const isDark = getModuleFn(matrix, margin);
+		const size = matrix.size + margin * 2;
+		let lines = [];
+		for (let y = 0; y < size; y += 2) {
+			let line = '';
+			for (let x = 0; x < size; x++) {
+				// Draw the dark modules as blocks (ANSI) or otherwise the light modules.
+				const top = isDark(x, y) === ansi;
+				const bottom = y + 1 < size && isDark(x, y + 1) === ansi;
+				line += top && bottom ? '█' : top ? '▀' : bottom ? '▄' : ' ';
+			}
+			if (ansi) {
+				// Black foreground on white background.
+				line = `\x1b[30;47m${line}\x1b[0m`;
+			}
+			lines.push(line);
+		}
+		return lines.join('\n');
+	},
+};
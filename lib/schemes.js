@@ -0,0 +1,47 @@
+const assert = require('assert');
+
+// LUD-17: URI scheme prefixes per tag.
+const tagToScheme = {
+	channelRequest: 'lnurlc',
+	login: 'keyauth',
+	payRequest: 'lnurlp',
+	withdrawRequest: 'lnurlw',
+};
+
+const schemeRegex = new RegExp('^(' + Object.values(tagToScheme).join('|') + '):\\/\\/', 'i');
+
+module.exports = {
+	tagToScheme,
+	isSchemeUri: function(value) {
+		return typeof value === 'string' && schemeRegex.test(value);
+	},
+	getScheme: function(tag) {
+		assert.strictEqual(typeof tag, 'string', 'Invalid argument ("tag"): String expected');
+		const scheme = tagToScheme[tag];
+		assert.ok(scheme, `Invalid argument ("tag"): No URI scheme for "${tag}"`);
+		return scheme;
+	},
+	getTag: function(uri) {
+		const match = typeof uri === 'string' && uri.match(schemeRegex);
+		if (!match) return null;
+		const scheme = match[1].toLowerCase();
+		return Object.keys(tagToScheme).find(tag => tagToScheme[tag] === scheme) || null;
+	},
+	// Convert a LUD-17 URI to an https URL (or http for onion services).
+	// Any other value is returned unchanged.
+	toUrl: function(uri) {
+		assert.strictEqual(typeof uri, 'string', 'Invalid argument ("uri"): String expected');
+		if (!this.isSchemeUri(uri)) return uri;
+		const rest = uri.replace(schemeRegex, '');
+		const host = rest.split(/[/?#]/)[0].split(':')[0];
+		const protocol = /\.onion$/i.test(host) ? 'http' : 'https';
+		return `${protocol}://${rest}`;
+	},
+	// Convert an http(s) URL to the LUD-17 URI for the given tag.
+	fromUrl: function(url, tag) {
+		assert.strictEqual(typeof url, 'string', 'Invalid argument ("url"): String expected');
+		assert.ok(/^https?:\/\//i.test(url), 'Invalid argument ("url"): http(s) URL expected');
+		const scheme = this.getScheme(tag);
+		return url.replace(/^https?:\/\//i, `${scheme}://`);
+	},
+};
@@ -0,0 +1,53 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { isHex } = require('lnurl-offline');
+const secp = require('@noble/secp256k1');
+
+// BIP340 Schnorr signatures (as used by nostr).
+// See: https://github.com/bitcoin/bips/blob/master/bip-0340.mediawiki
+
+// The synchronous API of @noble/secp256k1 requires a sha256 implementation.
+if (!secp.utils.sha256Sync) {
+	secp.utils.sha256Sync = function(...messages) {
+		const hash = crypto.createHash('sha256');
+		messages.forEach(message => hash.update(message));
+		return new Uint8Array(hash.digest());
+	};
+}
+
+const toBuffer = function(value, name) {
+	if (typeof value === 'string' && isHex(value)) {
+		value = Buffer.from(value, 'hex');
+	}
+	assert.ok(Buffer.isBuffer(value), `Invalid argument ("${name}"): Hex-encoded string or buffer expected.`);
+	return value;
+};
+
+module.exports = {
+	// Returns the x-only public key (32 bytes).
+	getPublicKey: function(privKey) {
+		privKey = toBuffer(privKey, 'privKey');
+		return Buffer.from(secp.schnorr.getPublicKey(privKey));
+	},
+	sign: function(message, privKey, auxRand) {
+		message = toBuffer(message, 'message');
+		privKey = toBuffer(privKey, 'privKey');
+		assert.ok(secp.utils.isValidPrivateKey(privKey), 'Invalid argument ("privKey"): Invalid private key.');
+		auxRand = auxRand ? toBuffer(auxRand, 'auxRand') : crypto.randomBytes(32);
+		return Buffer.from(secp.schnorr.signSync(message, privKey, auxRand));
+	},
+	verify: function(signature, message, pubKey) {
+		try {
+			signature = toBuffer(signature, 'signature');
+			message = toBuffer(message, 'message');
+			pubKey = toBuffer(pubKey, 'pubKey');
+			if (signature.length !== 64 || pubKey.length !== 32) {
+				return false;
+			}
+			return secp.schnorr.verifySync(signature, message, pubKey);
+		} catch (error) {
+			// Invalid points (e.g not on the curve).
+			return false;
+		}
+	},
+};
@@ -118,17 +118,10 @@ Store.prototype.runMigrations = function() {
 };
 
 Store.prototype.create = function(hash, tag, params, options, prismId) {
-	const { apiKeyId, uses } = options || {};
+	const { apiKeyId, uses, balance, expiresAt } = options || {};
 	return this.onReady().then(() => {
-		let createdAt, updatedAt;
-		switch (this.options.client) {
-			case 'sqlite3':
-				createdAt = updatedAt = Date.now();
-				break;
-			default:
-				createdAt = updatedAt = this.db.fn.now();
-				break;
-		}
+		const createdAt = this.now();
+		const updatedAt = createdAt;
 		return this.db('urls').insert({
 			hash,
 			tag,
@@ -136,6 +129,8 @@ Store.prototype.create = function(hash, tag, params, options, prismId) {
 			apiKeyId,
 			remainingUses: uses,
 			initialUses: uses,
+			balance: typeof balance === 'number' ? balance : null,
+			expiresAt: expiresAt ? this.toTimestamp(expiresAt) : null,
 			createdAt,
 			updatedAt,
 			prismId
@@ -146,15 +141,69 @@ Store.prototype.create = function(hash, tag, params, options, prismId) {
 Store.prototype.fetch = function(hash) {
 	return this.onReady().then(() => {
 		return this.db('urls').select('*').where({ hash }).then(results => {
-			let data = results[0] || null;
-			if (data && data.params && typeof data.params === 'string') {
-				data.params = JSON.parse(data.params);
-			}
-			return data || null;
+			return this.parseUrl(results[0] || null);
+		});
+	});
+};
+
+// Resolves { urls, cursor } - pass the cursor to get the next page (null when there are no more).
+// URLs are ordered by hash so that pagination is stable.
+Store.prototype.list = function(options) {
+	options = Object.assign({}, {
+		tag: null,
+		apiKeyId: null,
+		createdAfter: null,
+		createdBefore: null,
+		// TRUE = no remaining uses, FALSE = not exhausted (or unlimited uses), NULL = both:
+		exhausted: null,
+		limit: 100,
+		cursor: null,
+	}, options || {});
+	const { tag, apiKeyId, createdAfter, createdBefore, exhausted, limit, cursor } = options;
+	return this.onReady().then(() => {
+		let dbQuery = this.db('urls').select('*');
+		if (tag) {
+			dbQuery.where({ tag });
+		}
+		if (apiKeyId) {
+			dbQuery.where({ apiKeyId });
+		}
+		if (createdAfter) {
+			dbQuery.where('createdAt', '>', this.toTimestamp(createdAfter));
+		}
+		if (createdBefore) {
+			dbQuery.where('createdAt', '<', this.toTimestamp(createdBefore));
+		}
+		if (exhausted === true) {
+			dbQuery.where('initialUses', '>', 0).andWhere('remainingUses', '<=', 0);
+		} else if (exhausted === false) {
+			dbQuery.where(builder => {
+				builder.where('initialUses', 0).orWhere('remainingUses', '>', 0);
+			});
+		}
+		if (cursor) {
+			dbQuery.where('hash', '>', cursor);
+		}
+		// Fetch one extra row to know whether there is a next page.
+		return dbQuery.orderBy('hash', 'asc').limit(limit + 1).then(results => {
+			const urls = results.slice(0, limit).map(data => this.parseUrl(data));
+			const nextCursor = results.length > limit ? urls[urls.length - 1].hash : null;
+			return { urls, cursor: nextCursor };
 		});
 	});
 };
 
+Store.prototype.parseUrl = function(data) {
+	if (data && data.params && typeof data.params === 'string') {
+		data.params = JSON.parse(data.params);
+	}
+	if (data && typeof data.balance === 'string') {
+		// Some database clients return big integers as strings.
+		data.balance = parseInt(data.balance);
+	}
+	return data || null;
+};
+
 Store.prototype.exists = function(hash) {
 	return this.onReady().then(() => {
 		return this.db('urls').select('hash').where({ hash }).then(results => {
@@ -238,6 +287,265 @@ Store.prototype.unuse = function(hash) {
 	});
 };
 
+Store.prototype.debit = function(hash, amount) {
+	return this.onReady().then(() => {
+		// Only decrease the balance when it is sufficient.
+		const dbQuery = this.db('urls')
+			.where({ hash })
+			.andWhere('balance', '>=', amount)
+			.decrement('balance', amount);
+		return this.runUpdateQuery(dbQuery);
+	});
+};
+
+Store.prototype.credit = function(hash, amount) {
+	return this.onReady().then(() => {
+		const dbQuery = this.db('urls')
+			.where({ hash })
+			.whereNotNull('balance')
+			.increment('balance', amount);
+		return this.runUpdateQuery(dbQuery);
+	});
+};
+
+Store.prototype.setBalanceNotify = function(hash, balanceNotify) {
+	return this.onReady().then(() => {
+		const dbQuery = this.db('urls')
+			.where({ hash })
+			.update({ balanceNotify, updatedAt: this.now() });
+		return this.runUpdateQuery(dbQuery);
+	});
+};
+
+// Only the provided fields are updated: params, initialUses, remainingUses.
+Store.prototype.update = function(hash, data) {
+	return this.onReady().then(() => {
+		let values = { updatedAt: this.now() };
+		if (typeof data.params !== 'undefined') {
+			values.params = JSON.stringify(data.params || {});
+		}
+		['initialUses', 'remainingUses'].forEach(key => {
+			if (typeof data[key] !== 'undefined') {
+				values[key] = data[key];
+			}
+		});
+		const dbQuery = this.db('urls')
+			.where({ hash })
+			.update(values);
+		return this.runUpdateQuery(dbQuery);
+	});
+};
+
+Store.prototype.revoke = function(hash) {
+	return this.onReady().then(() => {
+		const now = this.now();
+		// Keep the original time of revocation when revoked more than once.
+		const dbQuery = this.db('urls')
+			.where({ hash })
+			.whereNull('revokedAt')
+			.update({ revokedAt: now, updatedAt: now });
+		return this.runUpdateQuery(dbQuery).then(ok => {
+			return ok || this.exists(hash).then(exists => !!exists);
+		});
+	});
+};
+
+// Resolves TRUE when exactly one row was updated.
+Store.prototype.runUpdateQuery = function(dbQuery) {
+	switch (this.options.client) {
+		case 'postgres':
+		case 'pg':
+			dbQuery.returning('hash');
+	}
+	return dbQuery.then(updateResults => {
+		switch (this.options.client) {
+			case 'sqlite3':
+			case 'mysql':
+			case 'mysql2':
+				return updateResults === 1;
+			default:
+				return updateResults.length === 1;
+		}
+	});
+};
+
+Store.prototype.createAddress = function(username, params, options) {
+	const { apiKeyId } = options || {};
+	return this.onReady().then(() => {
+		const now = this.now();
+		return this.db('addresses').insert({
+			username,
+			params: JSON.stringify(params || {}),
+			apiKeyId: apiKeyId || null,
+			createdAt: now,
+			updatedAt: now,
+		});
+	});
+};
+
+Store.prototype.fetchAddress = function(username) {
+	return this.onReady().then(() => {
+		return this.db('addresses').select('*').where({ username }).then(results => {
+			let data = results[0] || null;
+			if (data && data.params && typeof data.params === 'string') {
+				data.params = JSON.parse(data.params);
+			}
+			return data || null;
+		});
+	});
+};
+
+Store.prototype.updateAddress = function(username, params) {
+	return this.onReady().then(() => {
+		return this.db('addresses').where({ username }).update({
+			params: JSON.stringify(params || {}),
+			updatedAt: this.now(),
+		}).then(numRowsUpdated => {
+			return numRowsUpdated === 1;
+		});
+	});
+};
+
+Store.prototype.deleteAddress = function(username) {
+	return this.onReady().then(() => {
+		return this.db('addresses').where({ username }).del().then(numRowsDeleted => {
+			return numRowsDeleted === 1;
+		});
+	});
+};
+
+Store.prototype.createInvoice = function(paymentHash, hash, pr, options) {
+	const { apiKeyId, zapRequest } = options || {};
+	return this.onReady().then(() => {
+		return this.db('invoices').insert({
+			paymentHash,
+			hash,
+			apiKeyId: apiKeyId || null,
+			pr,
+			zapRequest: zapRequest || null,
+			createdAt: this.now(),
+		});
+	});
+};
+
+Store.prototype.fetchInvoice = function(paymentHash) {
+	return this.onReady().then(() => {
+		return this.db('invoices').select('*').where({ paymentHash }).then(results => {
+			return results[0] || null;
+		});
+	});
+};
+
+Store.prototype.createUse = function(data) {
+	return this.onReady().then(() => {
+		const { hash, tag, apiKeyId, amount, pr, paymentHash, remoteId, ip, outcome, reason } = data;
+		return this.db('uses').insert({
+			hash,
+			tag,
+			apiKeyId: apiKeyId || null,
+			amount: typeof amount === 'number' ? amount : null,
+			pr: pr || null,
+			paymentHash: paymentHash || null,
+			remoteId: remoteId || null,
+			ip: ip || null,
+			outcome,
+			reason: reason || null,
+			createdAt: this.now(),
+		});
+	}).then(() => true);
+};
+
+// Resolves true the first time the nonce is used, false otherwise.
+// Nonces are forgotten once they expire - a nonce must not be accepted after its expiry.
+Store.prototype.useNonce = function(nonce, expiresAt) {
+	return this.onReady().then(() => {
+		return this.db('nonces').where('expiresAt', '<=', this.toTimestamp(Date.now())).del();
+	}).then(() => {
+		return this.db('nonces').insert({
+			nonce,
+			expiresAt: this.toTimestamp(expiresAt),
+		}).then(() => true).catch(error => {
+			// Unique constraint violation - the nonce was already used.
+			return this.db('nonces').select('nonce').where({ nonce }).then(results => {
+				if (results.length > 0) return false;
+				throw error;
+			});
+		});
+	});
+};
+
+// Resolves { uses, cursor } - pass the cursor to get the next page (null when there are no more).
+// Uses are ordered by ID (i.e chronologically).
+Store.prototype.listUses = function(options) {
+	options = Object.assign({}, {
+		hash: null,
+		tag: null,
+		apiKeyId: null,
+		outcome: null,
+		createdAfter: null,
+		createdBefore: null,
+		limit: 100,
+		cursor: null,
+	}, options || {});
+	const { hash, tag, apiKeyId, outcome, createdAfter, createdBefore, limit, cursor } = options;
+	return this.onReady().then(() => {
+		let dbQuery = this.db('uses').select('*');
+		if (hash) {
+			dbQuery.where({ hash });
+		}
+		if (tag) {
+			dbQuery.where({ tag });
+		}
+		if (apiKeyId) {
+			dbQuery.where({ apiKeyId });
+		}
+		if (outcome) {
+			dbQuery.where({ outcome });
+		}
+		if (createdAfter) {
+			dbQuery.where('createdAt', '>', this.toTimestamp(createdAfter));
+		}
+		if (createdBefore) {
+			dbQuery.where('createdAt', '<', this.toTimestamp(createdBefore));
+		}
+		if (cursor) {
+			dbQuery.where('id', '>', cursor);
+		}
+		// Fetch one extra row to know whether there is a next page.
+		return dbQuery.orderBy('id', 'asc').limit(limit + 1).then(results => {
+			const uses = results.slice(0, limit).map(data => {
+				if (typeof data.amount === 'string') {
+					// Some database clients return big integers as strings.
+					data.amount = parseInt(data.amount);
+				}
+				return data;
+			});
+			const nextCursor = results.length > limit ? uses[uses.length - 1].id : null;
+			return { uses, cursor: nextCursor };
+		});
+	});
+};
+
+Store.prototype.now = function() {
+	switch (this.options.client) {
+		case 'sqlite3':
+			return Date.now();
+		default:
+			return this.db.fn.now();
+	}
+};
+
+// Same format as now() - but for a specific date.
+Store.prototype.toTimestamp = function(date) {
+	date = new Date(date);
+	switch (this.options.client) {
+		case 'sqlite3':
+			return date.getTime();
+		default:
+			return date;
+	}
+};
+
 Store.prototype.deepClone = function(data) {
 	return JSON.parse(JSON.stringify(data));
 };
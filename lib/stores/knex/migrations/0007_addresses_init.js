@@ -0,0 +1,26 @@
+exports.up = function(knex) {
+	return knex.schema.hasTable('addresses').then(exists => {
+		if (!exists) {
+			return knex.schema.createTable('addresses', table => {
+				table.string('username').unique();
+				table.json('params');
+				table.string('apiKeyId');
+				switch (knex.client.config.client) {
+					case 'mysql':
+					case 'mysql2':
+						table.timestamp('createdAt').defaultTo(knex.fn.now());
+						table.timestamp('updatedAt').defaultTo(knex.fn.now());
+						break;
+					default:
+						table.timestamp('createdAt');
+						table.timestamp('updatedAt');
+						break;
+				}
+			});
+		}
+	});
+};
+
+exports.down = function(knex) {
+	return knex.schema.dropTableIfExists('addresses');
+};
@@ -0,0 +1,35 @@
+exports.up = function(knex) {
+	return knex.schema.hasColumn('urls', 'balance').then(exists => {
+		if (!exists) {
+			return knex.schema.table('urls', table => {
+				table.bigInteger('balance').nullable();
+			});
+		}
+	}).then(() => {
+		return knex.schema.hasColumn('urls', 'balanceNotify').then(exists => {
+			if (!exists) {
+				return knex.schema.table('urls', table => {
+					table.text('balanceNotify').nullable();
+				});
+			}
+		});
+	});
+};
+
+exports.down = function(knex) {
+	return knex.schema.hasColumn('urls', 'balanceNotify').then(exists => {
+		if (exists) {
+			return knex.schema.table('urls', table => {
+				table.dropColumn('balanceNotify');
+			});
+		}
+	}).then(() => {
+		return knex.schema.hasColumn('urls', 'balance').then(exists => {
+			if (exists) {
+				return knex.schema.table('urls', table => {
+					table.dropColumn('balance');
+				});
+			}
+		});
+	});
+};
@@ -0,0 +1,25 @@
+exports.up = function(knex) {
+	return knex.schema.hasTable('invoices').then(exists => {
+		if (!exists) {
+			return knex.schema.createTable('invoices', table => {
+				table.string('paymentHash').unique();
+				table.string('hash');
+				table.string('apiKeyId');
+				table.text('pr');
+				switch (knex.client.config.client) {
+					case 'mysql':
+					case 'mysql2':
+						table.timestamp('createdAt').defaultTo(knex.fn.now());
+						break;
+					default:
+						table.timestamp('createdAt');
+						break;
+				}
+			});
+		}
+	});
+};
+
+exports.down = function(knex) {
+	return knex.schema.dropTableIfExists('invoices');
+};
@@ -0,0 +1,19 @@
+exports.up = function(knex) {
+	return knex.schema.hasColumn('invoices', 'zapRequest').then(exists => {
+		if (!exists) {
+			return knex.schema.table('invoices', table => {
+				table.text('zapRequest').nullable();
+			});
+		}
+	});
+};
+
+exports.down = function(knex) {
+	return knex.schema.hasColumn('invoices', 'zapRequest').then(exists => {
+		if (exists) {
+			return knex.schema.table('invoices', table => {
+				table.dropColumn('zapRequest');
+			});
+		}
+	});
+};
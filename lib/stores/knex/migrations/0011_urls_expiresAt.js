@@ -0,0 +1,19 @@
+exports.up = function(knex) {
+	return knex.schema.hasColumn('urls', 'expiresAt').then(exists => {
+		if (!exists) {
+			return knex.schema.table('urls', table => {
+				table.timestamp('expiresAt').nullable();
+			});
+		}
+	});
+};
+
+exports.down = function(knex) {
+	return knex.schema.hasColumn('urls', 'expiresAt').then(exists => {
+		if (exists) {
+			return knex.schema.table('urls', table => {
+				table.dropColumn('expiresAt');
+			});
+		}
+	});
+};
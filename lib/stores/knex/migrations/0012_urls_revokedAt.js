@@ -0,0 +1,19 @@
+exports.up = function(knex) {
+	return knex.schema.hasColumn('urls', 'revokedAt').then(exists => {
+		if (!exists) {
+			return knex.schema.table('urls', table => {
+				table.timestamp('revokedAt').nullable();
+			});
+		}
+	});
+};
+
+exports.down = function(knex) {
+	return knex.schema.hasColumn('urls', 'revokedAt').then(exists => {
+		if (exists) {
+			return knex.schema.table('urls', table => {
+				table.dropColumn('revokedAt');
+			});
+		}
+	});
+};
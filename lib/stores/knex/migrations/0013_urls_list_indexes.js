@@ -0,0 +1,22 @@
+// Indexes used when listing URLs (see Store.prototype.list).
+
+const indexes = [
+	['apiKeyId', 'tag'],
+	['createdAt'],
+];
+
+exports.up = function(knex) {
+	return knex.schema.table('urls', table => {
+		indexes.forEach(columns => {
+			table.index(columns);
+		});
+	});
+};
+
+exports.down = function(knex) {
+	return knex.schema.table('urls', table => {
+		indexes.forEach(columns => {
+			table.dropIndex(columns);
+		});
+	});
+};
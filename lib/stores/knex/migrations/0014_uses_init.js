@@ -0,0 +1,35 @@
+// Ledger of URL uses (see Store.prototype.createUse).
+
+exports.up = function(knex) {
+	return knex.schema.hasTable('uses').then(exists => {
+		if (!exists) {
+			return knex.schema.createTable('uses', table => {
+				table.increments('id');
+				table.string('hash').index();
+				table.string('tag');
+				table.string('apiKeyId');
+				table.bigInteger('amount').nullable();
+				table.text('pr');
+				table.string('paymentHash');
+				table.string('remoteId');
+				table.string('ip');
+				table.string('outcome');
+				table.text('reason');
+				switch (knex.client.config.client) {
+					case 'mysql':
+					case 'mysql2':
+						table.timestamp('createdAt').defaultTo(knex.fn.now());
+						break;
+					default:
+						table.timestamp('createdAt');
+						break;
+				}
+				table.index(['createdAt']);
+			});
+		}
+	});
+};
+
+exports.down = function(knex) {
+	return knex.schema.dropTableIfExists('uses');
+};
@@ -0,0 +1,17 @@
+// Used nonces (see Store.prototype.useNonce).
+
+exports.up = function(knex) {
+	return knex.schema.hasTable('nonces').then(exists => {
+		if (!exists) {
+			return knex.schema.createTable('nonces', table => {
+				table.string('nonce').unique();
+				table.timestamp('expiresAt');
+				table.index(['expiresAt']);
+			});
+		}
+	});
+};
+
+exports.down = function(knex) {
+	return knex.schema.dropTableIfExists('nonces');
+};
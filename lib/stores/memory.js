@@ -9,6 +9,10 @@ let Store = function(options) {
 		noWarning: false,
 	}, options || {});
 	this.map = new Map();
+	this.addresses = new Map();
+	this.invoices = new Map();
+	this.uses = [];
+	this.nonces = new Map();
 	if (this.options.noWarning !== true) {
 		console.log(
 			'\x1b[40m\x1b[31m\n',// fgColor = red, bgColor = black
@@ -33,7 +37,7 @@ let Store = function(options) {
 Store.prototype.create = function(hash, tag, params, options) {
 	return Promise.resolve().then(() => {
 		assert.ok(!this.map.has(hash), `Cannot save duplicate URL (hash: "${hash}")`);
-		const { apiKeyId, uses } = options || {};
+		const { apiKeyId, uses, balance, expiresAt } = options || {};
 		const now = new Date(Date.now()).toISOString();
 		data = this.deepClone({
 			tag,
@@ -41,6 +45,10 @@ Store.prototype.create = function(hash, tag, params, options) {
 			apiKeyId,
 			remainingUses: uses,
 			initialUses: uses,
+			balance: typeof balance === 'number' ? balance : null,
+			balanceNotify: null,
+			expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+			revokedAt: null,
 			createdAt: now,
 			updatedAt: now,
 		});
@@ -59,6 +67,42 @@ Store.prototype.fetch = function(hash) {
 	});
 };
 
+// Resolves { urls, cursor } - pass the cursor to get the next page (null when there are no more).
+// URLs are ordered by hash so that pagination is stable.
+Store.prototype.list = function(options) {
+	options = Object.assign({}, {
+		tag: null,
+		apiKeyId: null,
+		createdAfter: null,
+		createdBefore: null,
+		// TRUE = no remaining uses, FALSE = not exhausted (or unlimited uses), NULL = both:
+		exhausted: null,
+		limit: 100,
+		cursor: null,
+	}, options || {});
+	const { tag, apiKeyId, createdAfter, createdBefore, exhausted, limit, cursor } = options;
+	return Promise.resolve().then(() => {
+		const hashes = Array.from(this.map.keys()).sort().filter(hash => {
+			if (cursor && hash <= cursor) return false;
+			const data = this.map.get(hash);
+			if (tag && data.tag !== tag) return false;
+			if (apiKeyId && data.apiKeyId !== apiKeyId) return false;
+			const createdAt = Date.parse(data.createdAt);
+			if (createdAfter && !(createdAt > new Date(createdAfter).getTime())) return false;
+			if (createdBefore && !(createdAt < new Date(createdBefore).getTime())) return false;
+			const isExhausted = data.initialUses > 0 && data.remainingUses <= 0;
+			if (exhausted === true && !isExhausted) return false;
+			if (exhausted === false && isExhausted) return false;
+			return true;
+		});
+		const urls = hashes.slice(0, limit).map(hash => {
+			return Object.assign({ hash }, this.deepClone(this.map.get(hash)));
+		});
+		const nextCursor = hashes.length > limit ? urls[urls.length - 1].hash : null;
+		return { urls, cursor: nextCursor };
+	});
+};
+
 Store.prototype.exists = function(hash) {
 	return Promise.resolve().then(() => {
 		return this.map.has(hash);
@@ -104,6 +148,219 @@ Store.prototype.unuse = function(hash) {
 	});
 };
 
+Store.prototype.debit = function(hash, amount) {
+	return Promise.resolve().then(() => {
+		let data = this.map.get(hash) || null;
+		if (!data || data.balance === null || data.balance < amount) {
+			// URL not found, has no balance, or insufficient balance.
+			return false;
+		}
+		data = this.deepClone(data);
+		data.balance -= amount;
+		data.updatedAt = new Date(Date.now()).toISOString();
+		this.map.set(hash, data);
+		return true;
+	});
+};
+
+Store.prototype.credit = function(hash, amount) {
+	return Promise.resolve().then(() => {
+		let data = this.map.get(hash) || null;
+		if (!data || data.balance === null) {
+			// URL not found or has no balance.
+			return false;
+		}
+		data = this.deepClone(data);
+		data.balance += amount;
+		data.updatedAt = new Date(Date.now()).toISOString();
+		this.map.set(hash, data);
+		return true;
+	});
+};
+
+Store.prototype.setBalanceNotify = function(hash, balanceNotify) {
+	return Promise.resolve().then(() => {
+		let data = this.map.get(hash) || null;
+		if (!data) {
+			return false;
+		}
+		data = this.deepClone(data);
+		data.balanceNotify = balanceNotify;
+		data.updatedAt = new Date(Date.now()).toISOString();
+		this.map.set(hash, data);
+		return true;
+	});
+};
+
+// Only the provided fields are updated: params, initialUses, remainingUses.
+Store.prototype.update = function(hash, data) {
+	return Promise.resolve().then(() => {
+		let fetched = this.map.get(hash) || null;
+		if (!fetched) {
+			return false;
+		}
+		fetched = this.deepClone(fetched);
+		['params', 'initialUses', 'remainingUses'].forEach(key => {
+			if (typeof data[key] !== 'undefined') {
+				fetched[key] = this.deepClone(data[key]);
+			}
+		});
+		fetched.updatedAt = new Date(Date.now()).toISOString();
+		this.map.set(hash, fetched);
+		return true;
+	});
+};
+
+Store.prototype.revoke = function(hash) {
+	return Promise.resolve().then(() => {
+		let data = this.map.get(hash) || null;
+		if (!data) {
+			return false;
+		}
+		if (!data.revokedAt) {
+			data = this.deepClone(data);
+			data.revokedAt = data.updatedAt = new Date(Date.now()).toISOString();
+			this.map.set(hash, data);
+		}
+		return true;
+	});
+};
+
+Store.prototype.createAddress = function(username, params, options) {
+	return Promise.resolve().then(() => {
+		assert.ok(!this.addresses.has(username), `Cannot save duplicate Lightning Address (username: "${username}")`);
+		const { apiKeyId } = options || {};
+		const now = new Date(Date.now()).toISOString();
+		const data = this.deepClone({
+			username,
+			params,
+			apiKeyId: apiKeyId || null,
+			createdAt: now,
+			updatedAt: now,
+		});
+		this.addresses.set(username, data);
+		return true;
+	});
+};
+
+Store.prototype.fetchAddress = function(username) {
+	return Promise.resolve().then(() => {
+		let data = this.addresses.get(username) || null;
+		if (data) {
+			data = this.deepClone(data);
+		}
+		return data;
+	});
+};
+
+Store.prototype.updateAddress = function(username, params) {
+	return Promise.resolve().then(() => {
+		let data = this.addresses.get(username) || null;
+		if (!data) {
+			// Lightning Address not found. Cannot update.
+			return false;
+		}
+		data = this.deepClone(data);
+		data.params = this.deepClone(params);
+		data.updatedAt = new Date(Date.now()).toISOString();
+		this.addresses.set(username, data);
+		return true;
+	});
+};
+
+Store.prototype.deleteAddress = function(username) {
+	return Promise.resolve().then(() => {
+		return this.addresses.delete(username);
+	});
+};
+
+Store.prototype.createInvoice = function(paymentHash, hash, pr, options) {
+	return Promise.resolve().then(() => {
+		assert.ok(!this.invoices.has(paymentHash), `Cannot save duplicate invoice (paymentHash: "${paymentHash}")`);
+		const { apiKeyId, zapRequest } = options || {};
+		this.invoices.set(paymentHash, {
+			paymentHash,
+			hash,
+			apiKeyId: apiKeyId || null,
+			pr,
+			zapRequest: zapRequest || null,
+			createdAt: new Date(Date.now()).toISOString(),
+		});
+		return true;
+	});
+};
+
+Store.prototype.fetchInvoice = function(paymentHash) {
+	return Promise.resolve().then(() => {
+		let data = this.invoices.get(paymentHash) || null;
+		if (data) {
+			data = this.deepClone(data);
+		}
+		return data;
+	});
+};
+
+Store.prototype.createUse = function(data) {
+	return Promise.resolve().then(() => {
+		const id = this.uses.length + 1;
+		this.uses.push(this.deepClone(Object.assign({}, data, {
+			id,
+			createdAt: new Date(Date.now()).toISOString(),
+		})));
+		return true;
+	});
+};
+
+// Resolves true the first time the nonce is used, false otherwise.
+// Nonces are forgotten once they expire - a nonce must not be accepted after its expiry.
+Store.prototype.useNonce = function(nonce, expiresAt) {
+	return Promise.resolve().then(() => {
+		const now = Date.now();
+		this.nonces.forEach((value, key) => {
+			if (value <= now) {
+				this.nonces.delete(key);
+			}
+		});
+		if (this.nonces.has(nonce)) {
+			return false;
+		}
+		this.nonces.set(nonce, new Date(expiresAt).getTime());
+		return true;
+	});
+};
+
+// Resolves { uses, cursor } - pass the cursor to get the next page (null when there are no more).
+// Uses are ordered by ID (i.e chronologically).
+Store.prototype.listUses = function(options) {
+	options = Object.assign({}, {
+		hash: null,
+		tag: null,
+		apiKeyId: null,
+		outcome: null,
+		createdAfter: null,
+		createdBefore: null,
+		limit: 100,
+		cursor: null,
+	}, options || {});
+	const { hash, tag, apiKeyId, outcome, createdAfter, createdBefore, limit, cursor } = options;
+	return Promise.resolve().then(() => {
+		const filtered = this.uses.filter(data => {
+			if (cursor && data.id <= cursor) return false;
+			if (hash && data.hash !== hash) return false;
+			if (tag && data.tag !== tag) return false;
+			if (apiKeyId && data.apiKeyId !== apiKeyId) return false;
+			if (outcome && data.outcome !== outcome) return false;
+			const createdAt = Date.parse(data.createdAt);
+			if (createdAfter && !(createdAt > new Date(createdAfter).getTime())) return false;
+			if (createdBefore && !(createdAt < new Date(createdBefore).getTime())) return false;
+			return true;
+		});
+		const uses = filtered.slice(0, limit).map(data => this.deepClone(data));
+		const nextCursor = filtered.length > limit ? uses[uses.length - 1].id : null;
+		return { uses, cursor: nextCursor };
+	});
+};
+
 Store.prototype.deepClone = function(data) {
 	return JSON.parse(JSON.stringify(data));
 };
@@ -111,6 +368,9 @@ Store.prototype.deepClone = function(data) {
 Store.prototype.close = function() {
 	return Promise.resolve().then(() => {
 		this.map.clear();
+		this.addresses.clear();
+		this.invoices.clear();
+		this.uses = [];
 	});
 };
 
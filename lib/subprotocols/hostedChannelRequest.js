@@ -0,0 +1,55 @@
+const assert = require('assert');
+const HttpError = require('../HttpError');
+
+module.exports = {
+	params: {
+		required: [],
+	},
+	validate: function(params) {
+		return Promise.resolve().then(() => {
+			const { alias } = params;
+			if (typeof alias !== 'undefined' && alias !== null) {
+				assert.strictEqual(typeof alias, 'string', new HttpError('Invalid parameter ("alias"): String expected', 400));
+				assert.ok(Buffer.byteLength(alias, 'utf8') <= 32, new HttpError('Invalid parameter ("alias"): Must not be longer than 32 bytes', 400));
+			}
+			return this.executeHook('hostedChannelRequest:validate', params);
+		});
+	},
+	info: function(secret, params) {
+		return Promise.resolve().then(() => {
+			assert.ok(this.ln, 'Cannot execute subprotocol ("hostedChannelRequest:info"): Lightning Backend missing');
+			return this.executeHook('hostedChannelRequest:info', secret, params).then(() => {
+				return this.ln.getNodeUri().then(nodeUri => {
+					let info = {
+						uri: nodeUri,
+						k1: secret,
+						tag: 'hostedChannelRequest',
+					};
+					if (params.alias) {
+						info.alias = params.alias;
+					}
+					return info;
+				});
+			});
+		});
+	},
+	action: function(secret, params) {
+		return Promise.resolve().then(() => {
+			assert.ok(this.ln, 'Cannot execute subprotocol ("hostedChannelRequest:action"): Lightning Backend missing');
+			assert.strictEqual(typeof this.ln.openHostedChannel, 'function', new HttpError('hostedChannelRequest not supported by this LN backend', 501));
+			const { remoteid } = params;
+			assert.ok(remoteid, new HttpError('Missing required parameter: "remoteid"', 400));
+			return this.executeHook('hostedChannelRequest:action', secret, params).then(() => {
+				// Tell the LN backend to accept a hosted channel from the wallet's node.
+				// The k1 is the secret which the wallet provides when invoking the hosted channel.
+				return this.ln.openHostedChannel(remoteid, secret).then(result => {
+					this.emit('hostedChannelRequest:action:processed', { secret, params, result });
+					return null;
+				}).catch(error => {
+					this.emit('hostedChannelRequest:action:failed', { secret, params, error });
+					throw error;
+				});
+			});
+		});
+	},
+};
@@ -1,5 +1,6 @@
 module.exports = {
 	channelRequest: require('./channelRequest'),
+	hostedChannelRequest: require('./hostedChannelRequest'),
 	login: require('./login'),
 	payRequest: require('./payRequest'),
 	withdrawRequest: require('./withdrawRequest'),
@@ -3,12 +3,20 @@ const createHash = require('../createHash');
 const HttpError = require('../HttpError');
 const verifyAuthorizationSignature = require('../verifyAuthorizationSignature');
 
+// LUD-04: Possible values of the optional "action" parameter.
+const actions = ['register', 'login', 'link', 'auth'];
+
 module.exports = {
 	params: {
 		required: [],
 	},
-	validate: function() {
-		return Promise.resolve();
+	validate: function(params) {
+		return Promise.resolve().then(() => {
+			const { action } = params || {};
+			if (typeof action !== 'undefined' && action !== null) {
+				assert.ok(actions.includes(action), new HttpError('Invalid parameter ("action"): Expected one of "register", "login", "link" or "auth"', 400));
+			}
+		});
 	},
 	info: function() {
 		return Promise.reject(new HttpError('Invalid request. Expected querystring as follows: k1=SECRET&sig=SIGNATURE&key=LINKING_PUBKEY', 400));
@@ -18,10 +26,11 @@ module.exports = {
 			assert.ok(params.sig, new HttpError('Missing required parameter: "sig"', 400));
 			assert.ok(params.key, new HttpError('Missing required parameter: "key"', 400));
 			const { key, sig } = params;
+			const action = actions.includes(params.action) ? params.action : null;
 			assert.ok(verifyAuthorizationSignature(sig, k1, key), new HttpError('Invalid signature', 400));
 			return this.executeHook('login', key).then(() => {
 				const hash = createHash(k1);
-				this.emit('login', { key, hash });
+				this.emit('login', { key, hash, action });
 			});
 		});
 	},
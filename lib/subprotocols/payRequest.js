@@ -1,7 +1,185 @@
+const aes = require('../aes');
 const assert = require('assert');
 const BigNumber = require('bignumber.js');
 const createHash = require('../createHash');
+const { getTagDataFromPaymentRequest } = require('lightning-backends');
 const HttpError = require('../HttpError');
+const { isHex } = require('lnurl-offline');
+const nostr = require('../nostr');
+const verifyAuthorizationSignature = require('../verifyAuthorizationSignature');
+
+// LUD-06: Maximum length of base64-encoded images in metadata.
+const maxImageLength = 136536;
+
+const imageSignatures = {
+	'image/png;base64': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+	'image/jpeg;base64': Buffer.from([0xff, 0xd8, 0xff]),
+};
+
+const isValidBase64 = function(value) {
+	return value.length > 0 && value.length % 4 === 0 && /^[A-Za-z0-9+/]+={0,2}$/.test(value);
+};
+
+// LUD-16: Internet identifier (e.g "alice@service.com").
+const isValidIdentifier = function(value) {
+	return /^[a-z0-9\-_.+]+@[^@\s]+$/.test(value);
+};
+
+const isValidEmail = function(value) {
+	return /^[^@\s]+@[^@\s]+$/.test(value);
+};
+
+const validateMetadata = function(metadata) {
+	metadata.forEach(entry => {
+		assert.ok(typeof entry[0] === 'string' && typeof entry[1] === 'string', new HttpError('"metadata" entries must be pairs of strings (e.g ["text/plain", "..."])', 400));
+	});
+	const countEntries = function(types) {
+		return metadata.filter(entry => types.includes(entry[0])).length;
+	};
+	assert.ok(countEntries(['text/long-desc']) <= 1, new HttpError('"metadata" must not contain more than one "text/long-desc" entry', 400));
+	assert.ok(countEntries(Object.keys(imageSignatures)) <= 1, new HttpError('"metadata" must not contain more than one image entry', 400));
+	assert.ok(countEntries(['text/identifier', 'text/email']) <= 1, new HttpError('"metadata" must not contain more than one "text/identifier" or "text/email" entry', 400));
+	metadata.forEach(([type, content]) => {
+		switch (type) {
+			case 'text/long-desc':
+				// LUD-20: Long payment description.
+				assert.ok(content.length > 0, new HttpError('Invalid metadata ("text/long-desc"): Must not be empty', 400));
+				break;
+			case 'image/png;base64':
+			case 'image/jpeg;base64':
+				assert.ok(content.length <= maxImageLength, new HttpError(`Invalid metadata ("${type}"): Must not be longer than ${maxImageLength} characters`, 400));
+				assert.ok(isValidBase64(content), new HttpError(`Invalid metadata ("${type}"): Valid base64 expected`, 400));
+				assert.ok(Buffer.from(content, 'base64').slice(0, imageSignatures[type].length).equals(imageSignatures[type]), new HttpError(`Invalid metadata ("${type}"): Image data does not match type`, 400));
+				break;
+			case 'text/identifier':
+				assert.ok(isValidIdentifier(content), new HttpError('Invalid metadata ("text/identifier"): Internet identifier expected (e.g "alice@service.com")', 400));
+				break;
+			case 'text/email':
+				assert.ok(isValidEmail(content), new HttpError('Invalid metadata ("text/email"): Email address expected', 400));
+				break;
+		}
+	});
+};
+
+// LUD-18: Fields which can be requested from the payer.
+const payerDataFields = ['name', 'pubkey', 'identifier', 'email', 'auth'];
+
+const parsePayerData = function(payerData) {
+	if (typeof payerData === 'string') {
+		try { payerData = JSON.parse(payerData); } catch (error) {
+			throw new HttpError('Invalid parameter ("payerData"): Valid JSON expected', 400);
+		}
+	}
+	return payerData || null;
+};
+
+const preparePayerDataInfo = function(payerData, secret) {
+	let info = {};
+	Object.keys(payerData).forEach(field => {
+		info[field] = { mandatory: payerData[field].mandatory === true };
+		if (field === 'auth') {
+			// A new k1 for each info request - so that signatures cannot be replayed.
+			info[field].k1 = this.issuePayerDataAuthK1(secret);
+		}
+	});
+	return info;
+};
+
+const verifyPayerData = function(payerData, payerdata, secret) {
+	const mandatory = Object.keys(payerData).filter(field => payerData[field].mandatory === true);
+	if (typeof payerdata === 'undefined') {
+		assert.strictEqual(mandatory.length, 0, new HttpError('Missing required parameter: "payerdata"', 400));
+		return null;
+	}
+	assert.strictEqual(typeof payerdata, 'string', new HttpError('Invalid parameter ("payerdata"): String expected', 400));
+	let data;
+	try { data = JSON.parse(payerdata); } catch (error) {
+		throw new HttpError('Invalid parameter ("payerdata"): Valid JSON expected', 400);
+	}
+	assert.ok(data && typeof data === 'object' && !(data instanceof Array), new HttpError('Invalid parameter ("payerdata"): Object expected', 400));
+	Object.keys(data).forEach(field => {
+		assert.ok(payerData[field], new HttpError(`Invalid parameter ("payerdata"): Field not requested ("${field}")`, 400));
+	});
+	mandatory.forEach(field => {
+		assert.ok(typeof data[field] !== 'undefined' && data[field] !== null, new HttpError(`Invalid parameter ("payerdata"): Missing mandatory field ("${field}")`, 400));
+	});
+	['name', 'identifier', 'email'].forEach(field => {
+		if (typeof data[field] !== 'undefined') {
+			assert.strictEqual(typeof data[field], 'string', new HttpError(`Invalid parameter ("payerdata"): Invalid field ("${field}"): String expected`, 400));
+		}
+	});
+	if (typeof data.pubkey !== 'undefined') {
+		assert.ok(typeof data.pubkey === 'string' && isHex(data.pubkey), new HttpError('Invalid parameter ("payerdata"): Invalid field ("pubkey"): Hex-encoded string expected', 400));
+	}
+	if (typeof data.auth !== 'undefined') {
+		const { key, k1, sig } = data.auth || {};
+		assert.ok(key && k1 && sig, new HttpError('Invalid parameter ("payerdata"): Invalid field ("auth"): "key", "k1" and "sig" expected', 400));
+		assert.ok(this.isValidPayerDataAuthK1(k1, secret), new HttpError('Invalid parameter ("payerdata"): Invalid field ("auth"): Unexpected "k1"', 400));
+		let verified = false;
+		try { verified = verifyAuthorizationSignature(sig, k1, key); } catch (error) {
+			verified = false;
+		}
+		assert.ok(verified, new HttpError('Invalid parameter ("payerdata"): Invalid field ("auth"): Invalid signature', 400));
+	}
+	return data;
+};
+
+const prepareSuccessAction = function(successAction, invoiceResult) {
+	return Promise.resolve().then(() => {
+		if (successAction && typeof successAction === 'string') {
+			try { successAction = JSON.parse(successAction); } catch (error) {
+				throw new HttpError('Invalid parameter ("successAction"): Valid JSON expected', 400);
+			}
+		}
+		if (!successAction || successAction.tag !== 'aes') {
+			return successAction || null;
+		}
+		// LUD-10: Encrypt the plaintext using the preimage of the new invoice.
+		return Promise.resolve().then(() => {
+			if (invoiceResult.preimage) {
+				return invoiceResult.preimage;
+			}
+			// Most LN backends do not return the preimage when adding an invoice.
+			const paymentHash = getTagDataFromPaymentRequest(invoiceResult.invoice, 'payment_hash');
+			return this.ln.getInvoiceStatus(paymentHash).then(({ preimage }) => preimage);
+		}).then(preimage => {
+			if (Buffer.isBuffer(preimage)) {
+				preimage = preimage.toString('hex');
+			}
+			// Some LN backends do not know the preimage before the invoice is paid.
+			// Not a problem with the request - the LN backend lacks the capability.
+			assert.ok(typeof preimage === 'string' && /^[0-9a-f]{64}$/i.test(preimage), new HttpError('Cannot encrypt successAction (tag = "aes"): Preimage not available from Lightning Backend', 501));
+			const { description, plaintext } = successAction;
+			const { ciphertext, iv } = aes.encrypt(plaintext, preimage);
+			return { tag: 'aes', description, ciphertext, iv };
+		});
+	});
+};
+
+// NIP-57: Parse and validate a zap request (kind 9734 nostr event).
+const parseZapRequest = function(value, amount, maxRelays) {
+	assert.strictEqual(typeof value, 'string', new HttpError('Invalid parameter ("nostr"): String expected', 400));
+	let zapRequest;
+	try { zapRequest = JSON.parse(value); } catch (error) {
+		throw new HttpError('Invalid parameter ("nostr"): Valid JSON expected', 400);
+	}
+	assert.ok(nostr.verifyEvent(zapRequest), new HttpError('Invalid zap request: Invalid event or signature', 400));
+	assert.strictEqual(zapRequest.kind, 9734, new HttpError('Invalid zap request: Kind 9734 expected', 400));
+	const p = nostr.getTags(zapRequest, 'p');
+	assert.ok(p.length === 1 && isHex(p[0][1] || '') && p[0][1].length === 64, new HttpError('Invalid zap request: Must have exactly one "p" tag', 400));
+	assert.ok(nostr.getTags(zapRequest, 'e').length <= 1, new HttpError('Invalid zap request: Must have zero or one "e" tags', 400));
+	assert.ok(nostr.getTags(zapRequest, 'a').length <= 1, new HttpError('Invalid zap request: Must have zero or one "a" tags', 400));
+	const relays = nostr.getTags(zapRequest, 'relays');
+	assert.ok(relays.length === 1 && relays[0].length > 1, new HttpError('Invalid zap request: Missing "relays" tag', 400));
+	// Each relay is an outbound connection from the server.
+	assert.ok(relays[0].length - 1 <= maxRelays, new HttpError(`Invalid zap request: Must not have more than ${maxRelays} relays`, 400));
+	assert.ok(relays[0].slice(1).every(nostr.isRelayUrl), new HttpError('Invalid zap request: Relay URLs must begin with "wss://"', 400));
+	const amountTag = nostr.getTags(zapRequest, 'amount')[0];
+	if (amountTag) {
+		assert.strictEqual(amountTag[1], String(amount), new HttpError('Invalid zap request: "amount" tag must equal the amount', 400));
+	}
+	return zapRequest;
+};
 
 module.exports = {
 	params: {
@@ -10,7 +188,7 @@ module.exports = {
 	validate: function(params) {
 		return Promise.resolve().then(() => {
 			params = Object.assign({}, this.options.payRequest, params || {});
-			let { minSendable, maxSendable, metadata, commentAllowed, successAction } = params;
+			let { minSendable, maxSendable, metadata, commentAllowed, successAction, disposable, payerData } = params;
 			try { minSendable = new BigNumber(minSendable); } catch (error) {
 				throw new HttpError('Invalid parameter ("minSendable"): Number expected', 400);
 			}
@@ -32,6 +210,7 @@ module.exports = {
 			assert.strictEqual(metadata.filter(entry => {
 				return entry[0] === 'text/plain';
 			}).length, 1, new HttpError('"metadata" must contain exactly one "text/plain" entry', 400));
+			validateMetadata(metadata);
 			if (typeof commentAllowed !== 'undefined') {
 				try { commentAllowed = new BigNumber(commentAllowed); } catch (error) {
 					new HttpError('Invalid parameter ("commentAllowed"): Number expected', 400);
@@ -39,6 +218,22 @@ module.exports = {
 				assert.ok(commentAllowed.isInteger(), new HttpError('Invalid parameter ("commentAllowed"): Integer expected', 400));
 				assert.ok(commentAllowed.isLessThanOrEqualTo(1000), new HttpError('"commentAllowed" should not be greater than 1000 due to accepted maximum URL length', 400));
 			}
+			if (typeof disposable !== 'undefined') {
+				assert.ok([true, false, 'true', 'false'].includes(disposable), new HttpError('Invalid parameter ("disposable"): Boolean expected', 400));
+				params.disposable = disposable === true || disposable === 'true';
+			}
+			if (typeof payerData !== 'undefined' && payerData !== null) {
+				payerData = parsePayerData(payerData);
+				assert.ok(payerData && typeof payerData === 'object' && !(payerData instanceof Array), new HttpError('Invalid parameter ("payerData"): Object expected', 400));
+				Object.keys(payerData).forEach(field => {
+					assert.ok(payerDataFields.includes(field), new HttpError(`Invalid parameter ("payerData"): Unknown field "${field}"`, 400));
+					const options = payerData[field];
+					assert.ok(options && typeof options === 'object', new HttpError(`Invalid parameter ("payerData"): Invalid field ("${field}"): Object expected`, 400));
+					if (typeof options.mandatory !== 'undefined') {
+						assert.strictEqual(typeof options.mandatory, 'boolean', new HttpError(`Invalid parameter ("payerData"): Invalid field ("${field}"): "mandatory" must be a boolean`, 400));
+					}
+				});
+			}
 			if (successAction && typeof successAction === 'string') {
 				try { successAction = JSON.parse(successAction); } catch (error) {
 					new HttpError('Invalid parameter ("successAction"): Valid JSON expected', 400);
@@ -62,6 +257,17 @@ module.exports = {
 						assert.strictEqual(typeof successAction.url, 'string', new HttpError('Invalid successAction (tag = "url"): Invalid property ("url"): String expected', 400));
 						assert.strictEqual(typeof successAction.description, 'string', new HttpError('Invalid successAction (tag = "description"): Invalid property ("description"): String expected', 400));
 						break;
+					case 'aes':
+						successAction = Object.assign({}, {
+							description: '',
+							plaintext: '',
+						}, successAction || {});
+						assert.strictEqual(typeof successAction.description, 'string', new HttpError('Invalid successAction (tag = "aes"): Invalid property ("description"): String expected', 400));
+						assert.ok(successAction.description.length <= 144, new HttpError('Invalid successAction (tag = "aes"): Invalid property ("description"): Must not be longer than 144 characters', 400));
+						assert.strictEqual(typeof successAction.plaintext, 'string', new HttpError('Invalid successAction (tag = "aes"): Invalid property ("plaintext"): String expected', 400));
+						assert.ok(successAction.plaintext.length > 0, new HttpError('Invalid successAction (tag = "aes"): Invalid property ("plaintext"): Must not be empty', 400));
+						assert.ok(Buffer.byteLength(successAction.plaintext, 'utf8') <= 4096, new HttpError('Invalid successAction (tag = "aes"): Invalid property ("plaintext"): Must not be larger than 4kb', 400));
+						break;
 					default:
 						throw new HttpError(`Invalid successAction: Unknown tag "${successAction.tag}"`, 400);
 				}
@@ -70,6 +276,9 @@ module.exports = {
 			if (!successAction) {
 				delete params.successAction;
 			}
+			if (!payerData) {
+				delete params.payerData;
+			}
 			params.minSendable = minSendable.toNumber();
 			params.maxSendable = maxSendable.toNumber();
 			params.commentAllowed = commentAllowed.toNumber();
@@ -83,7 +292,7 @@ module.exports = {
 			return this.executeHook('payRequest:info', secret, params).then(() => {
 				const { endpoint } = this.options;
 				let info = {};
-				['minSendable', 'maxSendable', 'metadata', 'commentAllowed', 'successAction', 'allowsNostr', 'nostrPubkey'].forEach(key => {
+				['minSendable', 'maxSendable', 'metadata', 'commentAllowed', 'successAction', 'allowsNostr', 'nostrPubkey', 'disposable', 'payerData'].forEach(key => {
 					if (typeof params[key] !== 'undefined' && params[key] !== null) {
 						info[key] = params[key];
 					}
@@ -94,8 +303,20 @@ module.exports = {
 					}
 					if (!info.successAction) {
 						delete info.successAction;
+					} else if (info.successAction.tag === 'aes') {
+						// Never reveal the plaintext before the invoice is paid.
+						const { tag, description } = info.successAction;
+						info.successAction = { tag, description };
 					}
 				}
+				if (this.options.nostr.privateKey) {
+					// NIP-57: Zap receipts are signed with the server's nostr key.
+					info.allowsNostr = true;
+					info.nostrPubkey = nostr.getPublicKey(this.options.nostr.privateKey);
+				}
+				if (info.payerData) {
+					info.payerData = preparePayerDataInfo.call(this, parsePayerData(info.payerData), secret);
+				}
 				info = Object.assign(info, {
 					callback: this.getUrl(`${endpoint}/${secret}`),
 					tag: 'payRequest',
@@ -103,15 +324,25 @@ module.exports = {
 				info.minSendable = parseInt(info.minSendable);
 				info.maxSendable = parseInt(info.maxSendable);
 				info.commentAllowed = parseInt(info.commentAllowed);
+				if (typeof info.disposable !== 'undefined') {
+					info.disposable = info.disposable === true || info.disposable === 'true';
+				}
 				return info;
 			});
 		});
 	},
-	action: function(secret, params, prismId) {
+	action: function(secret, params, prismId, apiKeyId) {
 		return Promise.resolve().then(() => {
 			assert.ok(secret, 'Missing required argument: "secret"');
 			assert.ok(params.amount, new HttpError('Missing required parameter: "amount"', 400));
-			let { minSendable, maxSendable, metadata, commentAllowed, comment, amount, successAction, nostr } = params;
+			let { minSendable, maxSendable, metadata, commentAllowed, comment, amount, successAction, payerData, payerdata } = params;
+			const { nostr } = params;
+			if (typeof successAction === 'undefined') {
+				successAction = this.options.payRequest.successAction;
+			}
+			if (typeof payerData === 'undefined') {
+				payerData = this.options.payRequest.payerData;
+			}
 			try { amount = new BigNumber(amount); } catch (error) {
 				new HttpError('Invalid parameter ("amount"): Number expected', 400);
 			}
@@ -127,24 +358,62 @@ module.exports = {
 					delete params.comment;
 				}
 			}
+			// LUD-18: Payer data is included in the description hash of the invoice.
+			let description = metadata;
+			payerData = parsePayerData(payerData);
+			if (payerData) {
+				payerData = verifyPayerData.call(this, payerData, payerdata, secret);
+				if (payerData) {
+					description += payerdata;
+				}
+			}
 			amount = amount.toNumber();
+			// NIP-57: The zap request is used as the invoice description.
+			let zapRequest = null;
+			if (typeof nostr !== 'undefined') {
+				zapRequest = parseZapRequest(nostr, amount, this.options.nostr.maxRelays);
+				description = nostr;
+			}
 			const extra = {
-				description: metadata,
-				descriptionHash: createHash(Buffer.from(metadata, 'utf8')),
+				description,
+				descriptionHash: createHash(Buffer.from(description, 'utf8')),
 			};
-			return this.executeHook('payRequest:action', secret, params).then(() => {
+			return Promise.resolve().then(() => {
+				if (payerData && payerData.auth) {
+					// Each k1 can be used only once - so that signatures cannot be replayed.
+					return this.usePayerDataAuthK1(payerData.auth.k1).then(unused => {
+						assert.ok(unused, new HttpError('Invalid parameter ("payerdata"): Invalid field ("auth"): Unexpected "k1"', 400));
+					});
+				}
+			}).then(() => {
+				return this.executeHook('payRequest:action', secret, params);
+			}).then(() => {
 				assert.ok(this.ln, 'Cannot execute subprotocol ("payRequest:action"): Lightning Backend missing');
 				// Tell the LN backend to generate a new invoice.
 				return this.ln.addInvoice(amount, extra, prismId, nostr).then(result => {
-					this.emit('payRequest:action:processed', { secret, params, result });
-					let data = {
-						pr: result.invoice,
-						routes: [],
-					};
-					if (successAction) {
-						data.successAction = successAction;
-					}
-					return data;
+					const paymentHash = getTagDataFromPaymentRequest(result.invoice, 'payment_hash');
+					// Before the invoice is stored - it is not given to the payer if this fails.
+					return prepareSuccessAction.call(this, successAction, result).then(successAction => {
+						// LUD-21: Remember the invoice so that its status can be verified later.
+						return this.createInvoice(paymentHash, createHash(secret), result.invoice, {
+							apiKeyId,
+							zapRequest: zapRequest ? nostr : null,
+						}).then(() => successAction);
+					}).then(successAction => {
+						if (zapRequest && this.options.nostr.privateKey) {
+							this.watchZapInvoice(paymentHash);
+						}
+						this.emit('payRequest:action:processed', { secret, params, result, payerData, zapRequest });
+						let data = {
+							pr: result.invoice,
+							routes: [],
+							verify: this.getInvoiceVerifyUrl(paymentHash),
+						};
+						if (successAction) {
+							data.successAction = successAction;
+						}
+						return data;
+					});
 				}).catch(error => {
 					this.emit('payRequest:action:failed', { secret, params, error });
 					throw error;
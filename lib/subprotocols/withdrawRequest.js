@@ -1,7 +1,20 @@
 const assert = require('assert');
 const BigNumber = require('bignumber.js');
 const bolt11 = require('bolt11');
+const createHash = require('../createHash');
 const HttpError = require('../HttpError');
+const isPrivateHost = require('../isPrivateHost');
+
+// LUD-15: The server sends requests to this URL - so only HTTPS URLs of public hosts are accepted.
+const checkBalanceNotifyUrl = function(value) {
+	assert.strictEqual(typeof value, 'string', new HttpError('Invalid parameter ("balanceNotify"): URL expected', 400));
+	let url;
+	try { url = new URL(value); } catch (error) {
+		throw new HttpError('Invalid parameter ("balanceNotify"): URL expected', 400);
+	}
+	assert.strictEqual(url.protocol, 'https:', new HttpError('Invalid parameter ("balanceNotify"): HTTPS URL expected', 400));
+	assert.ok(!isPrivateHost(url.hostname), new HttpError('Invalid parameter ("balanceNotify"): Loopback, private and link-local hosts are not allowed', 400));
+};
 
 module.exports = {
 	params: {
@@ -37,13 +50,20 @@ module.exports = {
 				};
 				info.minWithdrawable = parseInt(params.minWithdrawable);
 				info.maxWithdrawable = parseInt(params.maxWithdrawable);
+				if (typeof params.balance === 'number') {
+					// LUD-14: Rechargeable withdrawRequest.
+					// Limit the amount to the current balance.
+					info.maxWithdrawable = Math.min(info.maxWithdrawable, params.balance);
+					info.minWithdrawable = Math.min(info.minWithdrawable, info.maxWithdrawable);
+					info.balanceCheck = this.getCallbackUrl({ q: secret });
+				}
 				return info;
 			});
 		});
 	},
 	action: function(secret, params) {
 		return Promise.resolve().then(() => {
-			let { minWithdrawable, maxWithdrawable, pr } = params;
+			let { minWithdrawable, maxWithdrawable, pr, balance, balanceNotify } = params;
 			assert.ok(pr, new HttpError('Missing required parameter: "pr"', 400));
 			assert.ok(pr.indexOf(',') === -1, new HttpError('Invalid parameter ("pr"): Comma-separated payment requests no longer supported', 400));
 			let decoded;
@@ -58,13 +78,42 @@ module.exports = {
 			const total = new BigNumber(decoded.millisatoshis);
 			assert.ok(total.isGreaterThanOrEqualTo(minWithdrawable), new HttpError('Amount in invoice must be greater than or equal to "minWithdrawable"', 400));
 			assert.ok(total.isLessThanOrEqualTo(maxWithdrawable), new HttpError('Amount in invoice must be less than or equal to "maxWithdrawable"', 400));
+			const hasBalance = typeof balance === 'number';
+			if (hasBalance) {
+				assert.ok(total.isLessThanOrEqualTo(balance), new HttpError('Amount in invoice must be less than or equal to the balance', 400));
+			}
+			if (typeof balanceNotify !== 'undefined') {
+				assert.ok(hasBalance, new HttpError('Invalid parameter ("balanceNotify"): Not supported for this URL', 400));
+				checkBalanceNotifyUrl(balanceNotify);
+			}
+			const hash = createHash(secret);
+			const amount = total.toNumber();
 			return this.executeHook('withdrawRequest:action', secret, params).then(() => {
 				assert.ok(this.ln, 'Cannot execute subprotocol ("withdrawRequest:action"): Lightning Backend missing');
+				if (!hasBalance) return;
+				// Reserve the amount before paying the invoice.
+				return this.debitUrl(hash, amount).then(ok => {
+					assert.ok(ok, new HttpError('Insufficient balance', 400));
+					if (balanceNotify) {
+						// LUD-15: Remember where to notify the wallet about balance changes.
+						return this.setBalanceNotify(hash, balanceNotify);
+					}
+				});
+			}).then(() => {
 				// Tell the LN backend to pay the invoice.
 				return this.ln.payInvoice(pr).then(result => {
 					this.emit('withdrawRequest:action:processed', { secret, params, result });
+					if (hasBalance) {
+						this.notifyBalanceChange(hash);
+					}
 				}).catch(error => {
 					this.emit('withdrawRequest:action:failed', { secret, params, error });
+					if (hasBalance) {
+						// Payment failed, so give back the reserved amount.
+						return this.creditUrl(hash, amount).then(() => {
+							throw error;
+						});
+					}
 					throw error;
 				});
 			});
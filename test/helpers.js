@@ -48,6 +48,11 @@ module.exports = {
 					path: parsedUrl.path,
 					headers: requestOptions.headers || {},
 				};
+				['agent', 'ca', 'rejectUnauthorized'].forEach(key => {
+					if (typeof requestOptions[key] !== 'undefined') {
+						options[key] = requestOptions[key];
+					}
+				});
 				if (requestOptions.qs) {
 					options.path += '?' + querystring.stringify(requestOptions.qs);
 				}
@@ -1,4 +1,5 @@
 const assert = require('assert');
+const lnurl = require('../../../');
 
 describe('CLI: encode [value]', function() {
 
@@ -8,6 +9,34 @@ describe('CLI: encode [value]', function() {
 		});
 	});
 
+	it('--tag', function() {
+		return this.helpers.cli('encode --tag withdrawRequest https://service.com/api?q=3fc3645b439ce8e7f2553a69e5267081d96dcd340693afabe04be7b0ccd178df').then(result => {
+			assert.strictEqual(result, 'lnurlw://service.com/api?q=3fc3645b439ce8e7f2553a69e5267081d96dcd340693afabe04be7b0ccd178df');
+		});
+	});
+
+	it('--qr', function() {
+		return this.helpers.cli('encode https://service.com/api?q=1 --qr').then(result => {
+			const lines = result.trim().split('\n');
+			assert.strictEqual(lines[0], 'lnurl1dp68gurn8ghj7um9wfmxjcm99e3k7mf0v9cxj0m385csm4ezqk');
+			assert.strictEqual(lines.length, 1 + lnurl.qrcode.toTerminal(lines[0]).split('\n').length);
+		});
+	});
+
+	it('--qr svg', function() {
+		return this.helpers.cli('encode https://service.com/api?q=1 --qr svg').then(result => {
+			assert.strictEqual(result, lnurl.qrcode.toSvg('lnurl1dp68gurn8ghj7um9wfmxjcm99e3k7mf0v9cxj0m385csm4ezqk'));
+		});
+	});
+
+	it('--qr invalid', function() {
+		return this.helpers.cli('encode https://service.com/api?q=1 --qr jpeg').then(() => {
+			throw new Error('Expected an error');
+		}).catch(error => {
+			assert.strictEqual(error.message, '--qr must be one of: terminal, svg, png\n');
+		});
+	});
+
 	it('piped input', function() {
 		return this.helpers.cli('encode', {
 			stdin: 'https://service.com/api?q=3fc3645b439ce8e7f2553a69e5267081d96dcd340693afabe04be7b0ccd178df',
@@ -3,6 +3,7 @@ const fs = require('fs').promises;
 const lnurl = require('../../../');
 const { createHash } = require('../../../lib');
 const path = require('path');
+const url = require('url');
 
 describe('CLI: generateNewUrl [options]', function() {
 
@@ -229,6 +230,43 @@ describe('CLI: generateNewUrl [options]', function() {
 			});
 		});
 
+		it('--qr svg', function() {
+			return this.helpers.cli([
+				'generateNewUrl',
+				'--configFile', configFilePath,
+				'--tag', 'withdrawRequest',
+				'--qr', 'svg',
+				'--params', JSON.stringify({
+					minWithdrawable: 50000,
+					maxWithdrawable: 50000,
+					defaultDescription: 'with QR code',
+				}),
+			]).then(result => {
+				result = JSON.parse(result);
+				assert.strictEqual(typeof result.encoded, 'string');
+				assert.strictEqual(result.qr, lnurl.qrcode.toSvg(result.encoded));
+			});
+		});
+
+		it('--qr png', function() {
+			return this.helpers.cli([
+				'generateNewUrl',
+				'--configFile', configFilePath,
+				'--tag', 'withdrawRequest',
+				'--qr', 'png',
+				'--params', JSON.stringify({
+					minWithdrawable: 50000,
+					maxWithdrawable: 50000,
+					defaultDescription: 'with QR code',
+				}),
+			]).then(result => {
+				result = JSON.parse(result);
+				const prefix = 'data:image/png;base64,';
+				assert.strictEqual(result.qr.substr(0, prefix.length), prefix);
+				assert.ok(Buffer.from(result.qr.substr(prefix.length), 'base64').equals(lnurl.qrcode.toPng(result.encoded)));
+			});
+		});
+
 		it('--uses 3', function() {
 			return this.helpers.cli([
 				'generateNewUrl',
@@ -259,6 +297,29 @@ describe('CLI: generateNewUrl [options]', function() {
 			});
 		});
 
+		it('--fast', function() {
+			return this.helpers.cli([
+				'generateNewUrl',
+				'--configFile', configFilePath,
+				'--tag', 'withdrawRequest',
+				'--fast',
+				'--params', JSON.stringify({
+					minWithdrawable: 35000,
+					maxWithdrawable: 35000,
+					defaultDescription: 'fast withdraw',
+				}),
+			]).then(result => {
+				result = JSON.parse(result);
+				const { query } = url.parse(result.url, true);
+				assert.strictEqual(query.tag, 'withdrawRequest');
+				assert.strictEqual(query.k1, result.secret);
+				assert.strictEqual(query.minWithdrawable, '35000');
+				assert.strictEqual(query.maxWithdrawable, '35000');
+				assert.strictEqual(query.defaultDescription, 'fast withdraw');
+				assert.strictEqual(query.callback, `http://${config.host}:${config.port}${config.endpoint}`);
+			});
+		});
+
 		it('--uses 0 (unlimited)', function() {
 			return this.helpers.cli([
 				'generateNewUrl',
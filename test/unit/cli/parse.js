@@ -0,0 +1,44 @@
+const assert = require('assert');
+
+describe('CLI: parse [input]', function() {
+
+	it('prints parsed input', function() {
+		return this.helpers.cli('parse lightning:LNURL1DP68GURN8GHJ7UM9WFMXJCM99E3K7MF0V9CXJ0M385EKVCENXC6R2C35XVUKXEFCV5MKVV34X5EKZD3EV56NYD3HXQURZEPEXEJXXEPNXSCRVWFNV9NXZCN9XQ6XYEFHVGCXXCMYXYMNSERXFQ5FNS').then(result => {
+			assert.deepStrictEqual(JSON.parse(result), {
+				url: 'https://service.com/api?q=3fc3645b439ce8e7f2553a69e5267081d96dcd340693afabe04be7b0ccd178df',
+				kind: 'bech32',
+			});
+		});
+	});
+
+	it('Lightning Address', function() {
+		return this.helpers.cli('parse alice@service.com').then(result => {
+			assert.deepStrictEqual(JSON.parse(result), {
+				url: 'https://service.com/.well-known/lnurlp/alice',
+				tag: 'payRequest',
+				kind: 'address',
+				address: 'alice@service.com',
+			});
+		});
+	});
+
+	it('piped input', function() {
+		return this.helpers.cli('parse', {
+			stdin: 'lnurlw://service.com/api?q=3fc3645b',
+		}).then(result => {
+			assert.deepStrictEqual(JSON.parse(result), {
+				url: 'https://service.com/api?q=3fc3645b',
+				tag: 'withdrawRequest',
+				kind: 'lud17',
+			});
+		});
+	});
+
+	it('invalid input', function() {
+		return this.helpers.cli('parse not-an-lnurl').then(() => {
+			throw new Error('Expected an error');
+		}).catch(error => {
+			assert.strictEqual(error.message.trim(), 'Invalid argument ("input"): Expected an LNURL, LUD-17 URI, Lightning Address or URL');
+		});
+	});
+});
@@ -54,9 +54,10 @@ describe('CLI: server [options]', function() {
 		});
 	};
 
-	const serverIsUp = function(host) {
+	const serverIsUp = function(host, protocol) {
 		return Promise.resolve().then(() => {
 			assert.ok(host, 'Missing required argument: "host"');
+			protocol = protocol || 'http';
 			const maxAttempts = 50;
 			const waitTimeBetweenAttempts = 10;
 			let isUp = false;
@@ -65,7 +66,8 @@ describe('CLI: server [options]', function() {
 				return function() {
 					if (isUp) return Promise.resolve();
 					return request('get', {
-						url: `http://${host}/status`,
+						url: `${protocol}://${host}/status`,
+						rejectUnauthorized: false,
 					}).then(result => {
 						const { body, response } = result;
 						assert.strictEqual(response.statusCode, 200);
@@ -168,4 +170,39 @@ describe('CLI: server [options]', function() {
 			});
 		});
 	});
+
+	it('--tls.selfSigned', function() {
+		const config = Object.assign({}, validConfig);
+		return cli([
+			'server',
+			'--host', config.host,
+			'--port', config.port,
+			'--endpoint', config.endpoint,
+			'--auth.apiKeys', JSON.stringify(config.auth.apiKeys),
+			'--lightning.backend', config.lightning.backend,
+			'--lightning.config', JSON.stringify(config.lightning.config),
+			'--store.backend', config.store.backend,
+			'--store.config', JSON.stringify(config.store.config),
+			'--tls.selfSigned',
+		]).then(() => {
+			const { host, port, endpoint } = config;
+			return serverIsUp(`${host}:${port}`, 'https').then(() => {
+				const apiKey = apiKeys[0];
+				const query = prepareSignedQuery(apiKey, 'channelRequest', {
+					localAmt: 1000,
+					pushAmt: 1000,
+				});
+				const callbackUrl = `https://${host}:${port}${endpoint}`;
+				return this.helpers.request('get', {
+					url: callbackUrl,
+					qs: query,
+					rejectUnauthorized: false,
+				}).then(result => {
+					const { body } = result;
+					assert.strictEqual(body.tag, 'channelRequest');
+					assert.strictEqual(body.callback, callbackUrl);
+				});
+			});
+		});
+	});
 });
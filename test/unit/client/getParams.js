@@ -0,0 +1,259 @@
+const assert = require('assert');
+const lnurl = require('../../../');
+const { client, LnurlError } = lnurl;
+
+describe('client.getParams(input[, options])', function() {
+
+	let server;
+	before(function() {
+		server = this.helpers.createServer({
+			lightning: {
+				backend: 'dummy',
+				config: {},
+			},
+		});
+		return server.onReady();
+	});
+
+	after(function() {
+		if (server) return server.close();
+	});
+
+	const { validParams } = require('../../fixtures');
+
+	it('channelRequest', function() {
+		return server.generateNewUrl('channelRequest', validParams.create.channelRequest).then(generatedUrl => {
+			return client.getParams(generatedUrl.encoded).then(params => {
+				assert.deepStrictEqual(params, {
+					tag: 'channelRequest',
+					domain: 'localhost',
+					uri: 'PUBKEY@127.0.0.1:9735',
+					callback: server.getCallbackUrl(),
+					k1: generatedUrl.secret,
+				});
+			});
+		});
+	});
+
+	it('withdrawRequest', function() {
+		return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest).then(generatedUrl => {
+			return client.getParams(generatedUrl.encoded).then(params => {
+				assert.deepStrictEqual(params, {
+					tag: 'withdrawRequest',
+					domain: 'localhost',
+					callback: server.getCallbackUrl(),
+					k1: generatedUrl.secret,
+					minWithdrawable: 1000000,
+					maxWithdrawable: 2000000,
+					defaultDescription: 'service.com: withdrawRequest',
+				});
+			});
+		});
+	});
+
+	it('withdrawRequest (fast)', function() {
+		let fetched = 0;
+		const { httpClient } = client;
+		client.httpClient = {
+			request: function() {
+				fetched++;
+				return httpClient.request.apply(httpClient, arguments);
+			},
+		};
+		return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest, { fast: true }).then(generatedUrl => {
+			return client.getParams(generatedUrl.encoded).then(params => {
+				assert.strictEqual(fetched, 0);
+				assert.strictEqual(params.tag, 'withdrawRequest');
+				assert.strictEqual(params.k1, generatedUrl.secret);
+				assert.strictEqual(params.minWithdrawable, 1000000);
+				assert.strictEqual(params.maxWithdrawable, 2000000);
+			});
+		}).finally(() => {
+			client.httpClient = httpClient;
+		});
+	});
+
+	it('payRequest', function() {
+		return server.generateNewUrl('payRequest', validParams.create.payRequest).then(generatedUrl => {
+			return client.getParams(generatedUrl.encoded).then(params => {
+				assert.deepStrictEqual(params, {
+					tag: 'payRequest',
+					domain: 'localhost',
+					callback: `${server.getCallbackUrl()}/${generatedUrl.secret}`,
+					metadata: '[["text/plain", "service.com: payRequest"]]',
+					minSendable: 100000,
+					maxSendable: 200000,
+					commentAllowed: 300,
+					description: 'service.com: payRequest',
+					decodedMetadata: [['text/plain', 'service.com: payRequest']],
+				});
+			});
+		});
+	});
+
+	it('login', function() {
+		return server.generateNewUrl('login', { action: 'register' }).then(generatedUrl => {
+			return client.getParams(generatedUrl.encoded).then(params => {
+				assert.deepStrictEqual(params, {
+					tag: 'login',
+					domain: 'localhost',
+					callback: generatedUrl.url,
+					k1: generatedUrl.secret,
+					action: 'register',
+				});
+			});
+		});
+	});
+
+	it('LUD-17 URI', function() {
+		let requestedUrl;
+		const { httpClient } = client;
+		client.httpClient = {
+			request: function(method, url) {
+				requestedUrl = url;
+				return httpClient.request(method, url.replace('https://', 'http://'));
+			},
+		};
+		return server.generateNewUrl('payRequest', validParams.create.payRequest).then(generatedUrl => {
+			const uri = generatedUrl.url.replace('http://', 'lnurlp://');
+			return client.getParams(uri).then(params => {
+				assert.strictEqual(requestedUrl, generatedUrl.url.replace('http://', 'https://'));
+				assert.strictEqual(params.tag, 'payRequest');
+			});
+		}).finally(() => {
+			client.httpClient = httpClient;
+		});
+	});
+
+	it('Lightning Address', function() {
+		let requestedUrl;
+		const { httpClient } = client;
+		client.httpClient = {
+			request: function(method, url) {
+				requestedUrl = url;
+				return Promise.resolve({
+					status: 200,
+					body: {
+						tag: 'payRequest',
+						callback: 'https://service.com/lnurl/abc',
+						minSendable: 1000,
+						maxSendable: 2000,
+						metadata: '[["text/plain", "Pay to alice@service.com"], ["text/identifier", "alice@service.com"]]',
+					},
+				});
+			},
+		};
+		return client.getParams('lightning:Alice@Service.com').then(params => {
+			assert.strictEqual(requestedUrl, 'https://service.com/.well-known/lnurlp/alice');
+			assert.strictEqual(params.tag, 'payRequest');
+			assert.strictEqual(params.domain, 'service.com');
+			assert.strictEqual(params.description, 'Pay to alice@service.com');
+		}).finally(() => {
+			client.httpClient = httpClient;
+		});
+	});
+
+	it('service error', function() {
+		return client.getParams(server.getCallbackUrl() + '?q=' + 'a'.repeat(64)).then(() => {
+			throw new Error('Expected an error');
+		}).catch(error => {
+			assert.ok(error instanceof LnurlError);
+			assert.strictEqual(error.status, 'ERROR');
+			assert.strictEqual(error.type, 'service');
+			assert.strictEqual(error.reason, 'Invalid secret');
+		});
+	});
+
+	it('request failed', function() {
+		return client.getParams('http://localhost:3099/lnurl').then(() => {
+			throw new Error('Expected an error');
+		}).catch(error => {
+			assert.ok(error instanceof LnurlError);
+			assert.strictEqual(error.type, 'request');
+		});
+	});
+
+	describe('invalid responses', function() {
+
+		const { httpClient } = client;
+		after(function() {
+			client.httpClient = httpClient;
+		});
+
+		const validPayRequest = {
+			tag: 'payRequest',
+			callback: 'https://service.com/lnurl/abc',
+			minSendable: 1000,
+			maxSendable: 2000,
+			metadata: '[["text/plain", "test"]]',
+		};
+
+		[
+			{
+				description: 'not JSON',
+				body: 'not json',
+				reason: 'Invalid response: JSON object expected (status = 200)',
+			},
+			{
+				description: 'unsupported tag',
+				body: { tag: 'unknownRequest' },
+				reason: 'Unsupported tag: "unknownRequest"',
+			},
+			{
+				description: 'payRequest: invalid callback',
+				body: Object.assign({}, validPayRequest, { callback: 'not a url' }),
+				reason: 'Invalid response: "callback" must be a valid URL',
+			},
+			{
+				description: 'payRequest: maxSendable < minSendable',
+				body: Object.assign({}, validPayRequest, { maxSendable: 500 }),
+				reason: 'Invalid response: "maxSendable" must be greater than or equal to "minSendable"',
+			},
+			{
+				description: 'payRequest: missing text/plain metadata',
+				body: Object.assign({}, validPayRequest, { metadata: '[["text/long-desc", "test"]]' }),
+				reason: 'Invalid response: "metadata" must contain exactly one "text/plain" entry',
+			},
+			{
+				description: 'withdrawRequest: missing k1',
+				body: { tag: 'withdrawRequest', callback: 'https://service.com/lnurl', minWithdrawable: 1000, maxWithdrawable: 2000 },
+				reason: 'Invalid response: Missing "k1"',
+			},
+			{
+				description: 'channelRequest: invalid uri',
+				body: { tag: 'channelRequest', uri: 'not a node uri', callback: 'https://service.com/lnurl', k1: 'abc' },
+				reason: 'Invalid response: "uri" must be a node URI (e.g "PUBKEY@HOST:PORT")',
+			},
+		].forEach(test => {
+			it(test.description, function() {
+				client.httpClient = {
+					request: function() {
+						return Promise.resolve({ status: 200, body: test.body });
+					},
+				};
+				return client.getParams('https://service.com/lnurl').then(() => {
+					throw new Error('Expected an error');
+				}).catch(error => {
+					assert.ok(error instanceof LnurlError, error.message);
+					assert.strictEqual(error.type, 'response');
+					assert.strictEqual(error.reason, test.reason);
+				});
+			});
+		});
+	});
+
+	[
+		'',
+		'lnurl1invalid',
+		'not an lnurl',
+	].forEach(input => {
+		it(`invalid input ("${input}")`, function() {
+			return client.getParams(input).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.ok(error instanceof LnurlError);
+				assert.strictEqual(error.type, 'input');
+			});
+		});
+	});
+});
@@ -0,0 +1,62 @@
+const assert = require('assert');
+const lnurl = require('../../../');
+const { client, generateRandomLinkingKey, LnurlError } = lnurl;
+
+describe('client.login(input, linkingPrivKey[, options])', function() {
+
+	let server;
+	before(function() {
+		server = this.helpers.createServer();
+		return server.onReady();
+	});
+
+	after(function() {
+		if (server) return server.close();
+	});
+
+	let generatedUrl;
+	beforeEach(function() {
+		return server.generateNewUrl('login', {}).then(result => {
+			generatedUrl = result;
+		});
+	});
+
+	it('signs k1 with linking key', function() {
+		const { privKey, pubKey } = generateRandomLinkingKey();
+		let events = [];
+		const listener = event => events.push(event);
+		server.on('login', listener);
+		return client.login(generatedUrl.encoded, privKey.toString('hex')).then(result => {
+			server.removeListener('login', listener);
+			assert.strictEqual(result.status, 'OK');
+			assert.strictEqual(result.key, pubKey.toString('hex'));
+			assert.strictEqual(result.params.k1, generatedUrl.secret);
+			assert.strictEqual(events.length, 1);
+			assert.strictEqual(events[0].key, pubKey.toString('hex'));
+		});
+	});
+
+	it('invalid linking key', function() {
+		return client.login(generatedUrl.encoded, 'not a private key').then(() => {
+			throw new Error('Expected an error');
+		}).catch(error => {
+			assert.ok(error instanceof LnurlError, error.message);
+			assert.strictEqual(error.type, 'input');
+			assert.strictEqual(error.reason, 'Invalid argument ("linkingPrivKey"): Hex-encoded string or buffer expected');
+		});
+	});
+
+	it('service error', function() {
+		const { privKey } = generateRandomLinkingKey();
+		return client.login(generatedUrl.encoded, privKey).then(() => {
+			// The URL can only be used once.
+			return client.login(generatedUrl.encoded, privKey);
+		}).then(() => {
+			throw new Error('Expected an error');
+		}).catch(error => {
+			assert.ok(error instanceof LnurlError, error.message);
+			assert.strictEqual(error.type, 'service');
+			assert.strictEqual(error.reason, 'Maximum number of uses already reached');
+		});
+	});
+});
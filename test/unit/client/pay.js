@@ -0,0 +1,211 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const lnurl = require('../../../');
+const { client, LnurlError } = lnurl;
+const { generatePaymentRequest } = require('lightning-backends');
+
+describe('client.pay(input, amount[, options])', function() {
+
+	let server;
+	before(function() {
+		server = this.helpers.createServer({
+			lightning: {
+				backend: 'dummy',
+				config: {},
+			},
+		});
+		return server.onReady();
+	});
+
+	after(function() {
+		if (server) return server.close();
+	});
+
+	const { validParams } = require('../../fixtures');
+
+	let generatedUrl;
+	beforeEach(function() {
+		return server.generateNewUrl('payRequest', Object.assign({}, validParams.create.payRequest, {
+			successAction: { tag: 'message', message: 'Thank you!' },
+			payerData: { name: { mandatory: false } },
+		})).then(result => {
+			generatedUrl = result;
+		});
+	});
+
+	it('returns verified invoice', function() {
+		return client.pay(generatedUrl.encoded, 150000, { comment: 'Hello!' }).then(result => {
+			assert.ok(result.pr);
+			assert.strictEqual(result.paymentHash.length, 64);
+			assert.strictEqual(result.verify, server.getInvoiceVerifyUrl(result.paymentHash));
+			assert.deepStrictEqual(result.successAction, { tag: 'message', message: 'Thank you!' });
+			assert.strictEqual(result.params.tag, 'payRequest');
+		});
+	});
+
+	it('payer data', function() {
+		return client.pay(generatedUrl.encoded, 150000, { payerData: { name: 'Alice' } }).then(result => {
+			assert.ok(result.pr);
+		});
+	});
+
+	[
+		{
+			description: 'amount too small',
+			amount: 1000,
+			reason: 'Amount must be greater than or equal to "minSendable" (100000)',
+		},
+		{
+			description: 'amount too large',
+			amount: 300000,
+			reason: 'Amount must be less than or equal to "maxSendable" (200000)',
+		},
+		{
+			description: 'comment too long',
+			amount: 150000,
+			options: { comment: 'x'.repeat(301) },
+			reason: '"comment" length must be less than or equal to 300',
+		},
+	].forEach(test => {
+		it(test.description, function() {
+			return client.pay(generatedUrl.encoded, test.amount, test.options).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.ok(error instanceof LnurlError, error.message);
+				assert.strictEqual(error.type, 'input');
+				assert.strictEqual(error.reason, test.reason);
+			});
+		});
+	});
+
+	it('not a payRequest', function() {
+		return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest).then(result => {
+			return client.pay(result.encoded, 150000);
+		}).then(() => {
+			throw new Error('Expected an error');
+		}).catch(error => {
+			assert.ok(error instanceof LnurlError, error.message);
+			assert.strictEqual(error.reason, 'Invalid input: Expected a payRequest (tag = "withdrawRequest")');
+		});
+	});
+
+	describe('invalid invoice', function() {
+
+		const metadata = '[["text/plain", "test"]]';
+		const descriptionHash = crypto.createHash('sha256').update(metadata, 'utf8').digest('hex');
+		const { httpClient } = client;
+		after(function() {
+			client.httpClient = httpClient;
+		});
+
+		const useFakeService = function(callbackResponse) {
+			client.httpClient = {
+				request: function(method, url) {
+					if (url === 'https://service.com/lnurl') {
+						return Promise.resolve({
+							status: 200,
+							body: {
+								tag: 'payRequest',
+								callback: 'https://service.com/lnurl/abc',
+								minSendable: 1000,
+								maxSendable: 2000000,
+								metadata,
+							},
+						});
+					}
+					return Promise.resolve({ status: 200, body: callbackResponse });
+				},
+			};
+		};
+
+		[
+			{
+				description: 'missing pr',
+				body: { routes: [] },
+				reason: 'Invalid response: Missing "pr"',
+			},
+			{
+				description: 'wrong amount',
+				body: { pr: generatePaymentRequest(2000, { descriptionHash }) },
+				reason: 'Invalid response: Amount of invoice does not match the requested amount',
+			},
+			{
+				description: 'wrong description hash',
+				body: { pr: generatePaymentRequest(1000, { descriptionHash: crypto.randomBytes(32).toString('hex') }) },
+				reason: 'Invalid response: Description hash of invoice does not match the metadata',
+			},
+			{
+				description: 'successAction url with other domain',
+				body: {
+					pr: generatePaymentRequest(1000, { descriptionHash }),
+					successAction: { tag: 'url', url: 'https://other.com/order', description: 'Order' },
+				},
+				reason: 'Invalid successAction (tag = "url"): Domain must match the domain of the callback URL',
+			},
+		].forEach(test => {
+			it(test.description, function() {
+				useFakeService(test.body);
+				return client.pay('https://service.com/lnurl', 1000).then(() => {
+					throw new Error('Expected an error');
+				}).catch(error => {
+					assert.ok(error instanceof LnurlError, error.message);
+					assert.strictEqual(error.type, 'response');
+					assert.strictEqual(error.reason, test.reason);
+				});
+			});
+		});
+
+		it('valid', function() {
+			useFakeService({
+				pr: generatePaymentRequest(1000, { descriptionHash }),
+				successAction: { tag: 'url', url: 'https://service.com/order', description: 'Order' },
+			});
+			return client.pay('https://service.com/lnurl', 1000).then(result => {
+				assert.deepStrictEqual(result.successAction, { tag: 'url', url: 'https://service.com/order', description: 'Order' });
+				assert.strictEqual(result.verify, null);
+			});
+		});
+	});
+
+	describe('successAction (tag = "aes")', function() {
+
+		const preimage = crypto.randomBytes(32).toString('hex');
+
+		let aesServer;
+		before(function() {
+			aesServer = this.helpers.createServer({
+				port: 3001,
+				lightning: {
+					backend: 'dummy',
+					config: { preimage },
+				},
+			});
+			return aesServer.onReady();
+		});
+
+		after(function() {
+			if (aesServer) return aesServer.close();
+		});
+
+		it('can be decrypted with the preimage', function() {
+			return aesServer.generateNewUrl('payRequest', Object.assign({}, validParams.create.payRequest, {
+				successAction: { tag: 'aes', description: 'Your code', plaintext: 'CODE-1234' },
+			})).then(result => {
+				return client.pay(result.encoded, 150000);
+			}).then(result => {
+				const { successAction } = result;
+				assert.strictEqual(successAction.tag, 'aes');
+				assert.strictEqual(successAction.description, 'Your code');
+				assert.ok(!successAction.plaintext);
+				assert.deepStrictEqual(client.decryptSuccessAction(successAction, preimage), {
+					tag: 'aes',
+					description: 'Your code',
+					plaintext: 'CODE-1234',
+				});
+				assert.throws(() => client.decryptSuccessAction(successAction, crypto.randomBytes(16)), error => {
+					return error instanceof LnurlError && error.type === 'input';
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,97 @@
+const assert = require('assert');
+const lnurl = require('../../../');
+const { client, LnurlError } = lnurl;
+const { generatePaymentRequest } = require('lightning-backends');
+
+describe('client.withdraw(input, createInvoice[, options])', function() {
+
+	let server;
+	before(function() {
+		server = this.helpers.createServer({
+			lightning: {
+				backend: 'dummy',
+				config: {},
+			},
+		});
+		return server.onReady();
+	});
+
+	after(function() {
+		if (server) return server.close();
+	});
+
+	const { validParams } = require('../../fixtures');
+
+	let generatedUrl;
+	beforeEach(function() {
+		return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest).then(result => {
+			generatedUrl = result;
+		});
+	});
+
+	it('submits invoice', function() {
+		let events = [];
+		const listener = event => events.push(event);
+		server.on('withdrawRequest:action:processed', listener);
+		const pr = generatePaymentRequest(1500000);
+		return client.withdraw(generatedUrl.encoded, params => {
+			assert.strictEqual(params.tag, 'withdrawRequest');
+			assert.strictEqual(params.maxWithdrawable, 2000000);
+			return Promise.resolve(pr);
+		}).then(result => {
+			server.removeListener('withdrawRequest:action:processed', listener);
+			assert.deepStrictEqual(result, {
+				status: 'OK',
+				pr,
+				params: result.params,
+			});
+			assert.strictEqual(events.length, 1);
+			assert.strictEqual(events[0].secret, generatedUrl.secret);
+			assert.strictEqual(events[0].params.pr, pr);
+		});
+	});
+
+	it('amount too large', function() {
+		return client.withdraw(generatedUrl.encoded, () => generatePaymentRequest(3000000)).then(() => {
+			throw new Error('Expected an error');
+		}).catch(error => {
+			assert.ok(error instanceof LnurlError, error.message);
+			assert.strictEqual(error.type, 'input');
+			assert.strictEqual(error.reason, 'Amount in invoice must be less than or equal to "maxWithdrawable" (2000000)');
+		});
+	});
+
+	it('invalid invoice', function() {
+		return client.withdraw(generatedUrl.encoded, () => 'not an invoice').then(() => {
+			throw new Error('Expected an error');
+		}).catch(error => {
+			assert.ok(error instanceof LnurlError, error.message);
+			assert.strictEqual(error.reason, 'Invalid invoice: Lightning Network invoice expected');
+		});
+	});
+
+	it('service error', function() {
+		const pr = generatePaymentRequest(1500000);
+		return client.withdraw(generatedUrl.encoded, () => pr).then(() => {
+			// The URL can only be used once.
+			return client.withdraw(generatedUrl.encoded, () => pr);
+		}).then(() => {
+			throw new Error('Expected an error');
+		}).catch(error => {
+			assert.ok(error instanceof LnurlError, error.message);
+			assert.strictEqual(error.type, 'service');
+			assert.strictEqual(error.reason, 'Maximum number of uses already reached');
+		});
+	});
+
+	it('not a withdrawRequest', function() {
+		return server.generateNewUrl('payRequest', validParams.create.payRequest).then(result => {
+			return client.withdraw(result.encoded, () => generatePaymentRequest(1500000));
+		}).then(() => {
+			throw new Error('Expected an error');
+		}).catch(error => {
+			assert.ok(error instanceof LnurlError, error.message);
+			assert.strictEqual(error.reason, 'Invalid input: Expected a withdrawRequest (tag = "payRequest")');
+		});
+	});
+});
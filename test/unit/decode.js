@@ -10,6 +10,32 @@ describe('decode(encoded)', function() {
 		);
 	});
 
+	it('uppercase', function() {
+		assert.strictEqual(
+			lnurl.decode('LNURL1DP68GURN8GHJ7UM9WFMXJCM99E3K7MF0V9CXJ0M385EKVCENXC6R2C35XVUKXEFCV5MKVV34X5EKZD3EV56NYD3HXQURZEPEXEJXXEPNXSCRVWFNV9NXZCN9XQ6XYEFHVGCXXCMYXYMNSERXFQ5FNS'),
+			'https://service.com/api?q=3fc3645b439ce8e7f2553a69e5267081d96dcd340693afabe04be7b0ccd178df'
+		);
+	});
+
+	describe('LUD-17 URI', function() {
+
+		['lnurlc', 'lnurlw', 'lnurlp', 'keyauth'].forEach(scheme => {
+			it(scheme, function() {
+				assert.strictEqual(
+					lnurl.decode(`${scheme}://service.com/api?q=3fc3645b`),
+					'https://service.com/api?q=3fc3645b'
+				);
+			});
+		});
+
+		it('onion', function() {
+			assert.strictEqual(
+				lnurl.decode('lnurlp://abcdefghijklmnop.onion/api?q=3fc3645b'),
+				'http://abcdefghijklmnop.onion/api?q=3fc3645b'
+			);
+		});
+	});
+
 	[undefined, null, 0, {}, []].forEach(encoded => {
 		it('throws if "encoded" is not a string (' + JSON.stringify(encoded) + ')', function() {
 			assert.throws(() => lnurl.decode(encoded), {
@@ -0,0 +1,60 @@
+const assert = require('assert');
+const { createAuthorizationSignature, deriveLinkingKey, verifyAuthorizationSignature } = require('../../');
+const bip32 = require('../../lib/bip32');
+
+describe('deriveLinkingKey(seed, domain)', function() {
+
+	const seed = '000102030405060708090a0b0c0d0e0f';
+	const expected = {
+		privKey: '472d46801cf24027f1bc52cdcc606b53f3b519bd9d3df28e844e978e2f4b9d23',
+		pubKey: '0202c2f917944d813fe4d10c90e274eed6e505b59e5d04c93f43606c68d6095b4c',
+	};
+
+	it('seed as hex-encoded string', function() {
+		const result = deriveLinkingKey(seed, 'site.com');
+		assert.ok(Buffer.isBuffer(result.privKey));
+		assert.ok(Buffer.isBuffer(result.pubKey));
+		assert.strictEqual(result.privKey.toString('hex'), expected.privKey);
+		assert.strictEqual(result.pubKey.toString('hex'), expected.pubKey);
+	});
+
+	it('seed as buffer', function() {
+		const result = deriveLinkingKey(Buffer.from(seed, 'hex'), 'site.com');
+		assert.strictEqual(result.privKey.toString('hex'), expected.privKey);
+	});
+
+	it('master HD key', function() {
+		const hdKey = bip32.fromSeed(Buffer.from(seed, 'hex'));
+		const result = deriveLinkingKey(hdKey, 'site.com');
+		assert.strictEqual(result.privKey.toString('hex'), expected.privKey);
+	});
+
+	it('domain from URL', function() {
+		const result = deriveLinkingKey(seed, 'https://site.com/lnurl?tag=login');
+		assert.strictEqual(result.privKey.toString('hex'), expected.privKey);
+	});
+
+	it('different linking key per domain', function() {
+		const result = deriveLinkingKey(seed, 'other-site.com');
+		assert.notStrictEqual(result.privKey.toString('hex'), expected.privKey);
+	});
+
+	it('can sign and verify k1', function() {
+		const k1 = 'fe3c01aae05dd42a03e5426c1502009662a109fae883c83eb137899544dfb3bd';
+		const { privKey, pubKey } = deriveLinkingKey(seed, 'site.com');
+		const sig = createAuthorizationSignature(k1, privKey);
+		assert.ok(verifyAuthorizationSignature(sig, k1, pubKey));
+	});
+
+	it('missing seed', function() {
+		assert.throws(() => deriveLinkingKey(null, 'site.com'), {
+			message: 'Missing required argument: "seed"',
+		});
+	});
+
+	it('missing domain', function() {
+		assert.throws(() => deriveLinkingKey(seed, null), {
+			message: 'Missing required argument: "domain"',
+		});
+	});
+});
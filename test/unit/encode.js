@@ -10,6 +10,36 @@ describe('encode(unencoded)', function() {
 		);
 	});
 
+	it('accepts LUD-17 URI', function() {
+		assert.strictEqual(
+			lnurl.encode('lnurlw://service.com/api?q=3fc3645b439ce8e7f2553a69e5267081d96dcd340693afabe04be7b0ccd178df'),
+			'lnurl1dp68gurn8ghj7um9wfmxjcm99e3k7mf0v9cxj0m385ekvcenxc6r2c35xvukxefcv5mkvv34x5ekzd3ev56nyd3hxqurzepexejxxepnxscrvwfnv9nxzcn9xq6xyefhvgcxxcmyxymnserxfq5fns'
+		);
+	});
+
+	describe('options.tag (LUD-17)', function() {
+
+		[
+			['channelRequest', 'lnurlc'],
+			['login', 'keyauth'],
+			['payRequest', 'lnurlp'],
+			['withdrawRequest', 'lnurlw'],
+		].forEach(([tag, scheme]) => {
+			it(tag, function() {
+				assert.strictEqual(
+					lnurl.encode('https://service.com/api?q=3fc3645b', { tag }),
+					`${scheme}://service.com/api?q=3fc3645b`
+				);
+			});
+		});
+
+		it('unknown tag', function() {
+			assert.throws(() => lnurl.encode('https://service.com/api', { tag: 'unknown' }), {
+				message: 'Invalid argument ("tag"): No URI scheme for "unknown"',
+			});
+		});
+	});
+
 	[undefined, null, 0, {}, []].forEach(unencoded => {
 		it('throws if "unencoded" is not a string (' + JSON.stringify(unencoded) + ')', function() {
 			assert.throws(() => lnurl.encode(unencoded), {
@@ -0,0 +1,295 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { generateApiKey } = require('../../../../');
+const { createSignature, prepareQueryPayloadString } = require('lnurl-offline');
+
+describe('Server: admin API', function() {
+
+	let server, apiKeys, validParams;
+	before(function() {
+		validParams = this.helpers.fixtures.validParams;
+		apiKeys = [ generateApiKey(), generateApiKey() ];
+		server = this.helpers.createServer({
+			auth: { apiKeys },
+			admin: { enabled: true },
+		});
+		return server.onReady();
+	});
+
+	after(function() {
+		if (server) return server.close();
+	});
+
+	const signQuery = function(apiKey, method, path, params, timestamp) {
+		let query = Object.assign({}, params || {}, {
+			id: apiKey.id,
+			nonce: crypto.randomBytes(12).toString('hex'),
+			timestamp: String(timestamp || Date.now()),
+		});
+		const key = Buffer.from(apiKey.key, apiKey.encoding);
+		const payload = prepareQueryPayloadString(Object.assign({}, query, { method, path }));
+		query.signature = createSignature(payload, key);
+		return query;
+	};
+
+	const adminRequest = function(helpers, method, path, params, apiKey) {
+		return helpers.request(method.toLowerCase(), {
+			url: `http://localhost:3000${path}`,
+			qs: signQuery(apiKey || apiKeys[0], method, path, params),
+		});
+	};
+
+	const createUrl = function(helpers, params) {
+		return adminRequest(helpers, 'POST', '/admin/urls', Object.assign({
+			tag: 'withdrawRequest',
+			params: JSON.stringify(validParams.create.withdrawRequest),
+		}, params || {}));
+	};
+
+	describe('POST /admin/urls', function() {
+
+		it('creates a URL', function() {
+			return createUrl(this.helpers, { uses: '2', ttl: '60000' }).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 201);
+				assert.deepStrictEqual(Object.keys(body).sort(), ['encoded', 'hash', 'secret', 'url']);
+				return server.fetchUrl(body.hash);
+			}).then(fetchedUrl => {
+				assert.strictEqual(fetchedUrl.apiKeyId, apiKeys[0].id);
+				assert.strictEqual(fetchedUrl.initialUses, 2);
+				assert.ok(fetchedUrl.expiresAt);
+			});
+		});
+
+		it('invalid params', function() {
+			return createUrl(this.helpers, {
+				params: JSON.stringify(Object.assign({}, validParams.create.withdrawRequest, { minWithdrawable: 2000000, maxWithdrawable: 1000000 })),
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 400);
+				assert.deepStrictEqual(body, {
+					status: 'ERROR',
+					reason: '"maxWithdrawable" must be greater than or equal to "minWithdrawable"',
+				});
+			});
+		});
+
+		['-1', '1.5', 'abc', ''].forEach(uses => {
+			it(`invalid uses: "${uses}"`, function() {
+				return createUrl(this.helpers, { uses }).then(result => {
+					const { response, body } = result;
+					assert.strictEqual(response.statusCode, 400);
+					assert.deepStrictEqual(body, { status: 'ERROR', reason: 'Invalid option ("uses"): Integer greater than or equal to zero expected' });
+				});
+			});
+		});
+
+		it('URL is stored before responding', function() {
+			return createUrl(this.helpers).then(result => {
+				assert.strictEqual(result.response.statusCode, 201);
+				return adminRequest(this.helpers, 'DELETE', `/admin/urls/${result.body.hash}`);
+			}).then(result => {
+				assert.strictEqual(result.response.statusCode, 200);
+			});
+		});
+
+		it('params not JSON', function() {
+			return createUrl(this.helpers, { params: 'nope' }).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 400);
+				assert.deepStrictEqual(body, { status: 'ERROR', reason: 'Invalid parameter ("params"): JSON object expected' });
+			});
+		});
+	});
+
+	describe('GET /admin/urls', function() {
+
+		it('lists URLs of the signing API key only', function() {
+			let hashes = [];
+			return Promise.all([
+				createUrl(this.helpers),
+				adminRequest(this.helpers, 'POST', '/admin/urls', {
+					tag: 'withdrawRequest',
+					params: JSON.stringify(validParams.create.withdrawRequest),
+				}, apiKeys[1]),
+			]).then(results => {
+				hashes = results.map(result => result.body.hash);
+				return adminRequest(this.helpers, 'GET', '/admin/urls', { tag: 'withdrawRequest', exhausted: 'false' });
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 200);
+				const listed = body.urls.map(url => url.hash);
+				assert.ok(listed.includes(hashes[0]));
+				assert.ok(!listed.includes(hashes[1]));
+				body.urls.forEach(url => {
+					assert.strictEqual(url.apiKeyId, apiKeys[0].id);
+					assert.strictEqual(url.createdAt, new Date(url.createdAt).toISOString());
+				});
+				assert.strictEqual(body.cursor, null);
+			});
+		});
+
+		it('invalid options', function() {
+			return adminRequest(this.helpers, 'GET', '/admin/urls', { limit: '0' }).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 400);
+				assert.deepStrictEqual(body, { status: 'ERROR', reason: 'Invalid option ("limit"): Integer between 1 and 1000 expected' });
+			});
+		});
+	});
+
+	describe('GET /admin/urls/:hash', function() {
+
+		it('includes usage', function() {
+			let hash;
+			return createUrl(this.helpers, { uses: '3' }).then(result => {
+				hash = result.body.hash;
+				return server.useUrl(hash);
+			}).then(() => {
+				return adminRequest(this.helpers, 'GET', `/admin/urls/${hash}`);
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 200);
+				assert.strictEqual(body.hash, hash);
+				assert.strictEqual(body.tag, 'withdrawRequest');
+				assert.deepStrictEqual(body.params, validParams.create.withdrawRequest);
+				assert.strictEqual(body.initialUses, 3);
+				assert.strictEqual(body.remainingUses, 2);
+				assert.strictEqual(body.revokedAt, null);
+			});
+		});
+
+		it('URL of another API key', function() {
+			return createUrl(this.helpers).then(result => {
+				return adminRequest(this.helpers, 'GET', `/admin/urls/${result.body.hash}`, {}, apiKeys[1]);
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 404);
+				assert.deepStrictEqual(body, { status: 'ERROR', reason: 'Not found' });
+			});
+		});
+	});
+
+	describe('GET /admin/urls/:hash/uses', function() {
+
+		it('lists uses of the URL', function() {
+			let generatedUrl;
+			return createUrl(this.helpers).then(result => {
+				generatedUrl = result.body;
+				return this.helpers.request('get', {
+					url: server.getCallbackUrl(),
+					qs: { k1: generatedUrl.secret, pr: 'invalid' },
+				});
+			}).then(() => {
+				return adminRequest(this.helpers, 'GET', `/admin/urls/${generatedUrl.hash}/uses`, { outcome: 'failed' });
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 200);
+				assert.strictEqual(body.uses.length, 1);
+				assert.strictEqual(body.uses[0].hash, generatedUrl.hash);
+				assert.strictEqual(body.uses[0].pr, 'invalid');
+				assert.strictEqual(body.uses[0].createdAt, new Date(body.uses[0].createdAt).toISOString());
+				assert.strictEqual(body.cursor, null);
+			});
+		});
+	});
+
+	describe('DELETE /admin/urls/:hash', function() {
+
+		it('revokes the URL', function() {
+			let hash;
+			return createUrl(this.helpers).then(result => {
+				hash = result.body.hash;
+				return adminRequest(this.helpers, 'DELETE', `/admin/urls/${hash}`);
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 200);
+				assert.deepStrictEqual(body, { status: 'OK' });
+				return server.fetchUrl(hash);
+			}).then(fetchedUrl => {
+				assert.ok(fetchedUrl.revokedAt);
+			});
+		});
+
+		it('unknown URL', function() {
+			return adminRequest(this.helpers, 'DELETE', '/admin/urls/does-not-exist').then(result => {
+				assert.strictEqual(result.response.statusCode, 404);
+			});
+		});
+	});
+
+	describe('authentication', function() {
+
+		it('missing signature', function() {
+			let query = signQuery(apiKeys[0], 'GET', '/admin/urls');
+			delete query.signature;
+			return this.helpers.request('get', {
+				url: 'http://localhost:3000/admin/urls',
+				qs: query,
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 400);
+				assert.deepStrictEqual(body, { status: 'ERROR', reason: 'Failed API key signature check: Missing "signature"' });
+			});
+		});
+
+		it('unknown API key', function() {
+			return adminRequest(this.helpers, 'GET', '/admin/urls', {}, generateApiKey()).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 403);
+				assert.deepStrictEqual(body, { status: 'ERROR', reason: 'Invalid API key signature' });
+			});
+		});
+
+		it('signed for a different method', function() {
+			return this.helpers.request('delete', {
+				url: 'http://localhost:3000/admin/urls/does-not-exist',
+				qs: signQuery(apiKeys[0], 'GET', '/admin/urls/does-not-exist'),
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 403);
+				assert.deepStrictEqual(body, { status: 'ERROR', reason: 'Invalid API key signature' });
+			});
+		});
+
+		it('tampered query', function() {
+			let query = signQuery(apiKeys[0], 'GET', '/admin/urls', { tag: 'payRequest' });
+			query.tag = 'withdrawRequest';
+			return this.helpers.request('get', {
+				url: 'http://localhost:3000/admin/urls',
+				qs: query,
+			}).then(result => {
+				assert.strictEqual(result.response.statusCode, 403);
+			});
+		});
+
+		it('expired', function() {
+			return this.helpers.request('get', {
+				url: 'http://localhost:3000/admin/urls',
+				qs: signQuery(apiKeys[0], 'GET', '/admin/urls', {}, Date.now() - 600000),
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 403);
+				assert.deepStrictEqual(body, { status: 'ERROR', reason: 'Signed request has expired' });
+			});
+		});
+
+		it('replayed', function() {
+			const query = signQuery(apiKeys[0], 'GET', '/admin/urls');
+			return this.helpers.request('get', {
+				url: 'http://localhost:3000/admin/urls',
+				qs: query,
+			}).then(result => {
+				assert.strictEqual(result.response.statusCode, 200);
+				return this.helpers.request('get', {
+					url: 'http://localhost:3000/admin/urls',
+					qs: query,
+				});
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 403);
+				assert.deepStrictEqual(body, { status: 'ERROR', reason: 'Nonce has already been used' });
+			});
+		});
+	});
+});
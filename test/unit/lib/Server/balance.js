@@ -0,0 +1,220 @@
+const assert = require('assert');
+const { generatePaymentRequest } = require('lightning-backends');
+
+describe('Server: withdrawRequest balance (LUD-14, LUD-15)', function() {
+
+	let server, requests;
+	before(function() {
+		server = this.helpers.createServer({
+			lightning: {
+				backend: 'dummy',
+				config: {},
+			},
+		});
+		return server.onReady();
+	});
+
+	beforeEach(function() {
+		// Replace the HTTP client with a fake one to record balance notifications.
+		requests = [];
+		server.httpClient = {
+			request: function(method, url, options) {
+				requests.push({ method, url, options });
+				return Promise.resolve({ status: 200, headers: {}, body: '' });
+			},
+		};
+	});
+
+	after(function() {
+		if (server) return server.close();
+	});
+
+	let validParams;
+	before(function() {
+		validParams = this.helpers.fixtures.validParams;
+	});
+
+	const waitForNotification = function() {
+		return new Promise((resolve, reject) => {
+			server.once('withdrawRequest:balanceNotify:sent', resolve);
+			server.once('withdrawRequest:balanceNotify:failed', event => reject(event.error));
+		});
+	};
+
+	let generatedUrl;
+	beforeEach(function() {
+		const params = validParams.create.withdrawRequest;
+		return server.generateNewUrl('withdrawRequest', params, { balance: 1500000 }).then(result => {
+			generatedUrl = result;
+		});
+	});
+
+	it('unlimited uses by default', function() {
+		return server.fetchUrl(generatedUrl.hash).then(fetchedUrl => {
+			assert.strictEqual(fetchedUrl.balance, 1500000);
+			assert.strictEqual(fetchedUrl.initialUses, 0);
+		});
+	});
+
+	it('only supported for withdrawRequest', function() {
+		return server.generateNewUrl('payRequest', validParams.create.payRequest, { balance: 1000 }).then(() => {
+			throw new Error('Expected an error');
+		}).catch(error => {
+			assert.strictEqual(error.message, 'Invalid option ("balance"): Only supported for "withdrawRequest"');
+		});
+	});
+
+	it('info includes balanceCheck and is limited by balance', function() {
+		return this.helpers.request('get', {
+			url: generatedUrl.url,
+		}).then(result => {
+			const { body } = result;
+			assert.strictEqual(body.balanceCheck, generatedUrl.url);
+			assert.strictEqual(body.minWithdrawable, validParams.create.withdrawRequest.minWithdrawable);
+			assert.strictEqual(body.maxWithdrawable, 1500000);
+		});
+	});
+
+	it('request cannot override balance', function() {
+		return this.helpers.request('get', {
+			url: server.getCallbackUrl(),
+			qs: { q: generatedUrl.secret, balance: 99999999 },
+		}).then(result => {
+			assert.strictEqual(result.body.maxWithdrawable, 1500000);
+		});
+	});
+
+	it('action decreases balance and notifies wallet', function() {
+		const balanceNotify = 'https://wallet.com/notify/1234';
+		const notified = waitForNotification();
+		return this.helpers.request('get', {
+			url: server.getCallbackUrl(),
+			qs: {
+				k1: generatedUrl.secret,
+				pr: generatePaymentRequest(1000000),
+				balanceNotify,
+			},
+		}).then(result => {
+			assert.deepStrictEqual(result.body, { status: 'OK' });
+			return notified;
+		}).then(() => {
+			assert.strictEqual(requests.length, 1);
+			assert.strictEqual(requests[0].method, 'post');
+			assert.strictEqual(requests[0].url, balanceNotify);
+			return server.fetchUrl(generatedUrl.hash);
+		}).then(fetchedUrl => {
+			assert.strictEqual(fetchedUrl.balance, 500000);
+			assert.strictEqual(fetchedUrl.balanceNotify, balanceNotify);
+		});
+	});
+
+	it('amount greater than balance', function() {
+		return this.helpers.request('get', {
+			url: server.getCallbackUrl(),
+			qs: {
+				k1: generatedUrl.secret,
+				pr: generatePaymentRequest(1000000),
+			},
+		}).then(() => {
+			return this.helpers.request('get', {
+				url: server.getCallbackUrl(),
+				qs: {
+					k1: generatedUrl.secret,
+					pr: generatePaymentRequest(1000000),
+				},
+			});
+		}).then(result => {
+			assert.deepStrictEqual(result.body, {
+				status: 'ERROR',
+				reason: 'Amount in invoice must be less than or equal to the balance',
+			});
+		});
+	});
+
+	[
+		{
+			balanceNotify: 'not a URL',
+			reason: 'Invalid parameter ("balanceNotify"): URL expected',
+		},
+		{
+			balanceNotify: 'http://wallet.com/notify/1234',
+			reason: 'Invalid parameter ("balanceNotify"): HTTPS URL expected',
+		},
+		{
+			balanceNotify: 'https://127.0.0.1:8080/notify',
+			reason: 'Invalid parameter ("balanceNotify"): Loopback, private and link-local hosts are not allowed',
+		},
+		{
+			balanceNotify: 'https://localhost/notify',
+			reason: 'Invalid parameter ("balanceNotify"): Loopback, private and link-local hosts are not allowed',
+		},
+		{
+			balanceNotify: 'https://169.254.169.254/latest/meta-data',
+			reason: 'Invalid parameter ("balanceNotify"): Loopback, private and link-local hosts are not allowed',
+		},
+		{
+			balanceNotify: 'https://[::ffff:192.168.0.1]/notify',
+			reason: 'Invalid parameter ("balanceNotify"): Loopback, private and link-local hosts are not allowed',
+		},
+	].forEach(test => {
+		it(`invalid balanceNotify: "${test.balanceNotify}"`, function() {
+			return this.helpers.request('get', {
+				url: server.getCallbackUrl(),
+				qs: {
+					k1: generatedUrl.secret,
+					pr: generatePaymentRequest(1000000),
+					balanceNotify: test.balanceNotify,
+				},
+			}).then(result => {
+				assert.deepStrictEqual(result.body, {
+					status: 'ERROR',
+					reason: test.reason,
+				});
+				return server.fetchUrl(generatedUrl.hash);
+			}).then(fetchedUrl => {
+				assert.strictEqual(fetchedUrl.balance, 1500000);
+			});
+		});
+	});
+
+	it('no requests to private hosts', function() {
+		// The real HTTP client - with a URL which was not validated.
+		server.httpClient = require('../../../../lib/httpClient');
+		return server.setBalanceNotify(generatedUrl.hash, 'https://127.0.0.1:3001/notify').then(() => {
+			return new Promise((resolve, reject) => {
+				server.once('withdrawRequest:balanceNotify:sent', () => reject(new Error('Expected an error')));
+				server.once('withdrawRequest:balanceNotify:failed', event => resolve(event.error));
+				server.notifyBalanceChange(generatedUrl.hash);
+			});
+		}).then(error => {
+			assert.strictEqual(error.message, 'Invalid argument ("url"): Loopback, private and link-local hosts are not allowed');
+		});
+	});
+
+	describe('rechargeUrl(hash, amount)', function() {
+
+		it('increases balance and notifies wallet', function() {
+			const balanceNotify = 'https://wallet.com/notify/5678';
+			return server.setBalanceNotify(generatedUrl.hash, balanceNotify).then(() => {
+				const notified = waitForNotification();
+				return server.rechargeUrl(generatedUrl.hash, 250000).then(() => notified);
+			}).then(() => {
+				assert.strictEqual(requests.length, 1);
+				assert.strictEqual(requests[0].url, balanceNotify);
+				return server.fetchUrl(generatedUrl.hash);
+			}).then(fetchedUrl => {
+				assert.strictEqual(fetchedUrl.balance, 1750000);
+			});
+		});
+
+		it('URL without balance', function() {
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest).then(result => {
+				return server.rechargeUrl(result.hash, 1000);
+			}).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Cannot recharge URL: Unknown URL or URL has no balance');
+			});
+		});
+	});
+});
@@ -74,6 +74,54 @@ describe('checkOptions([options[, defaultOptions]])', function() {
 		});
 	});
 
+	it('nostr.privateKey not hex', function() {
+		const options = {
+			host: 'localhost',
+			port: 3000,
+			endpoint: '/lnurl',
+			nostr: { privateKey: 'not a private key' },
+		};
+		assert.throws(() => checkOptions(options, defaultOptions), {
+			message: 'Invalid option ("nostr.privateKey"): 32-byte hex string expected',
+		});
+	});
+
+	it('nostr.maxRelays not an integer', function() {
+		const options = {
+			host: 'localhost',
+			port: 3000,
+			endpoint: '/lnurl',
+			nostr: { privateKey: '0000000000000000000000000000000000000000000000000000000000000001', maxRelays: 0 },
+		};
+		assert.throws(() => checkOptions(options, defaultOptions), {
+			message: 'Invalid option ("nostr.maxRelays"): Integer greater than zero expected',
+		});
+	});
+
+	it('tls.cert without tls.key', function() {
+		const options = {
+			host: 'localhost',
+			port: 3000,
+			endpoint: '/lnurl',
+			tls: { cert: './tls.cert', key: null, selfSigned: false, days: 365 },
+		};
+		assert.throws(() => checkOptions(options, defaultOptions), {
+			message: 'Invalid option ("tls"): Both "cert" and "key" are required',
+		});
+	});
+
+	it('admin.endpoint same as endpoint', function() {
+		const options = {
+			host: 'localhost',
+			port: 3000,
+			endpoint: '/lnurl',
+			admin: { enabled: true, endpoint: '/lnurl', maxAge: 300000 },
+		};
+		assert.throws(() => checkOptions(options, defaultOptions), {
+			message: 'Invalid option ("admin.endpoint"): Must be different from "endpoint"',
+		});
+	});
+
 	it('unknown key', function() {
 		const options = {
 			host: 'localhost',
@@ -63,6 +63,18 @@ describe('Server: events', function() {
 					assert.strictEqual(calls, 1);
 				});
 			});
+
+			it('includes action (LUD-04)', function() {
+				const params = Object.assign({}, validParams.action.login(secret), { action: 'link' });
+				let events = [];
+				server.once('login', function(event) {
+					events.push(event);
+				});
+				return server.runSubProtocol('login', 'action', secret, params).then(() => {
+					assert.strictEqual(events.length, 1);
+					assert.strictEqual(events[0].action, 'link');
+				});
+			});
 		});
 
 		['channelRequest', 'payRequest', 'withdrawRequest'].forEach(tag => {
@@ -0,0 +1,181 @@
+const assert = require('assert');
+const { generateApiKey } = require('../../../../');
+const { prepareSignedQuery } = require('lnurl-offline');
+
+describe('Server: expiring URLs', function() {
+
+	let server, apiKey, validParams;
+	before(function() {
+		validParams = this.helpers.fixtures.validParams;
+		apiKey = generateApiKey();
+		server = this.helpers.createServer({
+			auth: { apiKeys: [ apiKey ] },
+		});
+		return server.onReady();
+	});
+
+	after(function() {
+		if (server) return server.close();
+	});
+
+	const delay = function(waitTime) {
+		return new Promise(resolve => setTimeout(resolve, waitTime));
+	};
+
+	describe('generateNewUrl(tag, params, { ttl })', function() {
+
+		it('stores the expiry', function() {
+			const before = Date.now();
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest, { ttl: 60000 }).then(result => {
+				return server.fetchUrl(result.hash);
+			}).then(fetchedUrl => {
+				const expiresAt = new Date(fetchedUrl.expiresAt).getTime();
+				assert.ok(expiresAt >= before + 60000);
+				assert.ok(expiresAt <= Date.now() + 60000);
+			});
+		});
+
+		it('invalid', function() {
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest, { ttl: -1 }).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Invalid option ("ttl"): Integer greater than zero expected');
+			});
+		});
+
+		it('expired URL is rejected', function() {
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest, { ttl: 20 }).then(result => {
+				return delay(40).then(() => {
+					return this.helpers.request('get', {
+						url: result.url,
+					});
+				});
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 400);
+				assert.deepStrictEqual(body, { status: 'ERROR', reason: 'URL has expired' });
+			});
+		});
+	});
+
+	describe('generateNewUrl(tag, params, { expiresAt })', function() {
+
+		it('Date', function() {
+			const expiresAt = new Date(Date.now() + 60000);
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest, { expiresAt }).then(result => {
+				return server.fetchUrl(result.hash).then(fetchedUrl => {
+					assert.strictEqual(new Date(fetchedUrl.expiresAt).getTime(), expiresAt.getTime());
+					return this.helpers.request('get', {
+						url: result.url,
+					});
+				});
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 200);
+				assert.strictEqual(body.tag, 'withdrawRequest');
+			});
+		});
+
+		it('ISO 8601 string', function() {
+			const expiresAt = new Date(Date.now() + 60000).toISOString();
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest, { expiresAt }).then(result => {
+				return server.fetchUrl(result.hash);
+			}).then(fetchedUrl => {
+				assert.strictEqual(new Date(fetchedUrl.expiresAt).toISOString(), expiresAt);
+			});
+		});
+
+		it('in the past', function() {
+			const expiresAt = Date.now() - 1000;
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest, { expiresAt }).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Invalid option ("expiresAt"): Must be in the future');
+			});
+		});
+
+		it('invalid', function() {
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest, { expiresAt: 'not a date' }).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Invalid option ("expiresAt"): Date, ISO 8601 string or timestamp (ms) expected');
+			});
+		});
+
+		it('with ttl', function() {
+			const expiresAt = Date.now() + 60000;
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest, { expiresAt, ttl: 60000 }).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Invalid options: Use either "expiresAt" or "ttl"');
+			});
+		});
+
+		it('no expiry by default', function() {
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest).then(result => {
+				return server.fetchUrl(result.hash);
+			}).then(fetchedUrl => {
+				assert.strictEqual(fetchedUrl.expiresAt, null);
+			});
+		});
+	});
+
+	describe('signed LNURLs', function() {
+
+		const tag = 'withdrawRequest';
+
+		it('not expired', function() {
+			const params = Object.assign({}, validParams.create.withdrawRequest, {
+				expiresAt: Date.now() + 60000,
+			});
+			const query = prepareSignedQuery(apiKey, tag, params);
+			return this.helpers.request('get', {
+				url: server.getCallbackUrl(),
+				qs: query,
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 200);
+				assert.strictEqual(body.tag, tag);
+				assert.strictEqual(typeof body.expiresAt, 'undefined');
+			});
+		});
+
+		it('expired', function() {
+			const params = Object.assign({}, validParams.create.withdrawRequest, {
+				expiresAt: Date.now() - 1000,
+			});
+			const query = prepareSignedQuery(apiKey, tag, params);
+			return this.helpers.request('get', {
+				url: server.getCallbackUrl(),
+				qs: query,
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 400);
+				assert.deepStrictEqual(body, { status: 'ERROR', reason: 'URL has expired' });
+			});
+		});
+
+		it('expires after first use', function() {
+			const params = Object.assign({}, validParams.create.withdrawRequest, {
+				expiresAt: Date.now() + 50,
+			});
+			const query = prepareSignedQuery(apiKey, tag, params);
+			return this.helpers.request('get', {
+				url: server.getCallbackUrl(),
+				qs: query,
+			}).then(result => {
+				assert.strictEqual(result.response.statusCode, 200);
+				return delay(80).then(() => {
+					return this.helpers.request('get', {
+						url: server.getCallbackUrl(),
+						qs: query,
+					});
+				});
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 400);
+				assert.deepStrictEqual(body, { status: 'ERROR', reason: 'URL has expired' });
+			});
+		});
+	});
+});
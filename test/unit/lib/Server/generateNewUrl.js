@@ -0,0 +1,153 @@
+const assert = require('assert');
+const { decode } = require('../../../../');
+
+describe('generateNewUrl(tag, params[, options])', function() {
+
+	let server, validParams;
+	before(function() {
+		validParams = this.helpers.fixtures.validParams;
+		server = this.helpers.createServer({
+			listen: false,
+			lightning: null,
+		});
+		return server.onReady();
+	});
+
+	after(function() {
+		if (server) return server.close();
+	});
+
+	it('bech32-encoded by default', function() {
+		return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest).then(result => {
+			assert.strictEqual(result.encoded.substr(0, 'lnurl1'.length), 'lnurl1');
+			assert.strictEqual(decode(result.encoded), result.url);
+		});
+	});
+
+	describe('encoding: "lud17"', function() {
+
+		[
+			['channelRequest', 'lnurlc'],
+			['login', 'keyauth'],
+			['payRequest', 'lnurlp'],
+			['withdrawRequest', 'lnurlw'],
+		].forEach(([tag, scheme]) => {
+			it(tag, function() {
+				return server.generateNewUrl(tag, validParams.create[tag], { encoding: 'lud17' }).then(result => {
+					const { encoded, url } = result;
+					assert.strictEqual(encoded, url.replace(/^http:\/\//, `${scheme}://`));
+				});
+			});
+		});
+
+		it('tag without URI scheme', function() {
+			return server.generateNewUrl('hostedChannelRequest', {}, { encoding: 'lud17' }).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Invalid option ("encoding"): No LUD-17 URI scheme for "hostedChannelRequest"');
+				assert.strictEqual(error.status, 400);
+				// The URL was not saved.
+				return server.listUrls({ tag: 'hostedChannelRequest' });
+			}).then(result => {
+				assert.strictEqual(result.urls.length, 0);
+			});
+		});
+	});
+
+	describe('payRequest: disposable (LUD-11)', function() {
+
+		it('false', function() {
+			const params = Object.assign({}, validParams.create.payRequest, { disposable: false });
+			return server.generateNewUrl('payRequest', params).then(result => {
+				return server.fetchUrl(result.hash);
+			}).then(fetchedUrl => {
+				assert.strictEqual(fetchedUrl.initialUses, 0);
+				assert.strictEqual(fetchedUrl.remainingUses, 0);
+			});
+		});
+
+		it('false with limited uses', function() {
+			const params = Object.assign({}, validParams.create.payRequest, { disposable: false });
+			return server.generateNewUrl('payRequest', params, { uses: 3 }).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Invalid option ("uses"): Must be 0 (unlimited) when "disposable" is false');
+			});
+		});
+
+		it('true', function() {
+			const params = Object.assign({}, validParams.create.payRequest, { disposable: true });
+			return server.generateNewUrl('payRequest', params).then(result => {
+				return server.fetchUrl(result.hash);
+			}).then(fetchedUrl => {
+				assert.strictEqual(fetchedUrl.initialUses, 1);
+			});
+		});
+
+		it('invalid', function() {
+			const params = Object.assign({}, validParams.create.payRequest, { disposable: 'maybe' });
+			return server.generateNewUrl('payRequest', params).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Invalid parameter ("disposable"): Boolean expected');
+			});
+		});
+
+		it('included in info', function() {
+			const params = Object.assign({}, validParams.create.payRequest, { disposable: 'false' });
+			return server.generateNewUrl('payRequest', params).then(result => {
+				return server.runSubProtocol('payRequest', 'info', result.secret, params);
+			}).then(info => {
+				assert.strictEqual(info.disposable, false);
+			});
+		});
+	});
+
+	it('payRequest: image in metadata too large', function() {
+		// Too large to be tested via a signed URL.
+		const metadata = JSON.stringify([['text/plain', 'short'], ['image/png;base64', 'A'.repeat(136540)]]);
+		const params = Object.assign({}, validParams.create.payRequest, { metadata });
+		return server.generateNewUrl('payRequest', params).then(() => {
+			throw new Error('Expected an error');
+		}).catch(error => {
+			assert.strictEqual(error.message, 'Invalid metadata ("image/png;base64"): Must not be longer than 136536 characters');
+		});
+	});
+
+	describe('login: action (LUD-04)', function() {
+
+		['register', 'login', 'link', 'auth'].forEach(action => {
+			it(action, function() {
+				return server.generateNewUrl('login', { action }).then(result => {
+					const { searchParams } = new URL(result.url);
+					assert.strictEqual(searchParams.get('tag'), 'login');
+					assert.strictEqual(searchParams.get('k1'), result.secret);
+					assert.strictEqual(searchParams.get('action'), action);
+				});
+			});
+		});
+
+		it('not included by default', function() {
+			return server.generateNewUrl('login', {}).then(result => {
+				const { searchParams } = new URL(result.url);
+				assert.strictEqual(searchParams.has('action'), false);
+			});
+		});
+
+		it('invalid', function() {
+			return server.generateNewUrl('login', { action: 'delete' }).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Invalid parameter ("action"): Expected one of "register", "login", "link" or "auth"');
+			});
+		});
+	});
+
+	it('unknown encoding', function() {
+		return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest, { encoding: 'unknown' }).then(() => {
+			throw new Error('Expected an error');
+		}).catch(error => {
+			assert.strictEqual(error.message, 'Invalid option ("encoding"): Expected "bech32" or "lud17"');
+		});
+	});
+});
@@ -0,0 +1,130 @@
+const assert = require('assert');
+const express = require('express');
+const http = require('http');
+
+describe('Server: handler', function() {
+
+	let server, app, webServer;
+	before(function() {
+		server = this.helpers.createServer({
+			webServer: false,
+			url: 'http://localhost:3000/payments/',
+		});
+		app = express();
+		app.get('/other', (req, res) => {
+			res.json({ other: true });
+		});
+		app.use('/payments', server.handler);
+		app.use('/payments', (req, res) => {
+			res.json({ fallback: true });
+		});
+		webServer = http.createServer(app);
+		return server.onReady().then(() => {
+			return new Promise((resolve, reject) => {
+				webServer.listen(3000, 'localhost', error => {
+					if (error) return reject(error);
+					resolve();
+				});
+			});
+		});
+	});
+
+	after(function() {
+		return new Promise((resolve, reject) => {
+			webServer.close(error => {
+				if (error) return reject(error);
+				resolve();
+			});
+		}).then(() => {
+			return server.close();
+		});
+	});
+
+	it('does not create a web server', function() {
+		assert.strictEqual(server.app, undefined);
+	});
+
+	it('GET /payments/status', function() {
+		return this.helpers.request('get', {
+			url: 'http://localhost:3000/payments/status',
+		}).then(result => {
+			const { response, body } = result;
+			assert.strictEqual(response.statusCode, 200);
+			assert.deepStrictEqual(body, { status: 'OK' });
+			assert.strictEqual(typeof response.headers['x-powered-by'], 'undefined');
+		});
+	});
+
+	it('callback URLs include the prefix', function() {
+		assert.strictEqual(server.getCallbackUrl(), 'http://localhost:3000/payments/lnurl');
+		return server.generateNewUrl('withdrawRequest', {
+			minWithdrawable: 10000,
+			maxWithdrawable: 10000,
+			defaultDescription: '',
+		}).then(generatedUrl => {
+			assert.strictEqual(generatedUrl.url.indexOf('http://localhost:3000/payments/lnurl?q='), 0);
+			return this.helpers.request('get', {
+				url: generatedUrl.url,
+			}).then(result => {
+				const { body } = result;
+				assert.strictEqual(body.tag, 'withdrawRequest');
+				assert.strictEqual(body.callback, 'http://localhost:3000/payments/lnurl');
+			});
+		});
+	});
+
+	it('not found under the end-point', function() {
+		return this.helpers.request('get', {
+			url: 'http://localhost:3000/payments/lnurl/does/not-exist',
+		}).then(result => {
+			const { response, body } = result;
+			assert.strictEqual(response.statusCode, 404);
+			assert.deepStrictEqual(body, { status: 'ERROR', reason: 'Not found' });
+		});
+	});
+
+	it('other paths under the prefix are left to the app', function() {
+		return this.helpers.request('get', {
+			url: 'http://localhost:3000/payments/does-not-exist',
+		}).then(result => {
+			const { response, body } = result;
+			assert.strictEqual(response.statusCode, 200);
+			assert.deepStrictEqual(body, { fallback: true });
+		});
+	});
+
+	it('routes of the app after the handler (mounted at the root)', function() {
+		const rootApp = express();
+		rootApp.use(server.handler);
+		rootApp.get('/after', (req, res) => {
+			res.json({ after: true });
+		});
+		const rootWebServer = http.createServer(rootApp);
+		return new Promise((resolve, reject) => {
+			rootWebServer.listen(3001, 'localhost', error => {
+				if (error) return reject(error);
+				resolve();
+			});
+		}).then(() => {
+			return Promise.all([
+				this.helpers.request('get', { url: 'http://localhost:3001/after' }),
+				this.helpers.request('get', { url: 'http://localhost:3001/status' }),
+				this.helpers.request('get', { url: 'http://localhost:3001/.well-known/lnurlp/unknown' }),
+			]);
+		}).then(results => {
+			assert.deepStrictEqual(results[0].body, { after: true });
+			assert.deepStrictEqual(results[1].body, { status: 'OK' });
+			assert.strictEqual(results[2].response.statusCode, 404);
+		}).finally(() => {
+			return new Promise(resolve => rootWebServer.close(resolve));
+		});
+	});
+
+	it('other routes of the app still work', function() {
+		return this.helpers.request('get', {
+			url: 'http://localhost:3000/other',
+		}).then(result => {
+			assert.deepStrictEqual(result.body, { other: true });
+		});
+	});
+});
@@ -200,6 +200,24 @@ describe('Server: hooks', function() {
 					assert.strictEqual(calls, 2);
 				});
 			});
+
+			it('with action (LUD-04): arguments unchanged', function() {
+				const params = Object.assign({}, validParams.action.login(secret), { action: 'register' });
+				let calls = 0;
+				server.bindToHook('login', function(key, next) {
+					try {
+						assert.strictEqual(typeof key, 'string');
+						assert.strictEqual(typeof next, 'function');
+						assert.strictEqual(++calls, 1);
+						next();
+					} catch (error) {
+						return next(error);
+					}
+				});
+				return server.runSubProtocol('login', 'action', secret, params).then(() => {
+					assert.strictEqual(calls, 1);
+				});
+			});
 		});
 
 		['channelRequest', 'payRequest', 'withdrawRequest'].forEach(tag => {
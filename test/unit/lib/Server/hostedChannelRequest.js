@@ -0,0 +1,116 @@
+const assert = require('assert');
+
+describe('Server: hostedChannelRequest (LUD-07)', function() {
+
+	let server;
+	before(function() {
+		server = this.helpers.createServer({
+			lightning: {
+				backend: 'dummy',
+				config: {},
+			},
+		});
+		return server.onReady();
+	});
+
+	after(function() {
+		if (server) return server.close();
+	});
+
+	let calls;
+	beforeEach(function() {
+		// The dummy LN backend does not support hosted channels.
+		calls = [];
+		server.ln.openHostedChannel = function(remoteId, k1) {
+			calls.push({ remoteId, k1 });
+			return Promise.resolve({});
+		};
+	});
+
+	let generatedUrl;
+	beforeEach(function() {
+		return server.generateNewUrl('hostedChannelRequest', { alias: 'Hosted channels' }).then(result => {
+			generatedUrl = result;
+		});
+	});
+
+	it('invalid alias', function() {
+		return server.generateNewUrl('hostedChannelRequest', { alias: 'x'.repeat(33) }).then(() => {
+			throw new Error('Expected an error');
+		}).catch(error => {
+			assert.strictEqual(error.message, 'Invalid parameter ("alias"): Must not be longer than 32 bytes');
+		});
+	});
+
+	it('info', function() {
+		return this.helpers.request('get', {
+			url: generatedUrl.url,
+		}).then(result => {
+			assert.deepStrictEqual(result.body, {
+				uri: 'PUBKEY@127.0.0.1:9735',
+				k1: generatedUrl.secret,
+				alias: 'Hosted channels',
+				tag: 'hostedChannelRequest',
+			});
+		});
+	});
+
+	it('info hook', function() {
+		let hookCalls = 0;
+		server.bindToHook('hostedChannelRequest:info', function(secret, params, next) {
+			hookCalls++;
+			assert.strictEqual(secret, generatedUrl.secret);
+			assert.strictEqual(params.alias, 'Hosted channels');
+			next();
+		});
+		return this.helpers.request('get', {
+			url: generatedUrl.url,
+		}).then(() => {
+			server.hooks['hostedChannelRequest:info'].callbacks = [];
+			assert.strictEqual(hookCalls, 1);
+		});
+	});
+
+	it('action', function() {
+		const remoteid = '02c3b844b8104f0c1b15c507774c9ba7fc609f58f343b9b149122e944dd20c9362';
+		const events = [];
+		const listener = event => events.push(event);
+		server.on('hostedChannelRequest:action:processed', listener);
+		return this.helpers.request('get', {
+			url: server.getCallbackUrl(),
+			qs: { k1: generatedUrl.secret, remoteid },
+		}).then(result => {
+			server.removeListener('hostedChannelRequest:action:processed', listener);
+			assert.deepStrictEqual(result.body, { status: 'OK' });
+			assert.deepStrictEqual(calls, [{ remoteId: remoteid, k1: generatedUrl.secret }]);
+			assert.strictEqual(events.length, 1);
+			assert.strictEqual(events[0].secret, generatedUrl.secret);
+		});
+	});
+
+	it('action missing remoteid', function() {
+		return this.helpers.request('get', {
+			url: server.getCallbackUrl(),
+			qs: { k1: generatedUrl.secret },
+		}).then(result => {
+			assert.deepStrictEqual(result.body, {
+				status: 'ERROR',
+				reason: 'Missing required parameter: "remoteid"',
+			});
+		});
+	});
+
+	it('LN backend does not support hosted channels', function() {
+		delete server.ln.openHostedChannel;
+		return this.helpers.request('get', {
+			url: server.getCallbackUrl(),
+			qs: { k1: generatedUrl.secret, remoteid: '02c3b844b8104f0c1b15c507774c9ba7fc609f58f343b9b149122e944dd20c9362' },
+		}).then(result => {
+			assert.strictEqual(result.response.statusCode, 501);
+			assert.deepStrictEqual(result.body, {
+				status: 'ERROR',
+				reason: 'hostedChannelRequest not supported by this LN backend',
+			});
+		});
+	});
+});
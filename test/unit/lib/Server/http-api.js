@@ -2,8 +2,12 @@ const assert = require('assert');
 const crypto = require('crypto');
 const { generateApiKey } = require('../../../../');
 const { createSignedUrl, prepareSignedQuery } = require('lnurl-offline');
-const { createAuthorizationSignature, createHash, generateRandomLinkingKey, promiseAllSeries } = require('../../../../lib');
+const { aes, createAuthorizationSignature, createHash, generateRandomLinkingKey, promiseAllSeries } = require('../../../../lib');
 const { generatePaymentRequest, getTagDataFromPaymentRequest } = require('lightning-backends');
+const url = require('url');
+
+// 1x1 pixel PNG image.
+const pngBase64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAABhWlDQ1BJQ0MgcHJvZmlsZQAAKJF9kT1Iw0AYht+milIqDnYQfyBDdbIgKuKoVShChVArtOpgcukfNGlIUlwcBdeCgz+LVQcXZ10dXAVB8AfEydFJ0UVK/C4ptIjxjuMe3vvel7vvAKFeZprVMQ5oum2mEnExk10Vu14RxDBCNAdlZhlzkpSE7/i6R4DvdzGe5V/35+hRcxYDAiLxLDNMm3iDeHrTNjjvE0dYUVaJz4nHTLog8SPXFY/fOBdcFnhmxEyn5okjxGKhjZU2ZkVTI54ijqqaTvlCxmOV8xZnrVxlzXvyF4Zz+soy12kNIYFFLEGCCAVVlFCGjRjtOikWUnQe9/EPuH6JXAq5SmDkWEAFGmTXD/4Hv3tr5ScnvKRwHOh8cZyPEaBrF2jUHOf72HEaJ0DwGbjSW/5KHZj5JL3W0qJHQO82cHHd0pQ94HIH6H8yZFN2pSAtIZ8H3s/om7JA3y0QWvP61jzH6QOQpl4lb4CDQ2C0QNnrPu/ubu/bvzXN/v0AL7RyjAwTcWUAAAAJcEhZcwAALiMAAC4jAXilP3YAAAAHdElNRQfkAx0KCjB1c1tWAAAAGXRFWHRDb21tZW50AENyZWF0ZWQgd2l0aCBHSU1QV4EOFwAAAAxJREFUCNdj+P//PwAF/gL+3MxZ5wAAAABJRU5ErkJggg==';
 
 const tagToLightningBackendMethod = {
 	'channelRequest': 'openChannel',
@@ -359,6 +363,90 @@ describe('Server: HTTP API', function() {
 							reason: '"metadata" must contain exactly one "text/plain" entry',
 						},
 					},
+					{
+						description: 'invalid metadata (multiple "text/long-desc" entries)',
+						params: {
+							minSendable: 100000,
+							maxSendable: 200000,
+							metadata: JSON.stringify([['text/plain', 'short'], ['text/long-desc', 'long'], ['text/long-desc', 'longer']]),
+						},
+						expected: {
+							status: 'ERROR',
+							reason: '"metadata" must not contain more than one "text/long-desc" entry',
+						},
+					},
+					{
+						description: 'invalid metadata (image, invalid base64)',
+						params: {
+							minSendable: 100000,
+							maxSendable: 200000,
+							metadata: JSON.stringify([['text/plain', 'short'], ['image/png;base64', 'not base64!']]),
+						},
+						expected: {
+							status: 'ERROR',
+							reason: 'Invalid metadata ("image/png;base64"): Valid base64 expected',
+						},
+					},
+					{
+						description: 'invalid metadata (image, wrong type)',
+						params: {
+							minSendable: 100000,
+							maxSendable: 200000,
+							metadata: JSON.stringify([['text/plain', 'short'], ['image/jpeg;base64', pngBase64]]),
+						},
+						expected: {
+							status: 'ERROR',
+							reason: 'Invalid metadata ("image/jpeg;base64"): Image data does not match type',
+						},
+					},
+					{
+						description: 'invalid metadata (multiple images)',
+						params: {
+							minSendable: 100000,
+							maxSendable: 200000,
+							metadata: JSON.stringify([['text/plain', 'short'], ['image/png;base64', pngBase64], ['image/png;base64', pngBase64]]),
+						},
+						expected: {
+							status: 'ERROR',
+							reason: '"metadata" must not contain more than one image entry',
+						},
+					},
+					{
+						description: 'invalid metadata (multiple identifiers)',
+						params: {
+							minSendable: 100000,
+							maxSendable: 200000,
+							metadata: JSON.stringify([['text/plain', 'short'], ['text/identifier', 'alice@service.com'], ['text/email', 'alice@service.com']]),
+						},
+						expected: {
+							status: 'ERROR',
+							reason: '"metadata" must not contain more than one "text/identifier" or "text/email" entry',
+						},
+					},
+					{
+						description: 'invalid metadata (invalid "text/identifier")',
+						params: {
+							minSendable: 100000,
+							maxSendable: 200000,
+							metadata: JSON.stringify([['text/plain', 'short'], ['text/identifier', 'Not an identifier']]),
+						},
+						expected: {
+							status: 'ERROR',
+							reason: 'Invalid metadata ("text/identifier"): Internet identifier expected (e.g "alice@service.com")',
+						},
+					},
+					{
+						description: 'valid metadata (LUD-20 long description, image and identifier)',
+						params: {
+							minSendable: 100000,
+							maxSendable: 200000,
+							metadata: JSON.stringify([['text/plain', 'short'], ['text/long-desc', 'A much longer description'], ['image/png;base64', pngBase64], ['text/identifier', 'alice@service.com']]),
+						},
+						expected: function(body) {
+							assert.strictEqual(body.tag, 'payRequest');
+							assert.strictEqual(JSON.parse(body.metadata).length, 4);
+						},
+					},
 					{
 						params: {
 							minSendable: 0,
@@ -418,6 +506,20 @@ describe('Server: HTTP API', function() {
 							reason: 'Invalid successAction (tag = "message"): Invalid property ("message"): String expected',
 						},
 					},
+					{
+						description: 'successAction: {"tag": "aes"} - plaintext too large',
+						params: () => Object.assign({}, prepareValidParams('create', 'payRequest'), {
+							successAction: {
+								tag: 'aes',
+								description: 'Your digital code',
+								plaintext: 'x'.repeat(4097),
+							},
+						}),
+						expected: {
+							status: 'ERROR',
+							reason: 'Invalid successAction (tag = "aes"): Invalid property ("plaintext"): Must not be larger than 4kb',
+						},
+					},
 					{
 						params: prepareValidParams('create', 'payRequest'),
 						expected: function(body, response, query) {
@@ -932,6 +1034,440 @@ describe('Server: HTTP API', function() {
 						});
 					});
 				});
+
+				describe('{"tag":"aes"}', function() {
+
+					const preimage = crypto.randomBytes(32).toString('hex');
+					const successAction = {
+						tag: 'aes',
+						description: 'Your digital code',
+						plaintext: 'CODE-1234-5678',
+					};
+
+					let aesServer;
+					before(function() {
+						aesServer = this.helpers.createServer({
+							port: 3002,
+							lightning: {
+								backend: 'dummy',
+								config: { preimage },
+							},
+						});
+						return aesServer.onReady();
+					});
+
+					after(function() {
+						if (aesServer) return aesServer.close();
+					});
+
+					let secret;
+					before(function() {
+						const createParams = Object.assign({}, prepareValidParams('create', 'payRequest'), { successAction });
+						return aesServer.generateNewUrl('payRequest', createParams).then(result => {
+							secret = result.secret;
+						});
+					});
+
+					it('info does not include plaintext', function() {
+						return this.helpers.request('get', {
+							url: aesServer.getCallbackUrl(),
+							qs: { q: secret },
+						}).then(result => {
+							const { body } = result;
+							assert.deepStrictEqual(body.successAction, {
+								tag: 'aes',
+								description: successAction.description,
+							});
+						});
+					});
+
+					it('action includes encrypted plaintext', function() {
+						return this.helpers.request('get', {
+							url: aesServer.getCallbackUrl(),
+							qs: Object.assign({}, prepareValidParams('action', 'payRequest'), {
+								k1: secret,
+							}),
+						}).then(result => {
+							const { body } = result;
+							assert.strictEqual(typeof body.pr, 'string');
+							assert.strictEqual(body.successAction.tag, 'aes');
+							assert.strictEqual(body.successAction.description, successAction.description);
+							assert.ok(!body.successAction.plaintext);
+							const { ciphertext, iv } = body.successAction;
+							assert.strictEqual(aes.decrypt(ciphertext, iv, preimage), successAction.plaintext);
+						});
+					});
+
+					it('preimage not available from LN backend', function() {
+						// The dummy backend returns a random 20-byte "preimage" when none is configured.
+						const noPreimageServer = this.helpers.createServer({
+							port: 3004,
+							lightning: {
+								backend: 'dummy',
+								config: {},
+							},
+						});
+						let storedInvoices = 0;
+						const { createInvoice } = noPreimageServer;
+						noPreimageServer.createInvoice = function() {
+							storedInvoices++;
+							return createInvoice.apply(noPreimageServer, arguments);
+						};
+						return noPreimageServer.onReady().then(() => {
+							const createParams = Object.assign({}, prepareValidParams('create', 'payRequest'), { successAction });
+							return noPreimageServer.generateNewUrl('payRequest', createParams);
+						}).then(result => {
+							return this.helpers.request('get', {
+								url: noPreimageServer.getCallbackUrl(),
+								qs: Object.assign({}, prepareValidParams('action', 'payRequest'), {
+									k1: result.secret,
+								}),
+							});
+						}).then(result => {
+							const { response, body } = result;
+							assert.strictEqual(response.statusCode, 501);
+							assert.deepStrictEqual(body, {
+								status: 'ERROR',
+								reason: 'Cannot encrypt successAction (tag = "aes"): Preimage not available from Lightning Backend',
+							});
+							assert.strictEqual(storedInvoices, 0);
+						}).then(() => {
+							return noPreimageServer.close();
+						}, error => {
+							return noPreimageServer.close().then(() => {
+								throw error;
+							});
+						});
+					});
+				});
+			});
+
+			describe('payRequest - payerData (LUD-18)', function() {
+
+				const payerData = {
+					name: { mandatory: false },
+					auth: { mandatory: true },
+				};
+
+				let secret;
+				beforeEach(function() {
+					const createParams = Object.assign({}, prepareValidParams('create', 'payRequest'), {
+						payerData: JSON.stringify(payerData),
+					});
+					return server.generateNewUrl('payRequest', createParams).then(result => {
+						secret = result.secret;
+					});
+				});
+
+				const fetchInfo = function() {
+					return this.helpers.request('get', {
+						url: server.getCallbackUrl(),
+						qs: { q: secret },
+					}).then(result => result.body);
+				};
+
+				const prepareAuth = function(k1) {
+					const { pubKey, privKey } = generateRandomLinkingKey();
+					const sig = createAuthorizationSignature(k1, privKey);
+					return { key: pubKey.toString('hex'), k1, sig: sig.toString('hex') };
+				};
+
+				it('invalid payerData', function() {
+					const createParams = Object.assign({}, prepareValidParams('create', 'payRequest'), {
+						payerData: { phone: { mandatory: true } },
+					});
+					return server.generateNewUrl('payRequest', createParams).then(() => {
+						throw new Error('Expected an error');
+					}).catch(error => {
+						assert.strictEqual(error.message, 'Invalid parameter ("payerData"): Unknown field "phone"');
+					});
+				});
+
+				it('info includes payerData', function() {
+					return fetchInfo.call(this).then(info => {
+						assert.deepStrictEqual(Object.keys(info.payerData), ['name', 'auth']);
+						assert.deepStrictEqual(info.payerData.name, { mandatory: false });
+						assert.strictEqual(info.payerData.auth.mandatory, true);
+						assert.ok(/^[0-9a-f]{64}$/.test(info.payerData.auth.k1));
+					});
+				});
+
+				it('action with valid payerdata', function() {
+					let payerdata;
+					const events = [];
+					const listener = event => events.push(event);
+					server.on('payRequest:action:processed', listener);
+					return fetchInfo.call(this).then(info => {
+						payerdata = JSON.stringify({
+							name: 'Satoshi',
+							auth: prepareAuth(info.payerData.auth.k1),
+						});
+						return this.helpers.request('get', {
+							url: info.callback,
+							qs: Object.assign({}, prepareValidParams('action', 'payRequest'), { payerdata }),
+						});
+					}).then(result => {
+						server.removeListener('payRequest:action:processed', listener);
+						const { body } = result;
+						assert.strictEqual(typeof body.pr, 'string');
+						const { metadata } = prepareValidParams('create', 'payRequest');
+						const descriptionHash = getTagDataFromPaymentRequest(body.pr, 'purpose_commit_hash');
+						assert.strictEqual(descriptionHash, createHash(Buffer.from(metadata + payerdata, 'utf8')));
+						assert.strictEqual(events.length, 1);
+						assert.deepStrictEqual(events[0].payerData, JSON.parse(payerdata));
+					});
+				});
+
+				it('action with missing mandatory field', function() {
+					return fetchInfo.call(this).then(info => {
+						return this.helpers.request('get', {
+							url: info.callback,
+							qs: Object.assign({}, prepareValidParams('action', 'payRequest'), {
+								payerdata: JSON.stringify({ name: 'Satoshi' }),
+							}),
+						});
+					}).then(result => {
+						assert.deepStrictEqual(result.body, {
+							status: 'ERROR',
+							reason: 'Invalid parameter ("payerdata"): Missing mandatory field ("auth")',
+						});
+					});
+				});
+
+				it('action with invalid auth signature', function() {
+					return fetchInfo.call(this).then(info => {
+						const auth = prepareAuth(info.payerData.auth.k1);
+						auth.key = generateRandomLinkingKey().pubKey.toString('hex');
+						return this.helpers.request('get', {
+							url: info.callback,
+							qs: Object.assign({}, prepareValidParams('action', 'payRequest'), {
+								payerdata: JSON.stringify({ auth }),
+							}),
+						});
+					}).then(result => {
+						assert.deepStrictEqual(result.body, {
+							status: 'ERROR',
+							reason: 'Invalid parameter ("payerdata"): Invalid field ("auth"): Invalid signature',
+						});
+					});
+				});
+
+				it('new k1 for each info request', function() {
+					return Promise.all([
+						fetchInfo.call(this),
+						fetchInfo.call(this),
+					]).then(infos => {
+						assert.notStrictEqual(infos[0].payerData.auth.k1, infos[1].payerData.auth.k1);
+					});
+				});
+
+				it('action with replayed auth', function() {
+					let info, payerdata;
+					const createParams = Object.assign({}, prepareValidParams('create', 'payRequest'), {
+						payerData: JSON.stringify(payerData),
+					});
+					// Reusable URL.
+					return server.generateNewUrl('payRequest', createParams, { uses: 0 }).then(result => {
+						secret = result.secret;
+						return fetchInfo.call(this);
+					}).then(result => {
+						info = result;
+						payerdata = JSON.stringify({ auth: prepareAuth(info.payerData.auth.k1) });
+						return this.helpers.request('get', {
+							url: info.callback,
+							qs: Object.assign({}, prepareValidParams('action', 'payRequest'), { payerdata }),
+						});
+					}).then(result => {
+						assert.strictEqual(typeof result.body.pr, 'string');
+						return this.helpers.request('get', {
+							url: info.callback,
+							qs: Object.assign({}, prepareValidParams('action', 'payRequest'), { payerdata }),
+						});
+					}).then(result => {
+						assert.deepStrictEqual(result.body, {
+							status: 'ERROR',
+							reason: 'Invalid parameter ("payerdata"): Invalid field ("auth"): Unexpected "k1"',
+						});
+					});
+				});
+
+				it('k1 is valid for instances with the same auth.payerDataSecret', function() {
+					const options = { listen: false, webServer: false, auth: { payerDataSecret: 'shared secret' } };
+					const instances = [
+						this.helpers.createServer(options),
+						this.helpers.createServer(options),
+						this.helpers.createServer(Object.assign({}, options, { auth: { payerDataSecret: 'another secret' } })),
+					];
+					return Promise.all(instances.map(instance => instance.onReady())).then(() => {
+						const k1 = instances[0].issuePayerDataAuthK1(secret);
+						assert.strictEqual(instances[1].isValidPayerDataAuthK1(k1, secret), true);
+						assert.strictEqual(instances[1].isValidPayerDataAuthK1(k1, 'other secret'), false);
+						assert.strictEqual(instances[2].isValidPayerDataAuthK1(k1, secret), false);
+					}).finally(() => {
+						return Promise.all(instances.map(instance => instance.close()));
+					});
+				});
+
+				it('action with unexpected k1', function() {
+					return fetchInfo.call(this).then(info => {
+						return this.helpers.request('get', {
+							url: info.callback,
+							qs: Object.assign({}, prepareValidParams('action', 'payRequest'), {
+								payerdata: JSON.stringify({ auth: prepareAuth(crypto.randomBytes(32).toString('hex')) }),
+							}),
+						});
+					}).then(result => {
+						assert.deepStrictEqual(result.body, {
+							status: 'ERROR',
+							reason: 'Invalid parameter ("payerdata"): Invalid field ("auth"): Unexpected "k1"',
+						});
+					});
+				});
+			});
+
+			describe('payRequest - verify (LUD-21)', function() {
+
+				const preimage = crypto.randomBytes(32).toString('hex');
+
+				let verifyServer;
+				before(function() {
+					verifyServer = this.helpers.createServer({
+						port: 3003,
+						lightning: {
+							backend: 'dummy',
+							config: { preimage },
+						},
+					});
+					return verifyServer.onReady();
+				});
+
+				after(function() {
+					if (verifyServer) return verifyServer.close();
+				});
+
+				// The dummy backend always uses the same preimage, so only one invoice can be created.
+				let body;
+				before(function() {
+					const createParams = prepareValidParams('create', 'payRequest');
+					return verifyServer.generateNewUrl('payRequest', createParams).then(result => {
+						return this.helpers.request('get', {
+							url: verifyServer.getCallbackUrl(),
+							qs: Object.assign({}, prepareValidParams('action', 'payRequest'), {
+								k1: result.secret,
+							}),
+						});
+					}).then(result => {
+						body = result.body;
+					});
+				});
+
+				it('action includes verify URL', function() {
+					const paymentHash = getTagDataFromPaymentRequest(body.pr, 'payment_hash');
+					assert.strictEqual(body.verify, verifyServer.getUrl(`/lnurl/verify/${paymentHash}`));
+					return verifyServer.fetchInvoice(paymentHash).then(fetchedInvoice => {
+						assert.ok(fetchedInvoice);
+						assert.strictEqual(fetchedInvoice.pr, body.pr);
+					});
+				});
+
+				it('settled', function() {
+					verifyServer.ln.options.settled = true;
+					return this.helpers.request('get', {
+						url: body.verify,
+					}).then(result => {
+						assert.deepStrictEqual(result.body, {
+							status: 'OK',
+							settled: true,
+							preimage,
+							pr: body.pr,
+						});
+					});
+				});
+
+				it('not settled', function() {
+					verifyServer.ln.options.settled = false;
+					return this.helpers.request('get', {
+						url: body.verify,
+					}).then(result => {
+						assert.deepStrictEqual(result.body, {
+							status: 'OK',
+							settled: false,
+							preimage: null,
+							pr: body.pr,
+						});
+					});
+				});
+
+				it('unknown payment hash', function() {
+					return this.helpers.request('get', {
+						url: verifyServer.getInvoiceVerifyUrl(crypto.randomBytes(32).toString('hex')),
+					}).then(result => {
+						assert.strictEqual(result.response.statusCode, 404);
+						assert.deepStrictEqual(result.body, {
+							status: 'ERROR',
+							reason: 'Not found',
+						});
+					});
+				});
+			});
+
+			describe('withdrawRequest - fast (LUD-08)', function() {
+
+				let generatedUrl;
+				beforeEach(function() {
+					const params = prepareValidParams('create', 'withdrawRequest');
+					return server.generateNewUrl('withdrawRequest', params, { fast: true }).then(result => {
+						generatedUrl = result;
+					});
+				});
+
+				it('includes info in the URL', function() {
+					const { query } = url.parse(generatedUrl.url, true);
+					const params = prepareValidParams('create', 'withdrawRequest');
+					assert.deepStrictEqual(Object.assign({}, query), {
+						tag: 'withdrawRequest',
+						k1: generatedUrl.secret,
+						minWithdrawable: String(params.minWithdrawable),
+						maxWithdrawable: String(params.maxWithdrawable),
+						defaultDescription: params.defaultDescription,
+						callback: server.getCallbackUrl(),
+					});
+				});
+
+				it('responds with info when requested without "pr"', function() {
+					return this.helpers.request('get', {
+						url: generatedUrl.url,
+					}).then(result => {
+						const { body } = result;
+						assert.deepStrictEqual(body, Object.assign({
+							k1: generatedUrl.secret,
+							tag: 'withdrawRequest',
+							callback: server.getCallbackUrl(),
+						}, prepareValidParams('create', 'withdrawRequest')));
+					});
+				});
+
+				it('action without prior info request', function() {
+					const { query } = url.parse(generatedUrl.url, true);
+					return this.helpers.request('get', {
+						url: query.callback,
+						qs: Object.assign({}, prepareValidParams('action', 'withdrawRequest'), {
+							k1: query.k1,
+						}),
+					}).then(result => {
+						const { body } = result;
+						assert.deepStrictEqual(body, { status: 'OK' });
+					});
+				});
+
+				it('not supported for other tags', function() {
+					const params = prepareValidParams('create', 'payRequest');
+					return server.generateNewUrl('payRequest', params, { fast: true }).then(() => {
+						throw new Error('Expected an error');
+					}).catch(error => {
+						assert.strictEqual(error.message, 'Invalid option ("fast"): Only supported for "withdrawRequest"');
+					});
+				});
 			});
 
 			describe('uses', function() {
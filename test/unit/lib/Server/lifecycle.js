@@ -0,0 +1,156 @@
+const assert = require('assert');
+
+describe('Server: URL lifecycle', function() {
+
+	let server, validParams;
+	before(function() {
+		validParams = this.helpers.fixtures.validParams;
+		server = this.helpers.createServer();
+		return server.onReady();
+	});
+
+	after(function() {
+		if (server) return server.close();
+	});
+
+	describe('revokeUrl(hash)', function() {
+
+		it('revoked URL is rejected', function() {
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest).then(result => {
+				return server.revokeUrl(result.hash).then(() => {
+					return server.fetchUrl(result.hash);
+				}).then(fetchedUrl => {
+					assert.ok(fetchedUrl.revokedAt);
+					return this.helpers.request('get', {
+						url: result.url,
+					});
+				});
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 400);
+				assert.deepStrictEqual(body, { status: 'ERROR', reason: 'URL has been revoked' });
+			});
+		});
+
+		it('revoking twice keeps the original time', function() {
+			let hash, revokedAt;
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest).then(result => {
+				hash = result.hash;
+				return server.revokeUrl(hash);
+			}).then(() => {
+				return server.fetchUrl(hash);
+			}).then(fetchedUrl => {
+				revokedAt = fetchedUrl.revokedAt;
+				return new Promise(resolve => setTimeout(resolve, 5));
+			}).then(() => {
+				return server.revokeUrl(hash);
+			}).then(() => {
+				return server.fetchUrl(hash);
+			}).then(fetchedUrl => {
+				assert.strictEqual(fetchedUrl.revokedAt, revokedAt);
+			});
+		});
+
+		it('unknown URL', function() {
+			return server.revokeUrl('does-not-exist').then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Cannot revoke URL: Unknown URL');
+				assert.strictEqual(error.status, 404);
+			});
+		});
+
+		it('not revoked by default', function() {
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest).then(result => {
+				return server.fetchUrl(result.hash);
+			}).then(fetchedUrl => {
+				assert.strictEqual(fetchedUrl.revokedAt, null);
+			});
+		});
+	});
+
+	describe('updateUrl(hash, changes)', function() {
+
+		it('params', function() {
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest).then(result => {
+				return server.updateUrl(result.hash, {
+					params: { defaultDescription: 'updated' },
+				}).then(() => {
+					return server.fetchUrl(result.hash);
+				}).then(fetchedUrl => {
+					assert.strictEqual(fetchedUrl.params.defaultDescription, 'updated');
+					assert.strictEqual(fetchedUrl.params.minWithdrawable, validParams.create.withdrawRequest.minWithdrawable);
+					return this.helpers.request('get', {
+						url: result.url,
+					});
+				});
+			}).then(result => {
+				assert.strictEqual(result.body.defaultDescription, 'updated');
+			});
+		});
+
+		it('invalid params', function() {
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest).then(result => {
+				return server.updateUrl(result.hash, {
+					params: { minWithdrawable: 2000000, maxWithdrawable: 1000000 },
+				});
+			}).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, '"maxWithdrawable" must be greater than or equal to "minWithdrawable"');
+			});
+		});
+
+		it('uses - subtracts uses already consumed', function() {
+			let hash;
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest, { uses: 3 }).then(result => {
+				hash = result.hash;
+				return server.useUrl(hash);
+			}).then(() => {
+				return server.updateUrl(hash, { uses: 5 });
+			}).then(() => {
+				return server.fetchUrl(hash);
+			}).then(fetchedUrl => {
+				assert.strictEqual(fetchedUrl.initialUses, 5);
+				assert.strictEqual(fetchedUrl.remainingUses, 4);
+				return server.updateUrl(hash, { uses: 0 });
+			}).then(() => {
+				return server.fetchUrl(hash);
+			}).then(fetchedUrl => {
+				assert.strictEqual(fetchedUrl.initialUses, 0);
+				assert.strictEqual(fetchedUrl.remainingUses, 0);
+			});
+		});
+
+		it('invalid uses', function() {
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest).then(result => {
+				return server.updateUrl(result.hash, { uses: -1 });
+			}).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Invalid option ("uses"): Integer greater than or equal to zero expected');
+			});
+		});
+
+		it('revoked URL', function() {
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest).then(result => {
+				return server.revokeUrl(result.hash).then(() => {
+					return server.updateUrl(result.hash, { uses: 2 });
+				});
+			}).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Cannot update URL: URL has been revoked');
+			});
+		});
+
+		it('unknown URL', function() {
+			return server.updateUrl('does-not-exist', { uses: 2 }).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Cannot update URL: Unknown URL');
+				assert.strictEqual(error.status, 404);
+			});
+		});
+	});
+});
@@ -0,0 +1,228 @@
+const assert = require('assert');
+const { createHash } = require('../../../../lib');
+const { getTagDataFromPaymentRequest } = require('lightning-backends');
+
+describe('Server: Lightning Address', function() {
+
+	let server;
+	before(function() {
+		server = this.helpers.createServer({
+			lightning: {
+				backend: 'dummy',
+				config: {},
+			},
+		});
+		return server.onReady();
+	});
+
+	after(function() {
+		if (server) return server.close();
+	});
+
+	let validParams;
+	before(function() {
+		validParams = this.helpers.fixtures.validParams;
+	});
+
+	describe('addLightningAddress(username, params[, options])', function() {
+
+		it('invalid username', function() {
+			return server.addLightningAddress('Not Valid', validParams.create.payRequest).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Invalid username: Only a-z, 0-9, "-", "_", "." and "+" are allowed');
+			});
+		});
+
+		it('invalid params', function() {
+			const params = Object.assign({}, validParams.create.payRequest, { minSendable: 0 });
+			return server.addLightningAddress('invalid-params', params).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, '"minSendable" must be greater than zero');
+			});
+		});
+
+		it('duplicate username', function() {
+			const params = validParams.create.payRequest;
+			return server.addLightningAddress('duplicate', params).then(() => {
+				return server.addLightningAddress('duplicate', params);
+			}).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Lightning Address already exists: "duplicate"');
+			});
+		});
+
+		it('adds internet identifier to metadata', function() {
+			return server.addLightningAddress('alice', validParams.create.payRequest).then(result => {
+				assert.deepStrictEqual(result, {
+					address: 'alice@localhost',
+					username: 'alice',
+					url: server.getUrl('/.well-known/lnurlp/alice'),
+				});
+				return server.fetchLightningAddress('alice');
+			}).then(fetchedAddress => {
+				assert.strictEqual(typeof fetchedAddress, 'object');
+				const metadata = JSON.parse(fetchedAddress.params.metadata);
+				assert.deepStrictEqual(metadata, [
+					['text/plain', 'service.com: payRequest'],
+					['text/identifier', 'alice@localhost'],
+				]);
+			});
+		});
+
+		it('adds internet identifier to default metadata', function() {
+			const params = Object.assign({}, validParams.create.payRequest);
+			delete params.metadata;
+			return server.addLightningAddress('default-metadata', params).then(() => {
+				return server.fetchLightningAddress('default-metadata');
+			}).then(fetchedAddress => {
+				const metadata = JSON.parse(fetchedAddress.params.metadata);
+				assert.deepStrictEqual(metadata, [
+					['text/plain', 'lnurl-node'],
+					['text/identifier', 'default-metadata@localhost'],
+				]);
+			});
+		});
+
+		it('keeps email in metadata', function() {
+			const metadata = JSON.stringify([['text/plain', 'Pay by email'], ['text/email', 'someone@example.com']]);
+			const params = Object.assign({}, validParams.create.payRequest, { metadata });
+			return server.addLightningAddress('with-email', params).then(() => {
+				return server.fetchLightningAddress('with-email');
+			}).then(fetchedAddress => {
+				assert.strictEqual(fetchedAddress.params.metadata, metadata);
+			});
+		});
+
+		it('identifier of another address', function() {
+			const metadata = JSON.stringify([['text/plain', 'Pay to erin'], ['text/identifier', 'someone-else@localhost']]);
+			const params = Object.assign({}, validParams.create.payRequest, { metadata });
+			return server.addLightningAddress('erin', params).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Invalid parameter ("metadata"): "text/identifier" must be "erin@localhost"');
+			});
+		});
+	});
+
+	describe('updateLightningAddress(username, params)', function() {
+
+		before(function() {
+			return server.addLightningAddress('bob', validParams.create.payRequest);
+		});
+
+		it('unknown username', function() {
+			return server.updateLightningAddress('does-not-exist', { maxSendable: 300000 }).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, 'Unknown Lightning Address: "does-not-exist"');
+			});
+		});
+
+		it('updates params', function() {
+			return server.updateLightningAddress('bob', { maxSendable: 300000 }).then(() => {
+				return server.fetchLightningAddress('bob');
+			}).then(fetchedAddress => {
+				assert.strictEqual(fetchedAddress.params.maxSendable, 300000);
+				assert.strictEqual(fetchedAddress.params.minSendable, validParams.create.payRequest.minSendable);
+			});
+		});
+	});
+
+	describe('removeLightningAddress(username)', function() {
+
+		before(function() {
+			return server.addLightningAddress('carol', validParams.create.payRequest);
+		});
+
+		it('removes the address', function() {
+			return server.removeLightningAddress('carol').then(removed => {
+				assert.strictEqual(removed, true);
+				return server.fetchLightningAddress('carol');
+			}).then(fetchedAddress => {
+				assert.strictEqual(fetchedAddress, null);
+			});
+		});
+	});
+
+	describe('GET /.well-known/lnurlp/:username', function() {
+
+		before(function() {
+			return server.addLightningAddress('dave', validParams.create.payRequest);
+		});
+
+		it('unknown username', function() {
+			return this.helpers.request('get', {
+				url: server.getUrl('/.well-known/lnurlp/unknown'),
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 404);
+				assert.deepStrictEqual(body, {
+					status: 'ERROR',
+					reason: 'Unknown Lightning Address',
+				});
+			});
+		});
+
+		it('info', function() {
+			return this.helpers.request('get', {
+				url: server.getUrl('/.well-known/lnurlp/dave'),
+			}).then(result => {
+				const { body } = result;
+				const { minSendable, maxSendable, commentAllowed } = validParams.create.payRequest;
+				assert.strictEqual(body.tag, 'payRequest');
+				assert.strictEqual(body.callback, server.getUrl('/.well-known/lnurlp/dave'));
+				assert.strictEqual(body.minSendable, minSendable);
+				assert.strictEqual(body.maxSendable, maxSendable);
+				assert.strictEqual(body.commentAllowed, commentAllowed);
+				assert.ok(JSON.parse(body.metadata).some(entry => entry[0] === 'text/identifier'));
+			});
+		});
+
+		it('username with "+"', function() {
+			return server.addLightningAddress('dave+tips', validParams.create.payRequest).then(result => {
+				assert.strictEqual(result.address, 'dave+tips@localhost');
+				return this.helpers.request('get', {
+					url: result.url,
+				});
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 200);
+				assert.strictEqual(body.tag, 'payRequest');
+				assert.ok(JSON.parse(body.metadata).some(entry => entry[0] === 'text/identifier' && entry[1] === 'dave+tips@localhost'));
+			});
+		});
+
+		it('action', function() {
+			return this.helpers.request('get', {
+				url: server.getUrl('/.well-known/lnurlp/dave'),
+			}).then(infoResult => {
+				const { callback, metadata } = infoResult.body;
+				return this.helpers.request('get', {
+					url: callback,
+					qs: validParams.action.payRequest,
+				}).then(result => {
+					const { body } = result;
+					assert.strictEqual(typeof body.pr, 'string');
+					const purposeCommitHashTagData = getTagDataFromPaymentRequest(body.pr, 'purpose_commit_hash');
+					assert.strictEqual(purposeCommitHashTagData, createHash(Buffer.from(metadata, 'utf8')));
+				});
+			});
+		});
+
+		it('amount out of range', function() {
+			return this.helpers.request('get', {
+				url: server.getUrl('/.well-known/lnurlp/dave'),
+				qs: { amount: 1 },
+			}).then(result => {
+				const { body } = result;
+				assert.deepStrictEqual(body, {
+					status: 'ERROR',
+					reason: 'Amount must be greater than or equal to "minSendable"',
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,130 @@
+const assert = require('assert');
+const crypto = require('crypto');
+
+describe('listUrls([options])', function() {
+
+	let server, validParams;
+	let hashes = {};
+	// Other tests (and runs) may share the same data store - so only look at the URLs created here.
+	const apiKeyIds = {
+		key1: crypto.randomBytes(12).toString('hex'),
+		key2: crypto.randomBytes(12).toString('hex'),
+	};
+	before(function() {
+		validParams = this.helpers.fixtures.validParams;
+		server = this.helpers.createServer();
+		return server.onReady().then(() => {
+			const { withdrawRequest, payRequest } = validParams.create;
+			return Promise.all([
+				['claimed', 'withdrawRequest', withdrawRequest, { apiKeyId: apiKeyIds.key1 }],
+				['unclaimed', 'withdrawRequest', withdrawRequest, { apiKeyId: apiKeyIds.key1 }],
+				['otherApiKey', 'withdrawRequest', withdrawRequest, { apiKeyId: apiKeyIds.key2 }],
+				['unlimited', 'withdrawRequest', withdrawRequest, { apiKeyId: apiKeyIds.key1, uses: 0 }],
+				['payRequest', 'payRequest', payRequest, { apiKeyId: apiKeyIds.key1 }],
+			].map(([name, tag, params, options]) => {
+				const secret = crypto.randomBytes(32).toString('hex');
+				return server.createUrl(secret, tag, params, options).then(({ hash }) => {
+					hashes[name] = hash;
+				});
+			}));
+		}).then(() => {
+			return server.useUrl(hashes.claimed);
+		});
+	});
+
+	after(function() {
+		if (server) return server.close();
+	});
+
+	const sortHashes = function(names) {
+		return names.map(name => hashes[name]).sort();
+	};
+
+	const ownHashes = function(urls) {
+		const created = Object.values(hashes);
+		return urls.map(url => url.hash).filter(hash => created.includes(hash));
+	};
+
+	it('all URLs by default', function() {
+		let urls = [];
+		const nextPage = function(cursor) {
+			return server.listUrls({ cursor }).then(result => {
+				urls = urls.concat(result.urls);
+				if (result.cursor) {
+					return nextPage(result.cursor);
+				}
+			});
+		};
+		return nextPage(null).then(() => {
+			assert.deepStrictEqual(ownHashes(urls), sortHashes(Object.keys(hashes)));
+			const url = urls.find(url => url.hash === hashes.unclaimed);
+			assert.strictEqual(url.tag, 'withdrawRequest');
+			assert.deepStrictEqual(url.params, validParams.create.withdrawRequest);
+		});
+	});
+
+	it('unclaimed withdrawRequest URLs of an API key', function() {
+		return server.listUrls({ tag: 'withdrawRequest', apiKeyId: apiKeyIds.key1, exhausted: false }).then(result => {
+			assert.deepStrictEqual(result.urls.map(url => url.hash), sortHashes(['unclaimed', 'unlimited']));
+		});
+	});
+
+	it('exhausted', function() {
+		return server.listUrls({ apiKeyId: apiKeyIds.key1, exhausted: true }).then(result => {
+			assert.deepStrictEqual(result.urls.map(url => url.hash), [ hashes.claimed ]);
+		});
+	});
+
+	it('createdAfter, createdBefore', function() {
+		const now = Date.now();
+		return server.listUrls({ apiKeyId: apiKeyIds.key1, createdAfter: new Date(now - 60000).toISOString(), createdBefore: now + 60000 }).then(result => {
+			assert.deepStrictEqual(result.urls.map(url => url.hash), sortHashes(['claimed', 'unclaimed', 'unlimited', 'payRequest']));
+			return server.listUrls({ apiKeyId: apiKeyIds.key1, createdAfter: now + 60000 });
+		}).then(result => {
+			assert.strictEqual(result.urls.length, 0);
+		});
+	});
+
+	it('limit, cursor', function() {
+		let listed = [];
+		const nextPage = function(cursor) {
+			return server.listUrls({ apiKeyId: apiKeyIds.key1, limit: 2, cursor }).then(result => {
+				assert.ok(result.urls.length <= 2);
+				listed = listed.concat(result.urls.map(url => url.hash));
+				if (result.cursor) {
+					return nextPage(result.cursor);
+				}
+			});
+		};
+		return nextPage(null).then(() => {
+			assert.deepStrictEqual(listed, sortHashes(['claimed', 'unclaimed', 'unlimited', 'payRequest']));
+		});
+	});
+
+	[
+		{
+			options: { limit: 0 },
+			message: 'Invalid option ("limit"): Integer between 1 and 1000 expected',
+		},
+		{
+			options: { exhausted: 'yes' },
+			message: 'Invalid option ("exhausted"): Boolean expected',
+		},
+		{
+			options: { createdAfter: 'yesterday' },
+			message: 'Invalid option ("createdAfter"): Date, ISO 8601 string or timestamp (ms) expected',
+		},
+		{
+			options: { unknown: true },
+			message: 'Unknown option: "unknown"',
+		},
+	].forEach(test => {
+		it(`invalid options: ${JSON.stringify(test.options)}`, function() {
+			return server.listUrls(test.options).then(() => {
+				throw new Error('Expected an error');
+			}).catch(error => {
+				assert.strictEqual(error.message, test.message);
+			});
+		});
+	});
+});
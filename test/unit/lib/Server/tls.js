@@ -0,0 +1,121 @@
+const assert = require('assert');
+const fs = require('fs').promises;
+const https = require('https');
+const path = require('path');
+const tls = require('tls');
+const { generateSelfSignedCertificate } = require('../../../../lib');
+
+describe('Server: tls', function() {
+
+	const { cert, key } = generateSelfSignedCertificate({ commonName: 'localhost' });
+
+	let server;
+	afterEach(function() {
+		if (server) return server.close().then(() => {
+			server = null;
+		});
+	});
+
+	it('cert and key (PEM)', function() {
+		server = this.helpers.createServer({ tls: { cert, key } });
+		return server.onReady().then(() => {
+			assert.strictEqual(server.options.url, 'https://localhost:3000');
+			return this.helpers.request('get', {
+				url: 'https://localhost:3000/status',
+				ca: cert,
+			}).then(result => {
+				const { response, body } = result;
+				assert.strictEqual(response.statusCode, 200);
+				assert.deepStrictEqual(body, { status: 'OK' });
+			});
+		});
+	});
+
+	it('cert and key (buffers)', function() {
+		server = this.helpers.createServer({
+			tls: { cert: Buffer.from(cert), key: Buffer.from(key) },
+		});
+		return server.onReady().then(() => {
+			return this.helpers.request('get', {
+				url: 'https://localhost:3000/status',
+				ca: cert,
+			}).then(result => {
+				assert.strictEqual(result.response.statusCode, 200);
+			});
+		});
+	});
+
+	it('cert and key (file paths)', function() {
+		const certPath = path.join(this.tmpDir, 'tls.cert');
+		const keyPath = path.join(this.tmpDir, 'tls.key');
+		return Promise.all([
+			fs.writeFile(certPath, cert),
+			fs.writeFile(keyPath, key),
+		]).then(() => {
+			server = this.helpers.createServer({ tls: { cert: certPath, key: keyPath } });
+			return server.onReady().then(() => {
+				return this.helpers.request('get', {
+					url: 'https://localhost:3000/status',
+					ca: cert,
+				}).then(result => {
+					assert.strictEqual(result.response.statusCode, 200);
+				});
+			});
+		});
+	});
+
+	it('selfSigned', function() {
+		server = this.helpers.createServer({ tls: { selfSigned: true } });
+		return server.onReady().then(() => {
+			return this.helpers.request('get', {
+				url: 'https://localhost:3000/status',
+				rejectUnauthorized: false,
+			}).then(result => {
+				assert.strictEqual(result.response.statusCode, 200);
+				// Read the certificate while the connection is still open.
+				return new Promise((resolve, reject) => {
+					const socket = tls.connect({ host: 'localhost', port: 3000, servername: 'localhost', rejectUnauthorized: false }, () => {
+						const peerCertificate = socket.getPeerCertificate();
+						socket.end();
+						resolve(peerCertificate);
+					});
+					socket.once('error', reject);
+				});
+			}).then(peerCertificate => {
+				assert.strictEqual(peerCertificate.subject.CN, 'localhost');
+			});
+		});
+	});
+
+	it('url not overridden', function() {
+		server = this.helpers.createServer({
+			url: 'https://service.com',
+			tls: { cert, key },
+		});
+		return server.onReady().then(() => {
+			assert.strictEqual(server.options.url, 'https://service.com');
+		});
+	});
+
+	it('close force-closes TLS sockets', function() {
+		server = this.helpers.createServer({ tls: { cert, key } });
+		return server.onReady().then(() => {
+			const agent = new https.Agent({ keepAlive: true, ca: cert });
+			return this.helpers.request('get', {
+				url: 'https://localhost:3000/status',
+				ca: cert,
+				agent,
+			}).then(() => {
+				const sockets = Object.values(server.sockets).filter(socket => !!socket);
+				assert.ok(sockets.length > 0);
+				return server.close({ force: true }).then(() => {
+					sockets.forEach(socket => {
+						assert.ok(socket.destroyed);
+					});
+					server = null;
+					agent.destroy();
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,193 @@
+const assert = require('assert');
+const { generatePaymentRequest, getTagDataFromPaymentRequest } = require('lightning-backends');
+
+describe('Server: uses ledger', function() {
+
+	let server, validParams;
+	before(function() {
+		validParams = this.helpers.fixtures.validParams;
+		server = this.helpers.createServer({
+			lightning: {
+				backend: 'dummy',
+				config: {},
+			},
+		});
+		return server.onReady();
+	});
+
+	after(function() {
+		if (server) return server.close();
+	});
+
+	describe('withdrawRequest', function() {
+
+		let generatedUrl;
+		before(function() {
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest).then(result => {
+				generatedUrl = result;
+			});
+		});
+
+		it('records processed and failed uses', function() {
+			const { minWithdrawable } = validParams.create.withdrawRequest;
+			const pr = generatePaymentRequest(minWithdrawable);
+			return this.helpers.request('get', {
+				url: server.getCallbackUrl(),
+				qs: { k1: generatedUrl.secret, pr },
+			}).then(result => {
+				assert.deepStrictEqual(result.body, { status: 'OK' });
+				return this.helpers.request('get', {
+					url: server.getCallbackUrl(),
+					qs: { k1: generatedUrl.secret, pr: generatePaymentRequest(minWithdrawable) },
+				});
+			}).then(result => {
+				assert.strictEqual(result.body.reason, 'Maximum number of uses already reached');
+				return server.listUses({ hash: generatedUrl.hash });
+			}).then(result => {
+				const { uses, cursor } = result;
+				assert.strictEqual(cursor, null);
+				assert.strictEqual(uses.length, 2);
+				assert.strictEqual(uses[0].hash, generatedUrl.hash);
+				assert.strictEqual(uses[0].tag, 'withdrawRequest');
+				assert.strictEqual(uses[0].amount, minWithdrawable);
+				assert.strictEqual(uses[0].pr, pr);
+				assert.strictEqual(uses[0].paymentHash, getTagDataFromPaymentRequest(pr, 'payment_hash'));
+				assert.strictEqual(typeof uses[0].remoteId, 'string');
+				assert.ok(uses[0].ip);
+				assert.ok(uses[0].createdAt);
+				assert.strictEqual(uses[0].outcome, 'processed');
+				assert.strictEqual(uses[0].reason, null);
+				assert.strictEqual(uses[1].outcome, 'failed');
+				assert.strictEqual(uses[1].reason, 'Maximum number of uses already reached');
+			});
+		});
+
+		it('info requests are not recorded', function() {
+			return server.generateNewUrl('withdrawRequest', validParams.create.withdrawRequest).then(result => {
+				return this.helpers.request('get', {
+					url: result.url,
+				}).then(() => {
+					return server.listUses({ hash: result.hash });
+				});
+			}).then(result => {
+				assert.strictEqual(result.uses.length, 0);
+			});
+		});
+	});
+
+	describe('payRequest', function() {
+
+		it('records the amount and invoice', function() {
+			const amount = validParams.create.payRequest.minSendable;
+			return server.generateNewUrl('payRequest', validParams.create.payRequest).then(generatedUrl => {
+				return this.helpers.request('get', {
+					url: server.getCallbackUrl(),
+					qs: { k1: generatedUrl.secret, amount },
+				}).then(result => {
+					return server.listUses({ hash: generatedUrl.hash }).then(({ uses }) => {
+						assert.strictEqual(uses.length, 1);
+						assert.strictEqual(uses[0].outcome, 'processed');
+						assert.strictEqual(uses[0].amount, amount);
+						assert.strictEqual(uses[0].pr, result.body.pr);
+						assert.strictEqual(uses[0].paymentHash, getTagDataFromPaymentRequest(result.body.pr, 'payment_hash'));
+					});
+				});
+			});
+		});
+	});
+
+	describe('Lightning Address', function() {
+
+		before(function() {
+			return server.addLightningAddress('frank', validParams.create.payRequest);
+		});
+
+		it('records processed and failed uses', function() {
+			const hash = server.getLightningAddressHash('frank');
+			const { minSendable } = validParams.create.payRequest;
+			const url = server.getUrl('/.well-known/lnurlp/frank');
+			return this.helpers.request('get', { url }).then(() => {
+				return this.helpers.request('get', { url, qs: { amount: minSendable } });
+			}).then(result => {
+				assert.strictEqual(typeof result.body.pr, 'string');
+				return this.helpers.request('get', { url, qs: { amount: 1 } }).then(failed => {
+					assert.strictEqual(failed.body.status, 'ERROR');
+					return server.listUses({ hash });
+				}).then(({ uses }) => {
+					assert.strictEqual(uses.length, 2);
+					assert.strictEqual(uses[0].hash, hash);
+					assert.strictEqual(uses[0].tag, 'payRequest');
+					assert.strictEqual(uses[0].outcome, 'processed');
+					assert.strictEqual(uses[0].amount, minSendable);
+					assert.strictEqual(uses[0].pr, result.body.pr);
+					assert.strictEqual(uses[1].outcome, 'failed');
+					assert.strictEqual(uses[1].reason, 'Amount must be greater than or equal to "minSendable"');
+					return server.fetchInvoice(uses[0].paymentHash);
+				}).then(fetchedInvoice => {
+					// Invoices and uses of the address can be joined.
+					assert.strictEqual(fetchedInvoice.hash, hash);
+				});
+			});
+		});
+
+		it('unknown address is not recorded', function() {
+			const hash = server.getLightningAddressHash('unknown');
+			return this.helpers.request('get', {
+				url: server.getUrl('/.well-known/lnurlp/unknown'),
+				qs: { amount: validParams.create.payRequest.minSendable },
+			}).then(() => {
+				return server.listUses({ hash });
+			}).then(result => {
+				assert.strictEqual(result.uses.length, 0);
+			});
+		});
+	});
+
+	describe('listUses([options])', function() {
+
+		it('outcome, limit, cursor', function() {
+			let listed = [];
+			const nextPage = function(cursor) {
+				return server.listUses({ outcome: 'processed', limit: 1, cursor }).then(result => {
+					assert.ok(result.uses.length <= 1);
+					listed = listed.concat(result.uses);
+					if (result.cursor) {
+						return nextPage(result.cursor);
+					}
+				});
+			};
+			return nextPage(null).then(() => {
+				assert.ok(listed.length >= 2);
+				listed.forEach((use, index) => {
+					assert.strictEqual(use.outcome, 'processed');
+					if (index > 0) {
+						assert.ok(use.id > listed[index - 1].id);
+					}
+				});
+			});
+		});
+
+		[
+			{
+				options: { outcome: 'ok' },
+				message: 'Invalid option ("outcome"): Must be one of "processed", "failed"',
+			},
+			{
+				options: { cursor: 'abc' },
+				message: 'Invalid option ("cursor"): Integer greater than zero expected',
+			},
+			{
+				options: { unknown: true },
+				message: 'Unknown option: "unknown"',
+			},
+		].forEach(test => {
+			it(`invalid options: ${JSON.stringify(test.options)}`, function() {
+				return server.listUses(test.options).then(() => {
+					throw new Error('Expected an error');
+				}).catch(error => {
+					assert.strictEqual(error.message, test.message);
+				});
+			});
+		});
+	});
+});
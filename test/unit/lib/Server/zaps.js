@@ -0,0 +1,195 @@
+const assert = require('assert');
+const { createHash } = require('crypto');
+const { getTagDataFromPaymentRequest } = require('lightning-backends');
+const nostr = require('../../../../lib/nostr');
+
+describe('Server: zaps (NIP-57)', function() {
+
+	const serverPrivKey = '0000000000000000000000000000000000000000000000000000000000000003';
+	const senderPrivKey = 'b7e151628aed2a6abf7158809cf4f3c762e7160f38b4da56a784d9045190cfef';
+	const recipientPubKey = 'dd308afec5777e13121fa72b9cc1b7cc0139715309b086c960e18fd969774eb8';
+	const eventId = 'a'.repeat(64);
+
+	let server;
+	before(function() {
+		server = this.helpers.createServer({
+			lightning: {
+				backend: 'dummy',
+				config: {},
+			},
+			nostr: {
+				privateKey: serverPrivKey,
+				checkInterval: 20,
+			},
+		});
+		return server.onReady();
+	});
+
+	after(function() {
+		if (server) return server.close();
+	});
+
+	let published;
+	beforeEach(function() {
+		// Replace the relay publisher with a local fake.
+		published = [];
+		server.nostrRelayPublisher = {
+			publish: function(event, relays, options) {
+				published.push({ event, relays, options });
+				return Promise.resolve(relays.map(relay => {
+					return { relay, ok: true, message: '' };
+				}));
+			},
+		};
+	});
+
+	let generatedUrl;
+	beforeEach(function() {
+		return server.generateNewUrl('payRequest', {
+			minSendable: 100000,
+			maxSendable: 200000,
+			metadata: '[["text/plain", "zap me"]]',
+		}).then(result => {
+			generatedUrl = result;
+		});
+	});
+
+	const createZapRequest = function(tags) {
+		return nostr.signEvent({
+			kind: 9734,
+			content: 'Zap!',
+			tags: tags || [
+				['relays', 'wss://relay1.example.com', 'wss://relay2.example.com'],
+				['amount', '150000'],
+				['p', recipientPubKey],
+				['e', eventId],
+			],
+		}, senderPrivKey);
+	};
+
+	const zap = function(request, zapRequest, amount) {
+		return request('get', {
+			url: server.getCallbackUrl(),
+			qs: {
+				k1: generatedUrl.secret,
+				amount: amount || 150000,
+				nostr: typeof zapRequest === 'string' ? zapRequest : JSON.stringify(zapRequest),
+			},
+		});
+	};
+
+	it('info includes nostr pubkey', function() {
+		return this.helpers.request('get', {
+			url: generatedUrl.url,
+		}).then(result => {
+			assert.strictEqual(result.body.allowsNostr, true);
+			assert.strictEqual(result.body.nostrPubkey, 'f9308a019258c31049344f85f89d5229b531c845836f99b08601f113bce036f9');
+		});
+	});
+
+	it('invoice description is the zap request', function() {
+		const zapRequest = JSON.stringify(createZapRequest());
+		return zap(this.helpers.request, zapRequest).then(result => {
+			assert.ok(result.body.pr, JSON.stringify(result.body));
+			const descriptionHash = getTagDataFromPaymentRequest(result.body.pr, 'purpose_commit_hash');
+			assert.strictEqual(descriptionHash, createHash('sha256').update(zapRequest, 'utf8').digest('hex'));
+		});
+	});
+
+	it('publishes zap receipt once settled', function() {
+		const zapRequest = createZapRequest();
+		let paymentHash, pr, listener;
+		return zap(this.helpers.request, zapRequest).then(result => {
+			pr = result.body.pr;
+			paymentHash = getTagDataFromPaymentRequest(pr, 'payment_hash');
+			return new Promise(resolve => {
+				listener = data => {
+					if (data.paymentHash === paymentHash) {
+						resolve(data);
+					}
+				};
+				server.on('payRequest:zapReceipt:published', listener);
+			});
+		}).then(({ event, results }) => {
+			server.removeListener('payRequest:zapReceipt:published', listener);
+			const publishedEvents = published.filter(item => item.event.id === event.id);
+			assert.strictEqual(publishedEvents.length, 1);
+			assert.deepStrictEqual(publishedEvents[0].relays, ['wss://relay1.example.com', 'wss://relay2.example.com']);
+			assert.strictEqual(results.length, 2);
+			assert.ok(nostr.verifyEvent(event));
+			assert.strictEqual(event.kind, 9735);
+			assert.strictEqual(event.pubkey, 'f9308a019258c31049344f85f89d5229b531c845836f99b08601f113bce036f9');
+			assert.deepStrictEqual(nostr.getTags(event, 'p'), [['p', recipientPubKey]]);
+			assert.deepStrictEqual(nostr.getTags(event, 'e'), [['e', eventId]]);
+			assert.deepStrictEqual(nostr.getTags(event, 'P'), [['P', zapRequest.pubkey]]);
+			assert.deepStrictEqual(nostr.getTags(event, 'bolt11'), [['bolt11', pr]]);
+			assert.deepStrictEqual(nostr.getTags(event, 'description'), [['description', JSON.stringify(zapRequest)]]);
+		});
+	});
+
+	it('does not watch invoice without zap request', function() {
+		return this.helpers.request('get', {
+			url: server.getCallbackUrl(),
+			qs: { k1: generatedUrl.secret, amount: 150000 },
+		}).then(result => {
+			assert.ok(result.body.pr);
+			const paymentHash = getTagDataFromPaymentRequest(result.body.pr, 'payment_hash');
+			assert.ok(!server.zapWatchers[paymentHash]);
+		});
+	});
+
+	[
+		{
+			description: 'invalid JSON',
+			zapRequest: '{not json',
+			reason: 'Invalid parameter ("nostr"): Valid JSON expected',
+		},
+		{
+			description: 'invalid signature',
+			zapRequest: Object.assign(createZapRequest(), { content: 'Modified' }),
+			reason: 'Invalid zap request: Invalid event or signature',
+		},
+		{
+			description: 'wrong kind',
+			zapRequest: nostr.signEvent({ kind: 1, tags: [['p', recipientPubKey], ['relays', 'wss://relay.example.com']] }, senderPrivKey),
+			reason: 'Invalid zap request: Kind 9734 expected',
+		},
+		{
+			description: 'missing "p" tag',
+			zapRequest: createZapRequest([['relays', 'wss://relay.example.com']]),
+			reason: 'Invalid zap request: Must have exactly one "p" tag',
+		},
+		{
+			description: 'multiple "e" tags',
+			zapRequest: createZapRequest([['relays', 'wss://relay.example.com'], ['p', recipientPubKey], ['e', eventId], ['e', eventId]]),
+			reason: 'Invalid zap request: Must have zero or one "e" tags',
+		},
+		{
+			description: 'missing "relays" tag',
+			zapRequest: createZapRequest([['p', recipientPubKey]]),
+			reason: 'Invalid zap request: Missing "relays" tag',
+		},
+		{
+			description: 'relay URL not "wss://"',
+			zapRequest: createZapRequest([['relays', 'wss://relay.example.com', 'ws://127.0.0.1:8080'], ['p', recipientPubKey]]),
+			reason: 'Invalid zap request: Relay URLs must begin with "wss://"',
+		},
+		{
+			description: 'too many relays',
+			zapRequest: createZapRequest([['relays', 'wss://r1.example.com', 'wss://r2.example.com', 'wss://r3.example.com', 'wss://r4.example.com', 'wss://r5.example.com', 'wss://r6.example.com'], ['p', recipientPubKey]]),
+			reason: 'Invalid zap request: Must not have more than 5 relays',
+		},
+		{
+			description: 'amount mismatch',
+			zapRequest: createZapRequest([['relays', 'wss://relay.example.com'], ['p', recipientPubKey], ['amount', '100000']]),
+			reason: 'Invalid zap request: "amount" tag must equal the amount',
+		},
+	].forEach(test => {
+		it(test.description, function() {
+			return zap(this.helpers.request, test.zapRequest).then(result => {
+				assert.strictEqual(result.response.statusCode, 400);
+				assert.deepStrictEqual(result.body, { status: 'ERROR', reason: test.reason });
+			});
+		});
+	});
+});
@@ -0,0 +1,41 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { aes } = require('../../../lib');
+
+describe('aes', function() {
+
+	const preimage = crypto.randomBytes(32);
+
+	describe('encrypt(plaintext, preimage)', function() {
+
+		it('returns base64-encoded ciphertext and iv', function() {
+			const { ciphertext, iv } = aes.encrypt('secret code: 1234', preimage);
+			assert.strictEqual(typeof ciphertext, 'string');
+			assert.strictEqual(typeof iv, 'string');
+			assert.strictEqual(Buffer.from(iv, 'base64').length, 16);
+			assert.strictEqual(Buffer.from(ciphertext, 'base64').length % 16, 0);
+		});
+
+		it('throws if preimage is not 32 bytes', function() {
+			assert.throws(() => aes.encrypt('test', crypto.randomBytes(20)), {
+				message: /^Invalid argument \("preimage"\): 32 bytes expected\./,
+			});
+		});
+	});
+
+	describe('decrypt(ciphertext, iv, preimage)', function() {
+
+		it('reverses encrypt', function() {
+			const plaintext = 'secret code: 1234';
+			const { ciphertext, iv } = aes.encrypt(plaintext, preimage.toString('hex'));
+			assert.strictEqual(aes.decrypt(ciphertext, iv, preimage), plaintext);
+		});
+
+		it('known test vector', function() {
+			const ciphertext = 'JkqA/XnFJKUCemz0HZ2fdg==';
+			const iv = 'AgICAgICAgICAgICAgICAg==';
+			const key = '0101010101010101010101010101010101010101010101010101010101010101';
+			assert.strictEqual(aes.decrypt(ciphertext, iv, key), 'Lightning');
+		});
+	});
+});
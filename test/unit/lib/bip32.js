@@ -0,0 +1,57 @@
+const assert = require('assert');
+const bip32 = require('../../../lib/bip32');
+
+describe('bip32', function() {
+
+	// Test vectors from BIP32:
+	// https://github.com/bitcoin/bips/blob/master/bip-0032.mediawiki#test-vectors
+	const tests = [
+		{
+			seed: '000102030405060708090a0b0c0d0e0f',
+			paths: {
+				'm': 'e8f32e723decf4051aefac8e2c93c9c5b214313817cdb01a1494b917c8436b35',
+				"m/0'": 'edb2e14f9ee77d26dd93b4ecede8d16ed408ce149b6cd80b0715a2d911a0afea',
+				"m/0'/1/2'/2/1000000000": '471b76e389e528d6de6d816857e012c5455051cad6660850e58372a6c3e6e7c8',
+			},
+		},
+		{
+			seed: 'fffcf9f6f3f0edeae7e4e1dedbd8d5d2cfccc9c6c3c0bdbab7b4b1aeaba8a5a29f9c999693908d8a8784817e7b7875726f6c696663605d5a5754514e4b484542',
+			paths: {
+				'm': '4b03d6fc340455b363f51020ad3ecca4f0850280cf436c70c727923f6db46c3e',
+				"m/0/2147483647'/1/2147483646'/2": 'bb7d39bdb83ecf58f2fd82b6d918341cbef428661ef01ab97c28a4842125ac23',
+			},
+		},
+	];
+
+	describe('derivePath(node, path)', function() {
+
+		tests.forEach(test => {
+			const { seed, paths } = test;
+			Object.entries(paths).forEach(([path, expected]) => {
+				it(`seed = ${seed.substr(0, 16)}.., path = ${path}`, function() {
+					const master = bip32.fromSeed(Buffer.from(seed, 'hex'));
+					const { privateKey } = bip32.derivePath(master, path);
+					assert.strictEqual(privateKey.toString('hex'), expected);
+				});
+			});
+		});
+
+		it('raw index greater than or equal to 2^31 is hardened', function() {
+			const master = bip32.fromSeed(Buffer.from(tests[0].seed, 'hex'));
+			const { privateKey } = bip32.derivePath(master, `m/${bip32.HARDENED_OFFSET}`);
+			assert.strictEqual(privateKey.toString('hex'), tests[0].paths["m/0'"]);
+		});
+	});
+
+	describe('parsePath(path)', function() {
+
+		it('invalid path', function() {
+			assert.throws(() => bip32.parsePath('0/1'), {
+				message: /^Invalid argument \("path"\): Must start with "m"/,
+			});
+			assert.throws(() => bip32.parsePath('m/x'), {
+				message: /^Invalid argument \("path"\): Invalid index "x"/,
+			});
+		});
+	});
+});
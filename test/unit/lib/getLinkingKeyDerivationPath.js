@@ -0,0 +1,18 @@
+const assert = require('assert');
+const getLinkingKeyDerivationPath = require('../../../lib/getLinkingKeyDerivationPath');
+
+describe('getLinkingKeyDerivationPath(hashingKey, domain)', function() {
+
+	it('LUD-05 test vector', function() {
+		const hashingKey = '7d417a6a5e9a6a4a879aeaba11a11838764c8fa2b959c242d43dea682b3e409b';
+		const result = getLinkingKeyDerivationPath(hashingKey, 'site.com');
+		assert.strictEqual(result, "m/138'/1588488367/2659270754/38110259/4136336762");
+	});
+
+	it('missing domain', function() {
+		const hashingKey = '7d417a6a5e9a6a4a879aeaba11a11838764c8fa2b959c242d43dea682b3e409b';
+		assert.throws(() => getLinkingKeyDerivationPath(hashingKey, null), {
+			message: 'Missing required argument: "domain"',
+		});
+	});
+});
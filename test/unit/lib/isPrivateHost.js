@@ -0,0 +1,42 @@
+const assert = require('assert');
+const isPrivateHost = require('../../../lib/isPrivateHost');
+
+describe('isPrivateHost(host)', function() {
+
+	[
+		'127.0.0.1',
+		'10.1.2.3',
+		'172.16.0.1',
+		'192.168.1.1',
+		'169.254.169.254',
+		'100.64.0.1',
+		'0.0.0.0',
+		'::1',
+		'[::1]',
+		'::',
+		'fd00::1',
+		'fe80::1',
+		'::ffff:127.0.0.1',
+		'[::ffff:7f00:1]',
+		'localhost',
+		'LOCALHOST.',
+		'app.localhost',
+	].forEach(host => {
+		it(`private: "${host}"`, function() {
+			assert.strictEqual(isPrivateHost(host), true);
+		});
+	});
+
+	[
+		'8.8.8.8',
+		'172.32.0.1',
+		'2001:db8::1',
+		'::ffff:8.8.8.8',
+		'wallet.com',
+		'localhost.com',
+	].forEach(host => {
+		it(`public: "${host}"`, function() {
+			assert.strictEqual(isPrivateHost(host), false);
+		});
+	});
+});
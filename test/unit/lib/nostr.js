@@ -0,0 +1,67 @@
+const assert = require('assert');
+const nostr = require('../../../lib/nostr');
+
+describe('nostr', function() {
+
+	const privKey = 'b7e151628aed2a6abf7158809cf4f3c762e7160f38b4da56a784d9045190cfef';
+
+	describe('signEvent(event, privKey)', function() {
+
+		it('fills in missing fields', function() {
+			const event = nostr.signEvent({ kind: 1, content: 'hello' }, privKey);
+			assert.strictEqual(event.pubkey, 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659');
+			assert.ok(Number.isInteger(event.created_at));
+			assert.deepStrictEqual(event.tags, []);
+			assert.strictEqual(event.id, nostr.getEventHash(event));
+			assert.strictEqual(event.sig.length, 128);
+		});
+	});
+
+	describe('verifyEvent(event)', function() {
+
+		let event;
+		beforeEach(function() {
+			event = nostr.signEvent({ kind: 9734, tags: [['p', '0'.repeat(64)]], content: '' }, privKey);
+		});
+
+		it('valid event', function() {
+			assert.strictEqual(nostr.verifyEvent(event), true);
+		});
+
+		it('modified content', function() {
+			event.content = 'modified';
+			assert.strictEqual(nostr.verifyEvent(event), false);
+		});
+
+		it('modified id', function() {
+			event.content = 'modified';
+			event.id = nostr.getEventHash(event);
+			assert.strictEqual(nostr.verifyEvent(event), false);
+		});
+
+		it('not an object', function() {
+			assert.strictEqual(nostr.verifyEvent('{}'), false);
+			assert.strictEqual(nostr.verifyEvent(null), false);
+		});
+	});
+
+	describe('isRelayUrl(value)', function() {
+
+		it('only "wss://" URLs', function() {
+			assert.strictEqual(nostr.isRelayUrl('wss://relay.example.com'), true);
+			assert.strictEqual(nostr.isRelayUrl('ws://relay.example.com'), false);
+			assert.strictEqual(nostr.isRelayUrl('https://relay.example.com'), false);
+			assert.strictEqual(nostr.isRelayUrl('not a URL'), false);
+			assert.strictEqual(nostr.isRelayUrl(null), false);
+		});
+	});
+
+	describe('getTags(event, name)', function() {
+
+		it('returns matching tags', function() {
+			const event = { tags: [['p', 'a'], ['e', 'b'], ['p', 'c']] };
+			assert.deepStrictEqual(nostr.getTags(event, 'p'), [['p', 'a'], ['p', 'c']]);
+			assert.deepStrictEqual(nostr.getTags(event, 'a'), []);
+		});
+	});
+});
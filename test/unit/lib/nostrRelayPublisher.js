@@ -0,0 +1,76 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const nostr = require('../../../lib/nostr');
+const nostrRelayPublisher = require('../../../lib/nostrRelayPublisher');
+
+describe('nostrRelayPublisher', function() {
+
+	// Minimal relay that answers each EVENT message with an OK message.
+	let relay, sockets = [], received = [];
+	before(function(done) {
+		relay = http.createServer((req, res) => {
+			res.statusCode = 400;
+			res.end();
+		});
+		relay.on('upgrade', (req, socket) => {
+			sockets.push(socket);
+			const accept = crypto.createHash('sha1').update(req.headers['sec-websocket-key'] + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+			socket.write([
+				'HTTP/1.1 101 Switching Protocols',
+				'Upgrade: websocket',
+				'Connection: Upgrade',
+				`Sec-WebSocket-Accept: ${accept}`,
+				'', '',
+			].join('\r\n'));
+			socket.on('data', data => {
+				// Client frames are always masked.
+				let length = data[1] & 0x7f;
+				let offset = 2;
+				if (length === 126) {
+					length = data.readUInt16BE(2);
+					offset = 4;
+				}
+				const mask = data.slice(offset, offset + 4);
+				const payload = data.slice(offset + 4, offset + 4 + length).map((byte, index) => byte ^ mask[index % 4]);
+				const [ type, event ] = JSON.parse(payload.toString('utf8'));
+				received.push({ type, event });
+				const message = Buffer.from(JSON.stringify(['OK', event.id, true, '']), 'utf8');
+				socket.write(Buffer.concat([Buffer.from([0x81, message.length]), message]));
+			});
+			socket.on('error', () => {});
+		});
+		relay.listen(3004, 'localhost', done);
+	});
+
+	after(function(done) {
+		sockets.forEach(socket => socket.destroy());
+		if (relay) return relay.close(done);
+		done();
+	});
+
+	const privKey = 'b7e151628aed2a6abf7158809cf4f3c762e7160f38b4da56a784d9045190cfef';
+
+	it('publishes event to relays', function() {
+		const event = nostr.signEvent({ kind: 1, content: 'test' }, privKey);
+		return nostrRelayPublisher.publish(event, ['ws://localhost:3004']).then(results => {
+			assert.deepStrictEqual(results, [
+				{ relay: 'ws://localhost:3004', ok: true, message: '' },
+			]);
+			assert.strictEqual(received.length, 1);
+			assert.strictEqual(received[0].type, 'EVENT');
+			assert.deepStrictEqual(received[0].event, event);
+		});
+	});
+
+	it('failures do not reject', function() {
+		const event = nostr.signEvent({ kind: 1, content: 'test' }, privKey);
+		return nostrRelayPublisher.publish(event, ['ws://localhost:3005', 'https://not-a-relay']).then(results => {
+			assert.strictEqual(results.length, 2);
+			results.forEach(result => {
+				assert.strictEqual(result.ok, false);
+				assert.ok(result.message);
+			});
+		});
+	});
+});
@@ -0,0 +1,142 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { qrcode } = require('../../../lib');
+const encoder = require('../../../lib/qrcode/encoder');
+const zlib = require('zlib');
+
+describe('qrcode', function() {
+
+	const encoded = 'lnurl1dp68gurn8ghj7um9wfmxjcm99e3k7mf0v9cxj0m385csm4ezqk';
+
+	const hashModules = function(modules) {
+		const rows = modules.map(row => row.map(module => module ? '1' : '0').join(''));
+		return crypto.createHash('sha256').update(rows.join('\n')).digest('hex');
+	};
+
+	describe('encoder.encode(text[, options])', function() {
+
+		// Expected values were generated with an independent QR code implementation.
+		[
+			{
+				text: encoded.toUpperCase(),
+				options: { errorCorrectionLevel: 'M', mask: 2 },
+				expected: { version: 3, mode: 'alphanumeric', hash: '11cc07beb9514fe6f77b56c6180b8331cf4d9511362575a899486d40685cbc5c' },
+			},
+			{
+				text: encoded.toUpperCase(),
+				options: { errorCorrectionLevel: 'H', mask: 7 },
+				expected: { version: 5, mode: 'alphanumeric', hash: '1482a84a0f40b58f33b162b5449fc61dc7928cbc948bad41196d9769656df106' },
+			},
+			{
+				text: 'https://service.com/api?q=1',
+				options: { errorCorrectionLevel: 'L', mask: 5 },
+				expected: { version: 2, mode: 'byte', hash: '81d4335d659cd495168fb63a0e5faad7243a5c7539293d0864d8fa2b18b51f22' },
+			},
+		].forEach(test => {
+			const { text, options, expected } = test;
+			it(`${JSON.stringify(text)} ${JSON.stringify(options)}`, function() {
+				const result = encoder.encode(text, options);
+				assert.strictEqual(result.version, expected.version);
+				assert.strictEqual(result.mode, expected.mode);
+				assert.strictEqual(result.size, expected.version * 4 + 17);
+				assert.strictEqual(hashModules(result.modules), expected.hash);
+			});
+		});
+
+		it('invalid error correction level', function() {
+			assert.throws(() => encoder.encode('test', { errorCorrectionLevel: 'X' }), {
+				message: 'Invalid option ("errorCorrectionLevel"): Expected "L", "M", "Q" or "H"',
+			});
+		});
+
+		it('data too long', function() {
+			assert.throws(() => encoder.encode('x'.repeat(3000), { errorCorrectionLevel: 'H' }), {
+				message: 'Data too long to fit in a QR code',
+			});
+		});
+	});
+
+	describe('toMatrix(text[, options])', function() {
+
+		it('uses alphanumeric mode for bech32-encoded LNURLs', function() {
+			assert.strictEqual(qrcode.toMatrix(encoded).mode, 'alphanumeric');
+			assert.strictEqual(qrcode.toMatrix('lightning:' + encoded).mode, 'alphanumeric');
+			assert.strictEqual(qrcode.toMatrix('lnurlw://service.com/api?q=1').mode, 'byte');
+		});
+	});
+
+	describe('toSvg(text[, options])', function() {
+
+		it('returns an SVG document', function() {
+			const { size } = qrcode.toMatrix(encoded);
+			const svg = qrcode.toSvg(encoded, { margin: 2, scale: 4, dark: '#112233' });
+			const width = size + 4;
+			assert.strictEqual(svg.substr(0, 5), '<svg ');
+			assert.ok(svg.includes(`width="${width * 4}"`));
+			assert.ok(svg.includes(`viewBox="0 0 ${width} ${width}"`));
+			assert.ok(svg.includes('fill="#112233"'));
+		});
+
+		it('invalid color', function() {
+			assert.throws(() => qrcode.toSvg(encoded, { dark: 'black' }), {
+				message: 'Invalid option ("dark"): Hex color expected (e.g "#000000")',
+			});
+		});
+	});
+
+	describe('toPng(text[, options])', function() {
+
+		it('returns a PNG image', function() {
+			const { size, modules } = qrcode.toMatrix(encoded);
+			const margin = 1;
+			const scale = 3;
+			const png = qrcode.toPng(encoded, { margin, scale });
+			assert.ok(png.slice(0, 8).equals(Buffer.from('89504e470d0a1a0a', 'hex')));
+			const width = (size + margin * 2) * scale;
+			assert.strictEqual(png.readUInt32BE(16), width);
+			assert.strictEqual(png.readUInt32BE(20), width);
+			// Read the pixels back from the image data.
+			let offset = 8;
+			let idat;
+			while (offset < png.length) {
+				const length = png.readUInt32BE(offset);
+				if (png.toString('ascii', offset + 4, offset + 8) === 'IDAT') {
+					idat = png.slice(offset + 8, offset + 8 + length);
+				}
+				offset += length + 12;
+			}
+			const raw = zlib.inflateSync(idat);
+			const rowLength = 1 + Math.ceil(width / 8);
+			const isDark = (x, y) => !!(raw[y * rowLength + 1 + (x >>> 3)] & (0x80 >>> (x & 7)));
+			assert.strictEqual(isDark(0, 0), false);
+			modules.forEach((row, y) => {
+				row.forEach((module, x) => {
+					assert.strictEqual(isDark((x + margin) * scale, (y + margin) * scale), module);
+				});
+			});
+		});
+	});
+
+	describe('toTerminal(text[, options])', function() {
+
+		it('returns two rows of modules per line', function() {
+			const { size } = qrcode.toMatrix(encoded);
+			const output = qrcode.toTerminal(encoded, { ansi: false });
+			const lines = output.split('\n');
+			assert.strictEqual(lines.length, Math.ceil((size + 4) / 2));
+			lines.forEach(line => {
+				assert.strictEqual(line.length, size + 4);
+			});
+			// Margin is light - drawn as blocks when not using ANSI colors.
+			assert.strictEqual(lines[0], '█'.repeat(size + 4));
+		});
+
+		it('ansi', function() {
+			const lines = qrcode.toTerminal(encoded).split('\n');
+			lines.forEach(line => {
+				assert.strictEqual(line.substr(0, 8), '\x1b[30;47m');
+				assert.strictEqual(line.substr(-4), '\x1b[0m');
+			});
+		});
+	});
+});
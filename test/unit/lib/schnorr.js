@@ -0,0 +1,69 @@
+const assert = require('assert');
+const schnorr = require('../../../lib/schnorr');
+
+describe('schnorr', function() {
+
+	// Test vectors from BIP340:
+	// https://github.com/bitcoin/bips/blob/master/bip-0340/test-vectors.csv
+	const vectors = [
+		{
+			privKey: '0000000000000000000000000000000000000000000000000000000000000003',
+			pubKey: 'f9308a019258c31049344f85f89d5229b531c845836f99b08601f113bce036f9',
+			auxRand: '0000000000000000000000000000000000000000000000000000000000000000',
+			message: '0000000000000000000000000000000000000000000000000000000000000000',
+			signature: 'e907831f80848d1069a5371b402410364bdf1c5f8307b0084c55f1ce2dca821525f66a4a85ea8b71e482a74f382d2ce5ebeee8fdb2172f477df4900d310536c0',
+		},
+		{
+			privKey: 'b7e151628aed2a6abf7158809cf4f3c762e7160f38b4da56a784d9045190cfef',
+			pubKey: 'dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659',
+			auxRand: '0000000000000000000000000000000000000000000000000000000000000001',
+			message: '243f6a8885a308d313198a2e03707344a4093822299f31d0082efa98ec4e6c89',
+			signature: '6896bd60eeae296db48a229ff71dfe071bde413e6d43f917dc8dcf8c78de33418906d11ac976abccb20b091292bff4ea897efcb639ea871cfa95f6de339e4b0a',
+		},
+		{
+			privKey: 'c90fdaa22168c234c4c6628b80dc1cd129024e088a67cc74020bbea63b14e5c9',
+			pubKey: 'dd308afec5777e13121fa72b9cc1b7cc0139715309b086c960e18fd969774eb8',
+			auxRand: 'c87aa53824b4d7ae2eb035a2b5bbbccc080e76cdc6d1692c4b0b62d798e6d906',
+			message: '7e2d58d8b3bcdf1abadec7829054f90dda9805aab56c77333024b9d0a508b75c',
+			signature: '5831aaeed7b44bb74e5eab94ba9d4294c49bcf2a60728d8b4c200f50dd313c1bab745879a5ad954a72c45a91c3a51d3c7adea98d82f8481e0e1e03674a6f3fb7',
+		},
+	];
+
+	describe('getPublicKey(privKey)', function() {
+
+		vectors.forEach(({ privKey, pubKey }) => {
+			it(`privKey = ${privKey}`, function() {
+				assert.strictEqual(schnorr.getPublicKey(privKey).toString('hex'), pubKey);
+			});
+		});
+	});
+
+	describe('sign(message, privKey[, auxRand])', function() {
+
+		vectors.forEach(({ privKey, auxRand, message, signature }) => {
+			it(`privKey = ${privKey}`, function() {
+				assert.strictEqual(schnorr.sign(message, privKey, auxRand).toString('hex'), signature);
+			});
+		});
+	});
+
+	describe('verify(signature, message, pubKey)', function() {
+
+		vectors.forEach(({ pubKey, message, signature }) => {
+			it(`pubKey = ${pubKey}`, function() {
+				assert.strictEqual(schnorr.verify(signature, message, pubKey), true);
+			});
+		});
+
+		it('negated message', function() {
+			const { pubKey, signature } = vectors[1];
+			const message = '5e2d58d8b3bcdf1abadec7829054f90dda9805aab56c77333024b9d0a508b75c';
+			assert.strictEqual(schnorr.verify(signature, message, pubKey), false);
+		});
+
+		it('wrong public key', function() {
+			const { message, signature } = vectors[1];
+			assert.strictEqual(schnorr.verify(signature, message, vectors[0].pubKey), false);
+		});
+	});
+});
@@ -65,6 +65,31 @@ describe('stores.knex', function() {
 			});
 		});
 
+		describe('useNonce(nonce, expiresAt)', function() {
+
+			it('only once', function() {
+				const nonce = crypto.randomBytes(16).toString('hex');
+				const expiresAt = new Date(Date.now() + 60000);
+				return store.useNonce(nonce, expiresAt).then(result => {
+					assert.strictEqual(result, true);
+					return store.useNonce(nonce, expiresAt);
+				}).then(result => {
+					assert.strictEqual(result, false);
+				});
+			});
+
+			it('removes expired nonces', function() {
+				const nonce = crypto.randomBytes(16).toString('hex');
+				return store.useNonce(nonce, new Date(Date.now() - 1000)).then(() => {
+					return store.useNonce(crypto.randomBytes(16).toString('hex'), new Date(Date.now() + 60000));
+				}).then(() => {
+					return store.db('nonces').select('*').where({ nonce });
+				}).then(results => {
+					assert.strictEqual(results.length, 0);
+				});
+			});
+		});
+
 		describe('migrations', function() {
 
 			describe('<= 0.9.0 to latest', function() {
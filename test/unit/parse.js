@@ -0,0 +1,99 @@
+const assert = require('assert');
+const lnurl = require('../../');
+
+describe('parse(input)', function() {
+
+	const encoded = 'lnurl1dp68gurn8ghj7um9wfmxjcm99e3k7mf0v9cxj0m385ekvcenxc6r2c35xvukxefcv5mkvv34x5ekzd3ev56nyd3hxqurzepexejxxepnxscrvwfnv9nxzcn9xq6xyefhvgcxxcmyxymnserxfq5fns';
+	const url = 'https://service.com/api?q=3fc3645b439ce8e7f2553a69e5267081d96dcd340693afabe04be7b0ccd178df';
+
+	[
+		{
+			description: 'bech32',
+			input: encoded,
+			expected: { url, kind: 'bech32' },
+		},
+		{
+			description: 'uppercase bech32 (QR code)',
+			input: encoded.toUpperCase(),
+			expected: { url, kind: 'bech32' },
+		},
+		{
+			description: 'lightning: prefix',
+			input: `lightning:${encoded.toUpperCase()}`,
+			expected: { url, kind: 'bech32' },
+		},
+		{
+			description: 'surrounding whitespace',
+			input: `  ${encoded}\n`,
+			expected: { url, kind: 'bech32' },
+		},
+		{
+			description: 'fallback URL',
+			input: `https://service.com/?lightning=${encoded}`,
+			expected: { url, kind: 'fallback' },
+		},
+		{
+			description: 'fallback URL (LUD-17)',
+			input: 'https://service.com/?lightning=lnurlp://service.com/api?q=1',
+			expected: { url: 'https://service.com/api?q=1', tag: 'payRequest', kind: 'fallback' },
+		},
+		{
+			description: 'LUD-17 URI',
+			input: 'lnurlw://service.com/api?q=3fc3645b',
+			expected: { url: 'https://service.com/api?q=3fc3645b', tag: 'withdrawRequest', kind: 'lud17' },
+		},
+		{
+			description: 'LUD-17 URI (onion)',
+			input: 'keyauth://abcdefghijklmnop.onion/api?tag=login&k1=3fc3645b',
+			expected: { url: 'http://abcdefghijklmnop.onion/api?tag=login&k1=3fc3645b', tag: 'login', kind: 'lud17' },
+		},
+		{
+			description: 'Lightning Address',
+			input: 'Alice@Service.com',
+			expected: { url: 'https://service.com/.well-known/lnurlp/alice', tag: 'payRequest', kind: 'address', address: 'alice@service.com' },
+		},
+		{
+			description: 'Lightning Address (lightning: prefix)',
+			input: 'lightning:alice@service.com',
+			expected: { url: 'https://service.com/.well-known/lnurlp/alice', tag: 'payRequest', kind: 'address', address: 'alice@service.com' },
+		},
+		{
+			description: 'URL',
+			input: 'https://service.com/lnurl?tag=login&k1=3fc3645b',
+			expected: { url: 'https://service.com/lnurl?tag=login&k1=3fc3645b', tag: 'login', kind: 'url' },
+		},
+	].forEach(test => {
+		it(test.description, function() {
+			assert.deepStrictEqual(lnurl.parse(test.input), test.expected);
+		});
+	});
+
+	[
+		{
+			input: '',
+			message: 'Invalid argument ("input"): Must not be empty',
+		},
+		{
+			input: 'lnurl1invalid',
+			message: 'Invalid argument ("input"): Invalid bech32-encoded LNURL',
+		},
+		{
+			input: 'https://service.com/?lightning=not-an-lnurl',
+			message: 'Invalid argument ("input"): Invalid "lightning" query parameter',
+		},
+		{
+			input: 'ftp://service.com',
+			message: 'Invalid argument ("input"): Expected an LNURL, LUD-17 URI, Lightning Address or URL',
+		},
+	].forEach(test => {
+		it(`throws for invalid input ("${test.input}")`, function() {
+			assert.throws(() => lnurl.parse(test.input), { message: test.message });
+		});
+	});
+
+	[undefined, null, 0, {}].forEach(input => {
+		it('throws if "input" is not a string (' + JSON.stringify(input) + ')', function() {
+			assert.throws(() => lnurl.parse(input), { message: /^Invalid argument \("input"\): String expected/ });
+		});
+	});
+});